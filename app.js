@@ -16,6 +16,15 @@ import db from './src/config/database.js';
 import authRoutes from './src/routes/auth.js';
 import documentRoutes from './src/routes/documents.js';
 import summaryRoutes from './src/routes/summaries.js';
+import jobRoutes from './src/routes/jobs.js';
+import eventRoutes from './src/routes/events.js';
+import promptRoutes from './src/routes/prompts.js';
+import searchRoutes from './src/routes/search.js';
+import conversationRoutes from './src/routes/conversations.js';
+
+// Import background jobs
+import { startJobs, enqueueExtraction } from './src/jobs/index.js';
+import { connectionCount } from './src/services/eventStream.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -28,13 +37,15 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Serve uploaded files (protected - apenas para debug, remover em produção)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/summaries', summaryRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/conversations', conversationRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -48,8 +59,7 @@ app.get('/api/health', (req, res) => {
 
 // Debug route - verificar status do sistema
 app.get('/api/debug', (req, res) => {
-    const allDocs = db.data.documents || [];
-    const allUsers = db.data.users || [];
+    const allDocs = db.findAllDocuments();
     
     // Verificar pasta uploads
     const uploadsPath = path.join(__dirname, 'uploads');
@@ -79,7 +89,8 @@ app.get('/api/debug', (req, res) => {
     res.json({
         timestamp: new Date().toISOString(),
         stats: {
-            totalUsers: allUsers.length,
+            storage: db.driver,
+            totalUsers: db.countUsers(),
             totalDocuments: allDocs.length,
             byStatus: {
                 uploaded: allDocs.filter(d => d.status === 'uploaded').length,
@@ -106,50 +117,25 @@ app.get('/api/debug', (req, res) => {
         environment: {
             nodeVersion: process.version,
             platform: process.platform,
-            uptime: process.uptime() + ' seconds'
+            uptime: process.uptime() + ' seconds',
+            sseConnections: connectionCount()
         }
     });
 });
 
-// Debug route - forçar reprocessamento de todos os documentos travados
-app.post('/api/debug/reprocess-stuck', async (req, res) => {
-    const { loadAndExtractPDF } = await import('./src/services/pdfService.js');
-    
-    const stuckDocs = (db.data.documents || []).filter(d => d.status === 'processing');
+// Debug route - reenfileirar documentos travados em processing
+app.post('/api/debug/reprocess-stuck', (req, res) => {
+    const stuckDocs = db.findDocumentsByStatus('processing');
     
     console.log(`[DEBUG] Found ${stuckDocs.length} stuck documents`);
     
-    const results = [];
-    
-    for (const doc of stuckDocs) {
-        console.log(`[DEBUG] Reprocessing: ${doc.originalName}`);
-        try {
-            if (!fs.existsSync(doc.filePath)) {
-                throw new Error(`File not found: ${doc.filePath}`);
-            }
-            
-            const result = await loadAndExtractPDF(doc.filePath);
-            
-            db.updateDocument(doc.id, {
-                extractedText: result.text,
-                pageCount: result.pages,
-                status: 'processed'
-            });
-            
-            results.push({ id: doc.id, name: doc.originalName, status: 'processed', pages: result.pages });
-            console.log(`[DEBUG] ✅ ${doc.originalName} processed`);
-        } catch (error) {
-            db.updateDocument(doc.id, {
-                status: 'error',
-                errorMessage: error.message
-            });
-            results.push({ id: doc.id, name: doc.originalName, status: 'error', error: error.message });
-            console.log(`[DEBUG] ❌ ${doc.originalName} failed: ${error.message}`);
-        }
-    }
+    const results = stuckDocs.map(doc => {
+        const job = enqueueExtraction(doc);
+        return { id: doc.id, name: doc.originalName, jobId: job.id, jobStatus: job.status };
+    });
     
     res.json({
-        message: `Reprocessed ${stuckDocs.length} stuck documents`,
+        message: `Enqueued ${stuckDocs.length} stuck documents`,
         results
     });
 });
@@ -254,9 +240,10 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-console.log('✅ Database initialized (JSON file-based)');
+console.log(`✅ Database initialized (${db.driver})`);
 app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔗 LangChain integration enabled`);
+    startJobs();
 });
@@ -159,6 +159,10 @@ const AuthAPI = {
         return apiRequest('/auth/profile');
     },
 
+    getUsage: async () => {
+        return apiRequest('/auth/usage');
+    },
+
     updateProfile: async (profileData) => {
         const data = await apiRequest('/auth/profile', {
             method: 'PUT',
@@ -241,6 +245,27 @@ const DocumentsAPI = {
         return apiRequest(`/documents/${id}${query}`);
     },
 
+    getPage: async (id, page) => {
+        return apiRequest(`/documents/${id}/pages/${page}`);
+    },
+
+    getTables: async (id) => {
+        return apiRequest(`/documents/${id}/tables`);
+    },
+
+    // Download extracted tables (format: 'csv' | 'json')
+    downloadTables: async (id, format = 'csv', filename = `tabelas.${format}`) => {
+        return downloadFile(`/documents/${id}/tables?format=${format}`, filename);
+    },
+
+    // options: { documentIds, k, model, language }
+    ask: async (question, options = {}) => {
+        return apiRequest('/documents/ask', {
+            method: 'POST',
+            body: JSON.stringify({ question, ...options })
+        });
+    },
+
     delete: async (id) => {
         return apiRequest(`/documents/${id}`, {
             method: 'DELETE'
@@ -260,7 +285,7 @@ const DocumentsAPI = {
         });
     },
 
-    // Download original PDF
+    // Download original file
     download: async (id, filename = 'document.pdf') => {
         return downloadFile(`/documents/${id}/download`, filename);
     },
@@ -279,6 +304,18 @@ const SummariesAPI = {
         return apiRequest('/summaries/status');
     },
 
+    getModels: async () => {
+        return apiRequest('/summaries/models');
+    },
+
+    getStyles: async () => {
+        return apiRequest('/summaries/styles');
+    },
+
+    getLanguages: async () => {
+        return apiRequest('/summaries/languages');
+    },
+
     createSingle: async (documentId, title = null) => {
         return apiRequest('/summaries/single', {
             method: 'POST',
@@ -293,6 +330,73 @@ const SummariesAPI = {
         });
     },
 
+    // Summary generation runs in background; poll the job until it finishes
+    getJob: async (jobId) => {
+        return apiRequest(`/summaries/jobs/${jobId}`);
+    },
+
+    waitForJob: async (jobId, onProgress, intervalMs = 2000) => {
+        while (true) {
+            const { job } = await apiRequest(`/summaries/jobs/${jobId}`);
+            if (onProgress) onProgress(job);
+
+            if (job.status === 'completed') return job;
+            if (job.status === 'failed') {
+                throw new Error(job.error || 'Summary generation failed');
+            }
+
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+    },
+
+    // Stream summary tokens (type: 'single' | 'multiple')
+    // handlers: { progress, token, done } - resolves with the saved summary
+    stream: async (type, body, handlers = {}) => {
+        const response = await fetch(`${API_BASE_URL}/summaries/${type}/stream`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${TokenManager.get()}`
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'Summary generation failed');
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let summary = null;
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const frames = buffer.split('\n\n');
+            buffer = frames.pop();
+
+            for (const frame of frames) {
+                const eventLine = frame.split('\n').find(line => line.startsWith('event: '));
+                const dataLine = frame.split('\n').find(line => line.startsWith('data: '));
+                if (!eventLine || !dataLine) continue;
+
+                const event = eventLine.slice(7);
+                const data = JSON.parse(dataLine.slice(6));
+
+                if (event === 'error') throw new Error(data.error);
+                if (event === 'done') summary = data.summary;
+                if (handlers[event]) handlers[event](data);
+            }
+        }
+
+        if (!summary) throw new Error('Summary stream ended unexpectedly');
+        return summary;
+    },
+
     getAll: async (params = {}) => {
         const queryString = new URLSearchParams(params).toString();
         const endpoint = queryString ? `/summaries?${queryString}` : '/summaries';
@@ -303,19 +407,157 @@ const SummariesAPI = {
         return apiRequest(`/summaries/${id}`);
     },
 
+    // Manual edit (changes: { title, content }); each edit is kept as a revision
+    update: async (id, changes) => {
+        return apiRequest(`/summaries/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    },
+
+    getRevisions: async (id, includeContent = false) => {
+        const query = includeContent ? '?includeContent=true' : '';
+        return apiRequest(`/summaries/${id}/revisions${query}`);
+    },
+
+    restoreRevision: async (id, revision) => {
+        return apiRequest(`/summaries/${id}/revisions/${revision}/restore`, {
+            method: 'POST'
+        });
+    },
+
+    // New version of a summary (options: { model, style, language, promptTemplateId, title })
+    regenerate: async (id, options = {}) => {
+        return apiRequest(`/summaries/${id}/regenerate`, {
+            method: 'POST',
+            body: JSON.stringify(options)
+        });
+    },
+
+    getVersions: async (id, includeContent = false) => {
+        const query = includeContent ? '?includeContent=true' : '';
+        return apiRequest(`/summaries/${id}/versions${query}`);
+    },
+
     delete: async (id) => {
         return apiRequest(`/summaries/${id}`, {
             method: 'DELETE'
         });
     },
 
-    // Download summary as file
+    // Download summary as file (format: 'txt' | 'md' | 'html' | 'pdf' | 'docx')
     download: async (id, format = 'txt', filename = 'resumo.txt') => {
         const endpoint = `/summaries/${id}/download?format=${format}`;
         return downloadFile(endpoint, filename);
     }
 };
 
+/**
+ * Prompt templates API
+ */
+const PromptsAPI = {
+    getSteps: async () => {
+        return apiRequest('/prompts/steps');
+    },
+
+    getAll: async (params = {}) => {
+        const query = new URLSearchParams(params).toString();
+        return apiRequest(`/prompts${query ? '?' + query : ''}`);
+    },
+
+    getById: async (id) => {
+        return apiRequest(`/prompts/${id}`);
+    },
+
+    create: async (template) => {
+        return apiRequest('/prompts', {
+            method: 'POST',
+            body: JSON.stringify(template)
+        });
+    },
+
+    update: async (id, template) => {
+        return apiRequest(`/prompts/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(template)
+        });
+    },
+
+    delete: async (id) => {
+        return apiRequest(`/prompts/${id}`, {
+            method: 'DELETE'
+        });
+    }
+};
+
+/**
+ * Full-text search API
+ */
+const SearchAPI = {
+    search: async (query, params = {}) => {
+        const queryString = new URLSearchParams({ q: query, ...params }).toString();
+        return apiRequest(`/search?${queryString}`);
+    }
+};
+
+/**
+ * Document conversations API (chat)
+ */
+const ConversationsAPI = {
+    getAll: async (params = {}) => {
+        const query = new URLSearchParams(params).toString();
+        return apiRequest(`/conversations${query ? '?' + query : ''}`);
+    },
+
+    getById: async (id) => {
+        return apiRequest(`/conversations/${id}`);
+    },
+
+    create: async (documentIds, options = {}) => {
+        return apiRequest('/conversations', {
+            method: 'POST',
+            body: JSON.stringify({ documentIds, ...options })
+        });
+    },
+
+    update: async (id, data) => {
+        return apiRequest(`/conversations/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    },
+
+    delete: async (id) => {
+        return apiRequest(`/conversations/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    sendMessage: async (id, content, options = {}) => {
+        return apiRequest(`/conversations/${id}/messages`, {
+            method: 'POST',
+            body: JSON.stringify({ content, ...options })
+        });
+    }
+};
+
+/**
+ * Live events API (Server-Sent Events)
+ */
+const EventsAPI = {
+    // handlers: { 'document.status': fn, 'summary.created': fn, ... }
+    connect: (handlers = {}) => {
+        const token = encodeURIComponent(TokenManager.get());
+        const source = new EventSource(`${API_BASE_URL}/events?token=${token}`);
+
+        Object.entries(handlers).forEach(([event, handler]) => {
+            source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+        });
+
+        return source;
+    }
+};
+
 /**
  * Health check
  */
@@ -333,5 +575,9 @@ window.API = {
     Auth: AuthAPI,
     Documents: DocumentsAPI,
     Summaries: SummariesAPI,
+    Prompts: PromptsAPI,
+    Search: SearchAPI,
+    Conversations: ConversationsAPI,
+    Events: EventsAPI,
     checkHealth
 };
\ No newline at end of file
@@ -7,6 +7,19 @@ let documents = [];
 let summaries = [];
 let selectedDocuments = new Set();
 let currentTab = 'documents';
+let eventSource = null;
+
+// Models whose provider is configured (for regenerating summaries)
+let summaryModels = [];
+
+// Revisions shown in the summary modal
+let summaryRevisions = [];
+
+// Chat: documents of the open chat and the selected conversation (null = new)
+let chat = { documentIds: [], conversationId: null };
+
+// Upload formats (same extensions as the server's loaders)
+const SUPPORTED_EXTENSIONS = ['.pdf', '.docx', '.txt', '.md', '.markdown', '.html', '.htm', '.xhtml', '.epub'];
 
 // Initialize dashboard
 document.addEventListener('DOMContentLoaded', async () => {
@@ -20,12 +33,84 @@ document.addEventListener('DOMContentLoaded', async () => {
     setupNavbar();
     setupTabs();
     setupUploadArea();
+    setupSearch();
+    setupChat();
     setupModals();
 
     // Load initial data
     await loadDashboardData();
+
+    // Live updates
+    subscribeToEvents();
 });
 
+/**
+ * Subscribe to live document and summary events
+ */
+function subscribeToEvents() {
+    eventSource = API.Events.connect({
+        'document.status': handleDocumentStatusEvent,
+        'summary.created': handleSummaryCreatedEvent,
+        'summary.updated': handleSummaryUpdatedEvent,
+        'summary.deleted': handleSummaryDeletedEvent
+    });
+}
+
+/**
+ * Update a document row in place when its status changes
+ */
+function handleDocumentStatusEvent(event) {
+    const doc = documents.find(d => d.id === event.id);
+    if (!doc) return;
+
+    Object.assign(doc, {
+        status: event.status,
+        pageCount: event.pageCount,
+        ocrStatus: event.ocrStatus,
+        errorMessage: event.errorMessage,
+        updatedAt: event.updatedAt
+    });
+
+    const row = document.querySelector(`#documentsList .document-item[data-id="${event.id}"]`);
+    if (row) {
+        row.outerHTML = renderDocumentItem(doc);
+    }
+
+    if (event.status === 'error') {
+        showToast(`${doc.originalName}: ${event.errorMessage || 'processing failed'}`, 'error');
+    }
+}
+
+/**
+ * Add a new summary to the list
+ */
+function handleSummaryCreatedEvent(summary) {
+    if (summaries.some(s => s.id === summary.id)) return;
+    summaries.unshift(summary);
+    renderSummaries();
+    loadStats();
+}
+
+/**
+ * Refresh a summary in the list after a manual edit or restore
+ */
+function handleSummaryUpdatedEvent(event) {
+    const summary = summaries.find(s => s.id === event.id);
+    if (!summary) return;
+
+    Object.assign(summary, event);
+    renderSummaries();
+}
+
+/**
+ * Remove a deleted summary from the list
+ */
+function handleSummaryDeletedEvent(event) {
+    summaries = summaries.filter(s => s.id !== event.id);
+    renderSummaries();
+    loadStats();
+}
+
 /**
  * Setup navbar with user info
  */
@@ -105,11 +190,11 @@ function setupUploadArea() {
         e.preventDefault();
         uploadArea.classList.remove('dragover');
         
-        const files = Array.from(e.dataTransfer.files).filter(f => f.type === 'application/pdf');
+        const files = Array.from(e.dataTransfer.files).filter(isSupportedFile);
         if (files.length > 0) {
             await handleFileUpload(files);
         } else {
-            showToast('Please upload PDF files only', 'error');
+            showToast('Please upload PDF, DOCX, TXT, Markdown, HTML or EPUB files only', 'error');
         }
     });
 
@@ -123,6 +208,22 @@ function setupUploadArea() {
     });
 }
 
+/**
+ * Check file extension against the supported upload formats
+ */
+function isSupportedFile(file) {
+    const dot = file.name.lastIndexOf('.');
+    return dot > 0 && SUPPORTED_EXTENSIONS.includes(file.name.slice(dot).toLowerCase());
+}
+
+/**
+ * Short file type label for document icons (PDF, DOCX, MD...)
+ */
+function fileTypeLabel(filename) {
+    const dot = (filename || '').lastIndexOf('.');
+    return dot > 0 ? filename.slice(dot + 1).toUpperCase().slice(0, 4) : 'DOC';
+}
+
 /**
  * Handle file upload
  */
@@ -131,13 +232,23 @@ async function handleFileUpload(files) {
 
     try {
         if (files.length === 1) {
-            await API.Documents.upload(files[0], (progress) => {
+            const result = await API.Documents.upload(files[0], (progress) => {
                 updateLoadingMessage(`Uploading... ${progress}%`);
             });
-            showToast('Document uploaded successfully', 'success');
+            // Identical files are linked to the existing document instead of stored again
+            if (result.duplicate) {
+                showToast(`Already uploaded as ${result.document.originalName}`, 'info');
+            } else {
+                showToast('Document uploaded successfully', 'success');
+            }
         } else {
-            await API.Documents.uploadMultiple(files);
-            showToast(`${files.length} documents uploaded successfully`, 'success');
+            const result = await API.Documents.uploadMultiple(files);
+            const uploaded = files.length - (result.duplicates || 0);
+            if (result.duplicates) {
+                showToast(`${uploaded} documents uploaded, ${result.duplicates} already uploaded`, 'info');
+            } else {
+                showToast(`${uploaded} documents uploaded successfully`, 'success');
+            }
         }
         
         await loadDocuments();
@@ -160,6 +271,10 @@ async function loadDashboardData() {
             loadStats(),
             loadDocuments(),
             loadSummaries(),
+            loadSummaryStyles(),
+            loadSummaryLanguages(),
+            loadSummaryModels(),
+            loadPromptTemplates(),
             checkApiStatus()
         ]);
     } catch (error) {
@@ -175,20 +290,122 @@ async function loadDashboardData() {
  */
 async function loadStats() {
     try {
-        const [docsData, summariesData] = await Promise.all([
+        const [docsData, summariesData, usageData] = await Promise.all([
             API.Documents.getAll({ limit: 1 }),
-            API.Summaries.getAll({ limit: 1 })
+            API.Summaries.getAll({ limit: 1 }),
+            API.Auth.getUsage()
         ]);
 
         document.getElementById('totalDocuments').textContent = docsData.pagination.total;
         document.getElementById('totalSummaries').textContent = summariesData.pagination.total;
+
+        // A limit of 0 means unlimited
+        const { usage } = usageData;
+        const withLimit = (used, limit) => limit > 0
+            ? `${used.toLocaleString()} / ${limit.toLocaleString()}`
+            : used.toLocaleString();
+        document.getElementById('summariesToday').textContent =
+            withLimit(usage.summariesToday, usage.limits.summariesPerDay);
+        document.getElementById('tokensThisMonth').textContent =
+            withLimit(usage.tokensThisMonth, usage.limits.tokensPerMonth);
     } catch (error) {
         console.error('Failed to load stats:', error);
     }
 }
 
 /**
- * Check OpenAI API status
+ * Fill the summary style selector
+ */
+async function loadSummaryStyles() {
+    try {
+        const { styles } = await API.Summaries.getStyles();
+        const select = document.getElementById('summaryStyle');
+        if (!select) return;
+
+        select.innerHTML = styles.map(style => `
+            <option value="${style.id}" title="${style.description}" ${style.isDefault ? 'selected' : ''}>
+                ${style.label}
+            </option>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load summary styles:', error);
+    }
+}
+
+/**
+ * Selected summary style (server default when the list failed to load)
+ */
+function getSelectedStyle() {
+    return document.getElementById('summaryStyle')?.value || undefined;
+}
+
+/**
+ * Fill the summary language selector, preselecting the user's default
+ */
+async function loadSummaryLanguages() {
+    try {
+        const { languages, defaultLanguage } = await API.Summaries.getLanguages();
+        const select = document.getElementById('summaryLanguage');
+        if (!select) return;
+
+        select.innerHTML = languages.map(language => `
+            <option value="${language.id}" ${language.id === defaultLanguage ? 'selected' : ''}>
+                ${language.label}
+            </option>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load summary languages:', error);
+    }
+}
+
+/**
+ * Selected summary language (server default when the list failed to load)
+ */
+function getSelectedLanguage() {
+    return document.getElementById('summaryLanguage')?.value || undefined;
+}
+
+/**
+ * Load the models available for regenerating summaries
+ */
+async function loadSummaryModels() {
+    try {
+        const { models } = await API.Summaries.getModels();
+        summaryModels = models;
+    } catch (error) {
+        console.error('Failed to load models:', error);
+    }
+}
+
+/**
+ * Fill the prompt template selector (hidden when the user has none)
+ */
+async function loadPromptTemplates() {
+    try {
+        const { templates } = await API.Prompts.getAll({ limit: 100 });
+        const select = document.getElementById('summaryPromptTemplate');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Prompts do estilo</option>' + templates.map(template => `
+            <option value="${template.id}" title="${escapeHtml(template.description || '')}">
+                ${escapeHtml(template.name)} (v${template.version})
+            </option>
+        `).join('');
+        select.classList.toggle('hidden', templates.length === 0);
+    } catch (error) {
+        console.error('Failed to load prompt templates:', error);
+    }
+}
+
+/**
+ * Selected prompt template (none by default)
+ */
+function getSelectedPromptTemplate() {
+    return document.getElementById('summaryPromptTemplate')?.value || undefined;
+}
+
+/**
+ * Check LLM provider status
  */
 async function checkApiStatus() {
     try {
@@ -196,10 +413,11 @@ async function checkApiStatus() {
         const statusEl = document.getElementById('apiStatus');
         
         if (statusEl) {
+            const model = status.langchain?.defaultModel || 'LLM';
             if (status.langchain && status.langchain.configured) {
-                statusEl.innerHTML = '<span class="badge badge-success">OpenAI Connected</span>';
+                statusEl.innerHTML = `<span class="badge badge-success">${model} Connected</span>`;
             } else {
-                statusEl.innerHTML = '<span class="badge badge-warning">OpenAI Not Configured</span>';
+                statusEl.innerHTML = `<span class="badge badge-warning">${model} Not Configured</span>`;
             }
         }
     } catch (error) {
@@ -232,24 +450,36 @@ function renderDocuments() {
             <div class="empty-state">
                 <div class="empty-icon">📄</div>
                 <h3>No documents yet</h3>
-                <p>Upload your first PDF to get started</p>
+                <p>Upload your first document to get started</p>
             </div>
         `;
         return;
     }
 
-    container.innerHTML = documents.map(doc => `
+    container.innerHTML = documents.map(renderDocumentItem).join('');
+
+    updateSelectionActions();
+}
+
+/**
+ * Render a single document row
+ */
+function renderDocumentItem(doc) {
+    return `
         <div class="document-item ${selectedDocuments.has(doc.id) ? 'selected' : ''}" data-id="${doc.id}">
             <input type="checkbox" class="document-checkbox" 
                    ${selectedDocuments.has(doc.id) ? 'checked' : ''} 
                    onchange="toggleDocumentSelection('${doc.id}')">
-            <div class="document-icon">PDF</div>
+            <div class="document-icon">${fileTypeLabel(doc.originalName)}</div>
             <div class="document-info">
                 <div class="document-name" title="${doc.originalName}">${doc.originalName}</div>
                 <div class="document-meta">
                     <span>${formatFileSize(doc.fileSize)}</span>
                     <span>${doc.pageCount ? doc.pageCount + ' pages' : ''}</span>
+                    ${doc.metadata?.author ? `<span title="Author">${escapeHtml(doc.metadata.author)}</span>` : ''}
+                    ${doc.tableCount ? `<span>${doc.tableCount} table${doc.tableCount > 1 ? 's' : ''}</span>` : ''}
                     <span class="badge badge-${getStatusBadgeClass(doc.status)}">${doc.status}</span>
+                    ${renderOcrBadge(doc)}
                 </div>
             </div>
             <div class="document-actions">
@@ -260,17 +490,36 @@ function renderDocuments() {
                 <button class="btn btn-sm btn-outline" onclick="viewDocument('${doc.id}')" title="Visualizar texto">
                     View
                 </button>
-                <button class="btn btn-sm btn-success" onclick="downloadDocument('${doc.id}', '${doc.originalName}')" title="Baixar PDF original">
-                    ⬇ PDF
+                <button class="btn btn-sm btn-outline" onclick="openChat(['${doc.id}'])"
+                        ${doc.status !== 'processed' ? 'disabled' : ''} title="Conversar sobre o documento">
+                    Chat
+                </button>
+                <button class="btn btn-sm btn-success" onclick="downloadDocument('${doc.id}', '${doc.originalName}')" title="Baixar arquivo original">
+                    ⬇ ${fileTypeLabel(doc.originalName)}
                 </button>
+                ${doc.tableCount ? `
+                <button class="btn btn-sm btn-outline" onclick="downloadDocumentTables('${doc.id}')" title="Baixar tabelas (CSV)">
+                    ⬇ Tables
+                </button>` : ''}
                 <button class="btn btn-sm btn-danger" onclick="deleteDocument('${doc.id}')" title="Deletar">
                     Delete
                 </button>
             </div>
         </div>
-    `).join('');
+    `;
+}
 
-    updateSelectionActions();
+/**
+ * Badge for scanned documents (OCR applied or unavailable)
+ */
+function renderOcrBadge(doc) {
+    if (doc.ocrStatus === 'applied') {
+        return '<span class="badge badge-info" title="Texto reconhecido por OCR em páginas digitalizadas">OCR</span>';
+    }
+    if (doc.ocrStatus === 'unavailable' || doc.ocrStatus === 'failed') {
+        return '<span class="badge badge-warning" title="Páginas digitalizadas sem OCR">sem texto</span>';
+    }
+    return '';
 }
 
 /**
@@ -299,6 +548,9 @@ function updateSelectionActions() {
                     ${selectedDocuments.size < 2 ? 'disabled' : ''}>
                 Summarize Selected (${selectedDocuments.size})
             </button>
+            <button class="btn btn-sm btn-outline" onclick="chatSelected()">
+                Chat Selected
+            </button>
             <button class="btn btn-sm btn-danger" onclick="deleteSelected()">
                 Delete Selected
             </button>
@@ -313,7 +565,7 @@ function updateSelectionActions() {
 }
 
 /**
- * Download document PDF
+ * Download original document file
  */
 async function downloadDocument(docId, filename) {
     try {
@@ -330,7 +582,7 @@ async function downloadDocument(docId, filename) {
  */
 async function downloadDocumentText(docId, filename) {
     try {
-        const baseName = filename.replace('.pdf', '');
+        const baseName = filename.replace(/\.[^.]+$/, '');
         await API.Documents.downloadText(docId, `${baseName}_texto.txt`);
         showToast('Texto baixado com sucesso!', 'success');
     } catch (error) {
@@ -339,26 +591,32 @@ async function downloadDocumentText(docId, filename) {
 }
 
 /**
- * Summarize single document
+ * Download tables extracted from the document as CSV
  */
-async function summarizeDocument(docId) {
-    showLoading('Generating summary...');
-
+async function downloadDocumentTables(docId) {
     try {
-        const result = await API.Summaries.createSingle(docId);
-        showToast('Summary generated successfully', 'success');
-        await loadSummaries();
-        await loadStats();
-        
-        // Show the summary
-        showSummaryModal(result.summary);
+        await API.Documents.downloadTables(docId, 'csv');
+        showToast('Tables downloaded', 'success');
     } catch (error) {
-        showToast(error.message, 'error');
-    } finally {
-        hideLoading();
+        showToast(error.message || 'Erro ao baixar tabelas', 'error');
     }
 }
 
+/**
+ * Summarize single document
+ */
+async function summarizeDocument(docId) {
+    const doc = documents.find(d => d.id === docId);
+    const title = doc ? `Summary of ${doc.originalName}` : 'Summary';
+
+    await streamSummary('single', {
+        documentId: docId,
+        style: getSelectedStyle(),
+        language: getSelectedLanguage(),
+        promptTemplateId: getSelectedPromptTemplate()
+    }, title);
+}
+
 /**
  * Summarize multiple documents
  */
@@ -368,25 +626,61 @@ async function summarizeMultiple() {
         return;
     }
 
-    showLoading('Generating integrated summary...');
+    const documentIds = Array.from(selectedDocuments);
+    selectedDocuments.clear();
+    renderDocuments();
+
+    await streamSummary('multiple', {
+        documentIds,
+        style: getSelectedStyle(),
+        language: getSelectedLanguage(),
+        promptTemplateId: getSelectedPromptTemplate()
+    }, `Integrated Summary (${documentIds.length} documents)`);
+}
+
+/**
+ * Generate a summary showing tokens in the modal as they arrive
+ */
+async function streamSummary(type, body, title) {
+    const modal = document.getElementById('summaryModal');
+    const contentEl = modal.querySelector('.summary-content');
+    const metaEl = modal.querySelector('.summary-meta');
+
+    showSummaryModal({ title, content: '' }, { streaming: true });
+    metaEl.textContent = 'Starting...';
 
     try {
-        const result = await API.Summaries.createMultiple(Array.from(selectedDocuments));
-        showToast('Integrated summary generated successfully', 'success');
-        selectedDocuments.clear();
-        await loadDocuments();
-        await loadSummaries();
+        const summary = await API.Summaries.stream(type, body, {
+            progress: (progress) => {
+                metaEl.textContent = formatProgress(progress);
+            },
+            token: ({ text }) => {
+                contentEl.textContent += text;
+                contentEl.scrollTop = contentEl.scrollHeight;
+            }
+        });
+
+        showToast('Summary generated successfully', 'success');
+        showSummaryModal(summary);
         await loadStats();
-        
-        // Show the summary
-        showSummaryModal(result.summary);
     } catch (error) {
+        metaEl.textContent = '';
+        closeModal('summaryModal');
         showToast(error.message, 'error');
-    } finally {
-        hideLoading();
     }
 }
 
+/**
+ * Describe generation progress (phase, chunk N of M, document N of M)
+ */
+function formatProgress(progress) {
+    let text = progress.message || progress.phase;
+    if (progress.step && progress.step.total) {
+        text += ` (${progress.step.current}/${progress.step.total})`;
+    }
+    return text;
+}
+
 /**
  * View document text
  */
@@ -399,6 +693,83 @@ async function viewDocument(docId) {
     }
 }
 
+/**
+ * Setup the search bar
+ */
+function setupSearch() {
+    const form = document.getElementById('searchForm');
+    if (!form) return;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const query = document.getElementById('searchInput').value.trim();
+        const type = document.getElementById('searchType').value;
+        const container = document.getElementById('searchResults');
+
+        if (!query) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        try {
+            const data = await API.Search.search(query, type ? { type } : {});
+            renderSearchResults(data);
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+}
+
+/**
+ * Render search results with page hits and highlighted snippets
+ */
+function renderSearchResults(data) {
+    const container = document.getElementById('searchResults');
+    container.classList.remove('hidden');
+
+    if (data.results.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">🔍</div>
+                <h3>Nenhum resultado</h3>
+                <p>Nenhum documento ou resumo contém os termos buscados</p>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = data.results.map(result => {
+        const isDocument = result.type === 'document';
+        const pages = result.pages.map(p => `p. ${p.page} (${p.hits})`).join(', ');
+
+        return `
+            <div class="document-item" data-id="${result.id}">
+                <div class="document-icon" ${isDocument ? '' : 'style="background-color: var(--primary-color);"'}>
+                    ${isDocument ? escapeHtml(fileTypeLabel(result.title)) : 'AI'}
+                </div>
+                <div class="document-info">
+                    <div class="document-name" title="${escapeHtml(result.title)}">${escapeHtml(result.title)}</div>
+                    <div class="document-meta">
+                        <span class="badge badge-${isDocument ? 'info' : 'success'}">${isDocument ? 'documento' : 'resumo'}</span>
+                        ${pages ? `<span>${pages}</span>` : ''}
+                    </div>
+                    ${result.snippets.map(snippet => `
+                        <div class="search-snippet">
+                            ${snippet.page ? `<strong>p. ${snippet.page}:</strong> ` : ''}${snippet.html}
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="document-actions">
+                    <button class="btn btn-sm btn-outline" onclick="${isDocument ? 'viewDocument' : 'viewSummary'}('${result.id}')">
+                        View
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('') + `<p class="search-snippet">${data.pagination.total} resultado(s)</p>`;
+}
+
 /**
  * Delete single document
  */
@@ -479,6 +850,9 @@ function renderSummaries() {
                 <div class="document-meta">
                     <span class="badge badge-${summary.type === 'single' ? 'info' : 'success'}">${summary.type}</span>
                     <span>${summary.documentIds.length} document(s)</span>
+                    ${summary.version > 1 ? `<span class="badge badge-info" title="Regenerated version">v${summary.version}</span>` : ''}
+                    ${summary.fromCache ? '<span class="badge badge-warning" title="Served from the summary cache">cached</span>' : ''}
+                    ${summary.humanEdited ? '<span class="badge badge-success" title="Edited by hand">edited</span>' : ''}
                     <span>${formatDate(summary.createdAt)}</span>
                 </div>
             </div>
@@ -492,6 +866,15 @@ function renderSummaries() {
                 <button class="btn btn-sm btn-outline" onclick="downloadSummary('${summary.id}', 'md')" title="Baixar como Markdown">
                     ⬇ MD
                 </button>
+                <button class="btn btn-sm btn-outline" onclick="downloadSummary('${summary.id}', 'pdf')" title="Baixar como PDF">
+                    ⬇ PDF
+                </button>
+                <button class="btn btn-sm btn-outline" onclick="downloadSummary('${summary.id}', 'docx')" title="Baixar como Word (DOCX)">
+                    ⬇ DOCX
+                </button>
+                <button class="btn btn-sm btn-outline" onclick="downloadSummary('${summary.id}', 'html')" title="Baixar como HTML">
+                    ⬇ HTML
+                </button>
                 <button class="btn btn-sm btn-danger" onclick="deleteSummary('${summary.id}')" title="Deletar">
                     Delete
                 </button>
@@ -512,14 +895,287 @@ async function viewSummary(summaryId) {
     }
 }
 
+/**
+ * Switch the summary modal to an edit form
+ */
+async function editSummary(summaryId) {
+    try {
+        const { summary } = await API.Summaries.getOne(summaryId);
+        const modal = document.getElementById('summaryModal');
+
+        modal.querySelector('.modal-header h2').textContent = 'Edit summary';
+        modal.querySelector('.summary-meta').innerHTML = '';
+        modal.querySelector('.summary-content').innerHTML = `<div class="form-group"><input type="text" id="summaryEditTitle" class="form-input" maxlength="200"></div><textarea id="summaryEditContent" class="form-input" rows="16"></textarea>`;
+        document.getElementById('summaryEditTitle').value = summary.title;
+        document.getElementById('summaryEditContent').value = summary.content;
+
+        const modalActions = modal.querySelector('.modal-actions');
+        if (modalActions) {
+            modalActions.innerHTML = `
+                <button class="btn btn-primary" onclick="saveSummaryEdit('${summaryId}')">
+                    Save
+                </button>
+                <button class="btn btn-outline" onclick="viewSummary('${summaryId}')">
+                    Cancel
+                </button>
+            `;
+        }
+
+        openModal('summaryModal');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Save the edit form as a new revision
+ */
+async function saveSummaryEdit(summaryId) {
+    try {
+        const { message } = await API.Summaries.update(summaryId, {
+            title: document.getElementById('summaryEditTitle').value,
+            content: document.getElementById('summaryEditContent').value
+        });
+
+        showToast(message, 'success');
+        await viewSummary(summaryId);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Show the manual revisions of a summary, each with its changes and a restore button
+ */
+async function showSummaryRevisions(summaryId) {
+    try {
+        const { revisions, currentRevision } = await API.Summaries.getRevisions(summaryId, true);
+        summaryRevisions = revisions;
+        const modal = document.getElementById('summaryModal');
+
+        modal.querySelector('.modal-header h2').textContent = 'Revisions';
+        modal.querySelector('.summary-meta').innerHTML = '';
+
+        const describe = (r) => r.source === 'generated'
+            ? 'generated'
+            : r.source === 'restore' ? `restored r${r.restoredFrom}` : 'edited';
+
+        // No whitespace between the blocks: the content area keeps line breaks (pre-wrap)
+        modal.querySelector('.summary-content').innerHTML = revisions.length === 0
+            ? 'No manual edits yet'
+            : `<div class="version-list">
+                ${revisions.map(r => `
+                    <div class="version-item ${r.revision === currentRevision ? 'current' : ''}">
+                        <span>r${r.revision}</span>
+                        <span>${describe(r)}${r.authorName ? ' by ' + escapeHtml(r.authorName) : ''}</span>
+                        <span>${formatDate(r.createdAt)}</span>
+                        <a href="#" onclick="showRevisionChanges(${r.revision}); return false;">Changes</a>
+                        ${r.revision !== currentRevision ? `<a href="#" onclick="restoreSummaryRevision('${summaryId}', ${r.revision}); return false;">Restore</a>` : ''}
+                    </div>
+                `).join('')}
+            </div><div class="summary-diff"></div>`;
+
+        if (currentRevision) showRevisionChanges(currentRevision);
+
+        const modalActions = modal.querySelector('.modal-actions');
+        if (modalActions) {
+            modalActions.innerHTML = `
+                <button class="btn btn-outline" onclick="viewSummary('${summaryId}')">
+                    ← Back
+                </button>
+                <button class="btn btn-secondary" onclick="closeModal('summaryModal')">
+                    Fechar
+                </button>
+            `;
+        }
+
+        openModal('summaryModal');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Show the changes of a revision against the one before it
+ */
+function showRevisionChanges(number) {
+    const index = summaryRevisions.findIndex(r => r.revision === number);
+    if (index === -1) return;
+
+    const revision = summaryRevisions[index];
+    const before = summaryRevisions[index - 1] || revision;
+    document.querySelector('#summaryModal .summary-diff').innerHTML = renderSummaryDiff(
+        `${before.title}\n\n${before.content}`,
+        `${revision.title}\n\n${revision.content}`
+    );
+}
+
+/**
+ * Restore an earlier revision (kept as a new revision)
+ */
+async function restoreSummaryRevision(summaryId, revision) {
+    if (!confirm(`Restore revision ${revision}?`)) return;
+
+    try {
+        const { message } = await API.Summaries.restoreRevision(summaryId, revision);
+        showToast(message, 'success');
+        await showSummaryRevisions(summaryId);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Regenerate a summary as a new version with the model chosen in the modal
+ */
+async function regenerateSummary(summaryId) {
+    const model = document.getElementById('regenerateModel')?.value || undefined;
+    showLoading('Regenerating summary...');
+
+    try {
+        const { jobId } = await API.Summaries.regenerate(summaryId, { model });
+        const job = await API.Summaries.waitForJob(jobId, (job) => {
+            if (job.progress) updateLoadingMessage(formatProgress(job.progress));
+        });
+
+        showToast('New version generated', 'success');
+        await viewSummary(job.summaryId);
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Show the versions of a summary with a diff between two of them
+ */
+async function showSummaryHistory(summaryId) {
+    try {
+        const { versions } = await API.Summaries.getVersions(summaryId, true);
+        const modal = document.getElementById('summaryModal');
+        const current = versions.find(v => v.id === summaryId) || versions[versions.length - 1];
+        const previous = versions[versions.indexOf(current) - 1] || current;
+
+        modal.querySelector('.modal-header h2').textContent = `Versions — ${current.title}`;
+        modal.querySelector('.summary-meta').innerHTML = '';
+
+        // No whitespace between the blocks: the content area keeps line breaks (pre-wrap)
+        modal.querySelector('.summary-content').innerHTML = `<div class="version-list">
+                ${versions.map(v => `
+                    <label class="version-item ${v.id === summaryId ? 'current' : ''}">
+                        <input type="radio" name="diffFrom" value="${v.id}" ${v.id === previous.id ? 'checked' : ''} title="Compare from">
+                        <input type="radio" name="diffTo" value="${v.id}" ${v.id === current.id ? 'checked' : ''} title="Compare to">
+                        <span>v${v.version}</span>
+                        <span>${escapeHtml(v.model || '')}${v.style ? ' · ' + escapeHtml(v.style) : ''}${v.language ? ' · ' + escapeHtml(v.language) : ''}</span>
+                        <span>${formatDate(v.createdAt)}</span>
+                        <a href="#" onclick="viewSummary('${v.id}'); return false;">View</a>
+                    </label>
+                `).join('')}
+            </div><div class="summary-diff"></div>`;
+
+        const renderSelectedDiff = () => {
+            const from = versions.find(v => v.id === modal.querySelector('input[name="diffFrom"]:checked')?.value);
+            const to = versions.find(v => v.id === modal.querySelector('input[name="diffTo"]:checked')?.value);
+            if (from && to) {
+                modal.querySelector('.summary-diff').innerHTML = renderSummaryDiff(from.content, to.content);
+            }
+        };
+        modal.querySelectorAll('.version-list input').forEach(input => input.addEventListener('change', renderSelectedDiff));
+        renderSelectedDiff();
+
+        const modalActions = modal.querySelector('.modal-actions');
+        if (modalActions) {
+            modalActions.innerHTML = `
+                <button class="btn btn-outline" onclick="viewSummary('${summaryId}')">
+                    ← Back
+                </button>
+                <button class="btn btn-secondary" onclick="closeModal('summaryModal')">
+                    Fechar
+                </button>
+            `;
+        }
+
+        openModal('summaryModal');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Word diff between two texts as HTML (<del> removed, <ins> added)
+ * Common start and end are skipped before the LCS; long texts fall back to lines.
+ */
+function renderSummaryDiff(before, after) {
+    const split = (text, byLine) => byLine
+        ? (text || '').match(/[^\n]*\n?/g).filter(Boolean)
+        : (text || '').match(/\S+\s*|\s+/g) || [];
+
+    let a = split(before, false);
+    let b = split(after, false);
+    if (a.length * b.length > 4000000) {
+        a = split(before, true);
+        b = split(after, true);
+    }
+
+    const same = (x, y) => x.trim() === y.trim();
+    let start = 0;
+    while (start < a.length && start < b.length && same(a[start], b[start])) start++;
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && same(a[a.length - 1 - end], b[b.length - 1 - end])) end++;
+
+    const midA = a.slice(start, a.length - end);
+    const midB = b.slice(start, b.length - end);
+
+    // LCS lengths of the suffixes
+    const cols = midB.length + 1;
+    const lcs = new Uint32Array((midA.length + 1) * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+        for (let j = midB.length - 1; j >= 0; j--) {
+            lcs[i * cols + j] = same(midA[i], midB[j])
+                ? lcs[(i + 1) * cols + j + 1] + 1
+                : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
+
+    a.slice(0, start).forEach(text => push('same', text));
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+        if (i < midA.length && j < midB.length && same(midA[i], midB[j])) {
+            push('same', midB[j]);
+            i++;
+            j++;
+        } else if (i < midA.length && (j === midB.length || lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1])) {
+            push('removed', midA[i++]);
+        } else {
+            push('added', midB[j++]);
+        }
+    }
+    b.slice(b.length - end).forEach(text => push('same', text));
+
+    return parts.map(({ type, text }) => {
+        if (type === 'added') return `<ins class="diff-added">${escapeHtml(text)}</ins>`;
+        if (type === 'removed') return `<del class="diff-removed">${escapeHtml(text)}</del>`;
+        return escapeHtml(text);
+    }).join('');
+}
+
 /**
  * Download summary as file
  */
 async function downloadSummary(summaryId, format = 'txt') {
     try {
         showToast('Iniciando download...', 'info');
-        const extension = format === 'md' ? 'md' : 'txt';
-        await API.Summaries.download(summaryId, format, `resumo.${extension}`);
+        // The server names the file; this is only the fallback
+        await API.Summaries.download(summaryId, format, `resumo.${format}`);
         showToast('Resumo baixado com sucesso!', 'success');
     } catch (error) {
         showToast(error.message || 'Erro ao baixar resumo', 'error');
@@ -579,6 +1235,7 @@ function setupProfileForm(form) {
         form.querySelector('#profileFullName').value = user.fullName;
         form.querySelector('#profileEmail').value = user.email;
         form.querySelector('#profileDescription').value = user.description || '';
+        form.querySelector('#profileLanguage').value = user.preferredLanguage || 'pt';
     }
 
     form.addEventListener('submit', async (e) => {
@@ -587,7 +1244,8 @@ function setupProfileForm(form) {
         const formData = {
             fullName: form.querySelector('#profileFullName').value,
             email: form.querySelector('#profileEmail').value,
-            description: form.querySelector('#profileDescription').value
+            description: form.querySelector('#profileDescription').value,
+            preferredLanguage: form.querySelector('#profileLanguage').value
         };
 
         try {
@@ -595,6 +1253,7 @@ function setupProfileForm(form) {
             showToast('Profile updated successfully', 'success');
             closeModal('profileModal');
             setupNavbar(); // Refresh navbar
+            loadSummaryLanguages();
         } catch (error) {
             showToast(error.message, 'error');
         }
@@ -610,18 +1269,37 @@ function showProfileModal() {
 
 /**
  * Show summary modal
+ * With { streaming: true } the content is filled in as tokens arrive
  */
-function showSummaryModal(summary) {
+function showSummaryModal(summary, { streaming = false } = {}) {
     const modal = document.getElementById('summaryModal');
     if (!modal) return;
 
     modal.querySelector('.modal-header h2').textContent = summary.title;
-    modal.querySelector('.summary-content').textContent = summary.content;
+
+    if (streaming) {
+        modal.querySelector('.summary-content').textContent = summary.content;
+        const modalActions = modal.querySelector('.modal-actions');
+        if (modalActions) modalActions.innerHTML = '';
+        openModal('summaryModal');
+        return;
+    }
+
+    // Page citations ([p. N], [Doc K, p. N]) link to the cited page
+    modal.querySelector('.summary-content').innerHTML = renderPageCitations(summary.content, summary.documentIds || []);
+
     modal.querySelector('.summary-meta').innerHTML = `
         <span><strong>Type:</strong> ${summary.type}</span>
         <span><strong>Model:</strong> ${summary.model}</span>
-        <span><strong>Tokens:</strong> ${summary.tokensUsed || 'N/A'}</span>
+        ${summary.style ? `<span><strong>Style:</strong> ${summary.style}</span>` : ''}
+        ${summary.language ? `<span><strong>Language:</strong> ${summary.language}</span>` : ''}
+        ${summary.promptTemplateId ? `<span><strong>Template:</strong> v${summary.promptTemplateVersion}</span>` : ''}
+        <span title="Entrada: ${summary.promptTokens ?? 'N/A'} / Saída: ${summary.completionTokens ?? 'N/A'}"><strong>Tokens:</strong> ${summary.tokensUsed || 'N/A'}</span>
+        <span><strong>Cost:</strong> ${summary.estimatedCost != null ? '$' + summary.estimatedCost.toFixed(4) : 'N/A'}</span>
         <span><strong>Time:</strong> ${summary.processingTime ? (summary.processingTime / 1000).toFixed(1) + 's' : 'N/A'}</span>
+        ${summary.fromCache ? '<span><strong>Cache:</strong> hit</span>' : ''}
+        ${summary.version > 1 ? `<span><strong>Version:</strong> ${summary.version}</span>` : ''}
+        ${summary.humanEdited ? `<span><strong>Edited:</strong> ${formatDate(summary.editedAt)}</span>` : ''}
     `;
 
     // Add download buttons to modal
@@ -634,6 +1312,32 @@ function showSummaryModal(summary) {
             <button class="btn btn-outline" onclick="downloadSummary('${summary.id}', 'md')">
                 ⬇ Download Markdown
             </button>
+            <button class="btn btn-outline" onclick="downloadSummary('${summary.id}', 'pdf')">
+                ⬇ Download PDF
+            </button>
+            <button class="btn btn-outline" onclick="downloadSummary('${summary.id}', 'docx')">
+                ⬇ Download DOCX
+            </button>
+            <button class="btn btn-outline" onclick="downloadSummary('${summary.id}', 'html')">
+                ⬇ Download HTML
+            </button>
+            <button class="btn btn-outline" onclick="editSummary('${summary.id}')" title="Editar título e texto">
+                ✎ Edit
+            </button>
+            <button class="btn btn-outline" onclick="showSummaryRevisions('${summary.id}')" title="Edições manuais">
+                Revisions
+            </button>
+            <select id="regenerateModel" class="form-input form-input-inline" title="Modelo da nova versão">
+                ${summaryModels.map(model => `
+                    <option value="${model.id}" ${model.id === summary.model ? 'selected' : ''}>${model.id}</option>
+                `).join('')}
+            </select>
+            <button class="btn btn-primary" onclick="regenerateSummary('${summary.id}')" title="Gerar uma nova versão">
+                ↻ Regenerate
+            </button>
+            <button class="btn btn-outline" onclick="showSummaryHistory('${summary.id}')" title="Versões do resumo">
+                History
+            </button>
             <button class="btn btn-secondary" onclick="closeModal('summaryModal')">
                 Fechar
             </button>
@@ -643,6 +1347,50 @@ function showSummaryModal(summary) {
     openModal('summaryModal');
 }
 
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Summary content as HTML with page citations turned into links
+ * [p. N] refers to the first document, [Doc K, p. N] to the K-th one.
+ */
+function renderPageCitations(content, documentIds) {
+    return escapeHtml(content).replace(
+        /\[(?:Doc\.?\s*(\d+),\s*)?pp?\.\s*(\d+(?:\s*[-–,]\s*\d+)*)\]/gi,
+        (citation, documentNumber, pages) => {
+            const docId = documentIds[(documentNumber ? parseInt(documentNumber) : 1) - 1];
+            if (!docId) return citation;
+
+            const page = parseInt(pages);
+            return `<a href="#" class="page-citation" onclick="viewDocumentPage('${docId}', ${page}); return false;" title="Ver página ${page}">${citation}</a>`;
+        }
+    );
+}
+
+/**
+ * Show the text of one document page
+ */
+async function viewDocumentPage(docId, page) {
+    try {
+        const data = await API.Documents.getPage(docId, page);
+        const modal = document.getElementById('documentModal');
+
+        modal.querySelector('.modal-header h2').textContent = `${data.originalName} — p. ${data.page}/${data.pageCount}`;
+        modal.querySelector('.document-text').textContent = data.text || 'Página sem texto';
+        openModal('documentModal');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
 /**
  * Show document modal
  */
@@ -658,7 +1406,7 @@ function showDocumentModal(doc) {
     if (modalActions) {
         modalActions.innerHTML = `
             <button class="btn btn-success" onclick="downloadDocument('${doc.id}', '${doc.originalName}')">
-                ⬇ Download PDF
+                ⬇ Download ${fileTypeLabel(doc.originalName)}
             </button>
             <button class="btn btn-outline" onclick="downloadDocumentText('${doc.id}', '${doc.originalName}')">
                 ⬇ Download Texto
@@ -672,6 +1420,208 @@ function showDocumentModal(doc) {
     openModal('documentModal');
 }
 
+/**
+ * Setup the chat form and conversation controls
+ */
+function setupChat() {
+    const form = document.getElementById('chatForm');
+    if (!form) return;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await sendChatMessage();
+    });
+
+    document.getElementById('chatConversation').addEventListener('change', (e) => {
+        selectConversation(e.target.value || null);
+    });
+
+    document.getElementById('chatDeleteBtn').addEventListener('click', deleteConversation);
+}
+
+/**
+ * Open the chat panel for one or more documents
+ * With a single document, its previous conversations can be resumed.
+ */
+async function openChat(documentIds) {
+    chat = { documentIds, conversationId: null };
+
+    const names = documentIds.map(id => documents.find(d => d.id === id)?.originalName || 'Documento');
+    const modal = document.getElementById('chatModal');
+    modal.querySelector('.modal-header h2').textContent = names.length === 1
+        ? `Conversa: ${names[0]}`
+        : `Conversa: ${names.length} documentos`;
+
+    let conversations = [];
+    if (documentIds.length === 1) {
+        try {
+            const data = await API.Conversations.getAll({ documentId: documentIds[0] });
+            conversations = data.conversations;
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    }
+
+    const select = document.getElementById('chatConversation');
+    select.innerHTML = '<option value="">Nova conversa</option>' + conversations.map(c =>
+        `<option value="${c.id}">${escapeHtml(c.title)} (${formatDate(c.updatedAt)})</option>`
+    ).join('');
+    select.classList.toggle('hidden', conversations.length === 0);
+
+    await selectConversation(conversations[0]?.id || null);
+    openModal('chatModal');
+    document.getElementById('chatInput').focus();
+}
+
+/**
+ * Chat about the selected documents
+ */
+async function chatSelected() {
+    const documentIds = Array.from(selectedDocuments);
+    selectedDocuments.clear();
+    renderDocuments();
+
+    await openChat(documentIds);
+}
+
+/**
+ * Show a conversation's messages (null starts a new one)
+ */
+async function selectConversation(conversationId) {
+    chat.conversationId = conversationId;
+    document.getElementById('chatConversation').value = conversationId || '';
+    document.getElementById('chatDeleteBtn').classList.toggle('hidden', !conversationId);
+
+    if (!conversationId) {
+        renderChatMessages([]);
+        return;
+    }
+
+    try {
+        const data = await API.Conversations.getById(conversationId);
+        renderChatMessages(data.messages);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Render chat messages with the cited sources of each answer
+ */
+function renderChatMessages(messages) {
+    const container = document.getElementById('chatMessages');
+    container.innerHTML = '';
+
+    if (messages.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">💬</div>
+                <h3>Nenhuma mensagem</h3>
+                <p>As respostas usam os trechos do documento e citam as páginas</p>
+            </div>
+        `;
+        return;
+    }
+
+    messages.forEach(appendChatMessage);
+}
+
+/**
+ * Append one message to the chat (content is set as text, never as HTML)
+ */
+function appendChatMessage(message) {
+    const container = document.getElementById('chatMessages');
+    container.querySelector('.empty-state')?.remove();
+
+    const item = document.createElement('div');
+    item.className = `chat-message ${message.role}`;
+    item.textContent = message.content;
+
+    if (message.citations?.length) {
+        const sources = document.createElement('div');
+        sources.className = 'chat-sources';
+        message.citations.forEach((c, index) => {
+            if (index > 0) sources.append(' · ');
+
+            const label = `[${c.source}] ${c.documentName}${c.page ? `, p. ${c.page}` : ''}`;
+            if (!c.page) {
+                sources.append(label);
+                return;
+            }
+
+            const link = document.createElement('a');
+            link.href = '#';
+            link.className = 'page-citation';
+            link.textContent = label;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                viewDocumentPage(c.documentId, c.page);
+            });
+            sources.appendChild(link);
+        });
+        item.appendChild(sources);
+    }
+
+    container.appendChild(item);
+    container.scrollTop = container.scrollHeight;
+    return item;
+}
+
+/**
+ * Send the chat input (creates the conversation on the first message)
+ */
+async function sendChatMessage() {
+    const input = document.getElementById('chatInput');
+    const content = input.value.trim();
+    if (!content) return;
+
+    input.value = '';
+    input.disabled = true;
+    const pending = appendChatMessage({ role: 'user', content });
+    const thinking = appendChatMessage({ role: 'assistant', content: '...' });
+
+    try {
+        if (!chat.conversationId) {
+            const data = await API.Conversations.create(chat.documentIds, { language: getSelectedLanguage() });
+            chat.conversationId = data.conversation.id;
+
+            const select = document.getElementById('chatConversation');
+            select.insertAdjacentHTML('beforeend', `<option value="${data.conversation.id}">${escapeHtml(data.conversation.title)}</option>`);
+            select.value = data.conversation.id;
+            document.getElementById('chatDeleteBtn').classList.remove('hidden');
+        }
+
+        const data = await API.Conversations.sendMessage(chat.conversationId, content);
+        pending.remove();
+        thinking.remove();
+        data.messages.forEach(appendChatMessage);
+    } catch (error) {
+        thinking.remove();
+        input.value = content;
+        showToast(error.message, 'error');
+    } finally {
+        input.disabled = false;
+        input.focus();
+    }
+}
+
+/**
+ * Delete the selected conversation
+ */
+async function deleteConversation() {
+    if (!chat.conversationId) return;
+    if (!confirm('Are you sure you want to delete this conversation?')) return;
+
+    try {
+        await API.Conversations.delete(chat.conversationId);
+        document.querySelector(`#chatConversation option[value="${chat.conversationId}"]`)?.remove();
+        showToast('Conversation deleted', 'success');
+        await selectConversation(null);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
 /**
  * Open modal
  */
@@ -801,13 +1751,24 @@ window.toggleDocumentSelection = toggleDocumentSelection;
 window.summarizeDocument = summarizeDocument;
 window.summarizeMultiple = summarizeMultiple;
 window.viewDocument = viewDocument;
+window.viewDocumentPage = viewDocumentPage;
+window.openChat = openChat;
+window.chatSelected = chatSelected;
 window.deleteDocument = deleteDocument;
 window.deleteSelected = deleteSelected;
 window.clearSelection = clearSelection;
 window.viewSummary = viewSummary;
+window.regenerateSummary = regenerateSummary;
+window.editSummary = editSummary;
+window.saveSummaryEdit = saveSummaryEdit;
+window.showSummaryRevisions = showSummaryRevisions;
+window.showRevisionChanges = showRevisionChanges;
+window.restoreSummaryRevision = restoreSummaryRevision;
+window.showSummaryHistory = showSummaryHistory;
 window.deleteSummary = deleteSummary;
 window.downloadDocument = downloadDocument;
 window.downloadDocumentText = downloadDocumentText;
+window.downloadDocumentTables = downloadDocumentTables;
 window.downloadSummary = downloadSummary;
 window.showProfileModal = showProfileModal;
 window.closeModal = closeModal;
\ No newline at end of file
@@ -0,0 +1,56 @@
+import 'dotenv/config';
+import fs from 'fs';
+import { createAdapter, DEFAULT_PATHS } from '../src/config/storage/index.js';
+import { COLLECTIONS } from '../src/config/storage/schema.js';
+
+/**
+ * One-shot migration: import an existing database.json into SQLite
+ *
+ * Usage: npm run db:migrate -- [source.json] [target.sqlite]
+ * Defaults to ./database.json and ./database.sqlite (or DB_STORAGE when it
+ * is not a .json file). Records whose id already exists are skipped, so the
+ * script can be re-run safely.
+ */
+
+const sourcePath = process.argv[2] || DEFAULT_PATHS.json;
+const envTarget = process.env.DB_STORAGE && !process.env.DB_STORAGE.endsWith('.json')
+    ? process.env.DB_STORAGE
+    : null;
+const targetPath = process.argv[3] || envTarget || DEFAULT_PATHS.sqlite;
+
+if (!fs.existsSync(sourcePath)) {
+    console.error(`❌ Source file not found: ${sourcePath}`);
+    process.exit(1);
+}
+
+console.log(`📦 Migrating ${sourcePath} → ${targetPath}`);
+
+const source = JSON.parse(fs.readFileSync(sourcePath, 'utf-8'));
+const target = createAdapter({ driver: 'sqlite', filePath: targetPath });
+
+try {
+    const stats = target.transaction(() => {
+        const result = {};
+        for (const collection of COLLECTIONS) {
+            const records = source[collection] || [];
+            let imported = 0;
+            for (const record of records) {
+                if (target.findOne(collection, { id: record.id })) continue;
+                target.insert(collection, record);
+                imported++;
+            }
+            result[collection] = { total: records.length, imported };
+        }
+        return result;
+    });
+
+    for (const [collection, { total, imported }] of Object.entries(stats)) {
+        console.log(`  ${collection}: ${imported} imported, ${total - imported} skipped`);
+    }
+    console.log('✅ Migration completed');
+} catch (error) {
+    console.error('❌ Migration failed, nothing was written:', error.message);
+    process.exitCode = 1;
+} finally {
+    target.close();
+}
@@ -1,176 +1,517 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const DB_PATH = process.env.DB_STORAGE || path.join(__dirname, '../../database.json');
-
-// Initialize database
-const initDB = () => {
-    if (!fs.existsSync(DB_PATH)) {
-        const initialData = {
-            users: [],
-            documents: [],
-            summaries: []
-        };
-        fs.writeFileSync(DB_PATH, JSON.stringify(initialData, null, 2));
+import { EventEmitter } from 'events';
+import { createAdapter, resolveStorageConfig, range } from './storage/index.js';
+
+/**
+ * Database
+ * Domain operations on top of a pluggable storage adapter (see ./storage).
+ * Driver is chosen by DB_DRIVER (sqlite | json), file by DB_STORAGE.
+ *
+ * Emits change events on `db.events` (each with the owner's userId):
+ * - document:status   { userId, document, previousStatus }
+ * - document:deleted  { userId, documentId }
+ * - document:chunks   { userId, documentId } (trechos/embeddings substituídos)
+ * - summary:created   { userId, summary }
+ * - summary:deleted   { userId, summaryId }
+ */
+
+const storageConfig = resolveStorageConfig();
+
+// Storage adapter instance
+const store = createAdapter(storageConfig);
+
+// Change notifications (consumed by the SSE stream)
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Shared pagination for list queries
+const listOptions = (options) => ({
+    orderBy: 'createdAt',
+    order: 'desc',
+    limit: options.limit > 0 ? options.limit : undefined,
+    offset: options.offset > 0 ? options.offset : undefined
+});
+
+// Remove os trechos indexados de um documento
+const removeDocumentChunks = (documentId) => {
+    for (const chunk of store.findMany('documentChunks', { where: { documentId } })) {
+        store.remove('documentChunks', chunk.id);
+    }
+};
+
+// Remove o texto salvo de cada página de um documento
+const removeDocumentPages = (documentId) => {
+    for (const page of store.findMany('documentPages', { where: { documentId } })) {
+        store.remove('documentPages', page.id);
     }
-    return JSON.parse(fs.readFileSync(DB_PATH, 'utf-8'));
 };
 
-// Save database
-const saveDB = (data) => {
-    fs.writeFileSync(DB_PATH, JSON.stringify(data, null, 2));
+// Remove as tabelas detectadas em um documento
+const removeDocumentTables = (documentId) => {
+    for (const table of store.findMany('documentTables', { where: { documentId } })) {
+        store.remove('documentTables', table.id);
+    }
 };
 
-// Database instance
-let data = initDB();
+// Remove as revisões manuais de um resumo
+const removeSummaryRevisions = (summaryId) => {
+    for (const revision of store.findMany('summaryRevisions', { where: { summaryId } })) {
+        store.remove('summaryRevisions', revision.id);
+    }
+};
+
+// Sem acentos e sem diferença de maiúsculas, para os filtros de texto
+const fold = (text) => String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+// Filtros de texto sobre os metadados do documento (contém)
+const METADATA_TEXT_FILTERS = ['title', 'author', 'subject', 'keywords', 'creator', 'producer'];
+
+// O documento atende aos filtros de metadados?
+const matchesMetadata = (document, filters) => {
+    const metadata = document.metadata || {};
+
+    for (const field of METADATA_TEXT_FILTERS) {
+        if (filters[field] && !(metadata[field] && fold(metadata[field]).includes(fold(filters[field])))) {
+            return false;
+        }
+    }
+
+    // Idioma: 'pt' atende 'pt' e 'pt-BR'
+    if (filters.language) {
+        const language = fold(metadata.language || '');
+        const wanted = fold(filters.language);
+        if (language !== wanted && !language.startsWith(`${wanted}-`)) return false;
+    }
+
+    if (filters.creationDateFrom && !(metadata.creationDate >= filters.creationDateFrom)) return false;
+    if (filters.creationDateTo && !(metadata.creationDate <= filters.creationDateTo)) return false;
+    if (filters.hasOutline !== undefined && (document.outline?.length > 0) !== filters.hasOutline) return false;
+
+    return true;
+};
 
 const db = {
-    get data() {
-        return data;
+    get driver() {
+        return store.driver;
     },
 
+    events,
+
     // User operations
     createUser(user) {
         user.createdAt = new Date().toISOString();
         user.updatedAt = new Date().toISOString();
-        data.users.push(user);
-        saveDB(data);
-        return user;
+        return store.insert('users', user);
     },
 
     findUserById(id) {
-        return data.users.find(u => u.id === id);
+        return store.findOne('users', { id });
     },
 
     findUserByUsername(username) {
-        return data.users.find(u => u.username === username);
+        return store.findOne('users', { username });
     },
 
     findUserByEmail(email) {
-        return data.users.find(u => u.email === email);
+        return store.findOne('users', { email });
     },
 
     findUserByUsernameOrEmail(identifier) {
-        return data.users.find(u => u.username === identifier || u.email === identifier);
+        return store.findOne('users', { username: identifier }) || store.findOne('users', { email: identifier });
     },
 
     updateUser(id, updates) {
-        const index = data.users.findIndex(u => u.id === id);
-        if (index !== -1) {
-            data.users[index] = { ...data.users[index], ...updates, updatedAt: new Date().toISOString() };
-            saveDB(data);
-            return data.users[index];
-        }
-        return null;
+        return store.update('users', id, { ...updates, updatedAt: new Date().toISOString() });
+    },
+
+    countUsers() {
+        return store.count('users');
     },
 
     // Document operations
     createDocument(doc) {
         doc.createdAt = new Date().toISOString();
         doc.updatedAt = new Date().toISOString();
-        data.documents.push(doc);
-        saveDB(data);
-        return doc;
+        return store.insert('documents', doc);
     },
 
     findDocumentById(id) {
-        return data.documents.find(d => d.id === id);
+        return store.findOne('documents', { id });
     },
 
     findDocumentsByUserId(userId, options = {}) {
-        let docs = data.documents.filter(d => d.userId === userId);
-        
-        if (options.status) {
-            docs = docs.filter(d => d.status === options.status);
-        }
-        
-        // Sort by createdAt descending
-        docs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        
-        const total = docs.length;
-        
-        if (options.offset) {
-            docs = docs.slice(options.offset);
-        }
-        if (options.limit) {
-            docs = docs.slice(0, options.limit);
+        const where = { userId, status: options.status || undefined };
+
+        // metadata/outline são json: os filtros por metadados são feitos aqui
+        const filters = options.metadata || {};
+        if (Object.values(filters).some(value => value !== undefined && value !== '')) {
+            const documents = store.findMany('documents', { where, ...listOptions({}) })
+                .filter(document => matchesMetadata(document, filters));
+            const offset = options.offset > 0 ? options.offset : 0;
+            const limit = options.limit > 0 ? options.limit : documents.length;
+            return { documents: documents.slice(offset, offset + limit), total: documents.length };
         }
-        
-        return { documents: docs, total };
+
+        const total = store.count('documents', where);
+        const documents = store.findMany('documents', { where, ...listOptions(options) });
+
+        return { documents, total };
+    },
+
+    // Documentos com o mesmo conteúdo (SHA-256), os mais recentes primeiro
+    findDocumentsByContentHash(contentHash, userId) {
+        return store.findMany('documents', {
+            where: { contentHash, userId: userId || undefined },
+            orderBy: 'createdAt',
+            order: 'desc'
+        });
+    },
+
+    findDocumentsByStatus(status) {
+        return store.findMany('documents', { where: { status }, orderBy: 'createdAt' });
+    },
+
+    findAllDocuments() {
+        return store.findMany('documents', { orderBy: 'createdAt' });
     },
 
     updateDocument(id, updates) {
-        const index = data.documents.findIndex(d => d.id === id);
-        if (index !== -1) {
-            data.documents[index] = { ...data.documents[index], ...updates, updatedAt: new Date().toISOString() };
-            saveDB(data);
-            return data.documents[index];
+        const previous = updates.status !== undefined ? store.findOne('documents', { id }) : null;
+        const document = store.update('documents', id, { ...updates, updatedAt: new Date().toISOString() });
+
+        if (document && previous && previous.status !== document.status) {
+            events.emit('document:status', { userId: document.userId, document, previousStatus: previous.status });
         }
-        return null;
+        return document;
     },
 
     deleteDocument(id) {
-        const index = data.documents.findIndex(d => d.id === id);
-        if (index !== -1) {
-            data.documents.splice(index, 1);
-            saveDB(data);
-            return true;
+        const document = store.findOne('documents', { id });
+        const deleted = store.transaction(() => {
+            removeDocumentChunks(id);
+            removeDocumentPages(id);
+            removeDocumentTables(id);
+            return store.remove('documents', id);
+        });
+        if (deleted && document) {
+            events.emit('document:deleted', { userId: document.userId, documentId: id });
         }
-        return false;
+        return deleted;
     },
 
     // Summary operations
     createSummary(summary) {
         summary.createdAt = new Date().toISOString();
         summary.updatedAt = new Date().toISOString();
-        data.summaries.push(summary);
-        saveDB(data);
-        return summary;
+        const created = store.insert('summaries', summary);
+        events.emit('summary:created', { userId: created.userId, summary: created });
+        return created;
     },
 
     findSummaryById(id) {
-        return data.summaries.find(s => s.id === id);
+        return store.findOne('summaries', { id });
     },
 
     findSummariesByUserId(userId, options = {}) {
-        let summaries = data.summaries.filter(s => s.userId === userId);
-        
-        if (options.type) {
-            summaries = summaries.filter(s => s.type === options.type);
-        }
-        
-        // Sort by createdAt descending
-        summaries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        
-        const total = summaries.length;
-        
-        if (options.offset) {
-            summaries = summaries.slice(options.offset);
-        }
-        if (options.limit) {
-            summaries = summaries.slice(0, options.limit);
-        }
-        
+        const where = { userId, type: options.type || undefined };
+
+        const total = store.count('summaries', where);
+        const summaries = store.findMany('summaries', { where, ...listOptions(options) });
+
         return { summaries, total };
     },
 
+    // Versões de um resumo: o original e as regerações ligadas a ele
+    findSummaryVersions(rootSummaryId) {
+        const root = store.findOne('summaries', { id: rootSummaryId });
+        const versions = store.findMany('summaries', { where: { rootSummaryId }, orderBy: 'version' });
+        return root ? [root, ...versions] : versions;
+    },
+
+    updateSummary(id, updates) {
+        const summary = store.update('summaries', id, { ...updates, updatedAt: new Date().toISOString() });
+        if (summary) {
+            events.emit('summary:updated', { userId: summary.userId, summary });
+        }
+        return summary;
+    },
+
     deleteSummary(id) {
-        const index = data.summaries.findIndex(s => s.id === id);
-        if (index !== -1) {
-            data.summaries.splice(index, 1);
-            saveDB(data);
-            return true;
+        const summary = store.findOne('summaries', { id });
+        const deleted = store.transaction(() => {
+            removeSummaryRevisions(id);
+            return store.remove('summaries', id);
+        });
+        if (deleted && summary) {
+            events.emit('summary:deleted', { userId: summary.userId, summaryId: id });
         }
-        return false;
+        return deleted;
+    },
+
+    // Registro de uso das cotas (só inserções)
+    recordUsage(entry) {
+        const now = new Date().toISOString();
+        return store.insert('usageLedger', { ...entry, createdAt: now, updatedAt: now });
+    },
+
+    findUsageByUserIdSince(userId, since) {
+        return store.findMany('usageLedger', {
+            where: { userId, createdAt: range({ gte: since }) },
+            orderBy: 'createdAt',
+            order: 'desc'
+        });
+    },
+
+    // Cache de resumos (uma entrada por chave)
+    findSummaryCacheEntry(key) {
+        return store.findOne('summaryCache', { key });
+    },
+
+    saveSummaryCacheEntry(entry) {
+        const now = new Date().toISOString();
+        return store.transaction(() => {
+            const existing = store.findOne('summaryCache', { key: entry.key });
+            if (existing) store.remove('summaryCache', existing.id);
+            return store.insert('summaryCache', { ...entry, createdAt: now, updatedAt: now });
+        });
+    },
+
+    updateSummaryCacheEntry(id, updates) {
+        return store.update('summaryCache', id, { ...updates, updatedAt: new Date().toISOString() });
+    },
+
+    removeSummaryCacheEntry(id) {
+        return store.remove('summaryCache', id);
+    },
+
+    removeExpiredSummaryCache(now = new Date().toISOString()) {
+        return store.removeMany('summaryCache', { expiresAt: range({ lte: now }) });
+    },
+
+    countSummaryCacheEntries() {
+        return store.count('summaryCache');
+    },
+
+    // Revisões manuais dos resumos
+    createSummaryRevision(revision) {
+        const now = new Date().toISOString();
+        return store.insert('summaryRevisions', { ...revision, createdAt: revision.createdAt || now, updatedAt: now });
+    },
+
+    findSummaryRevisions(summaryId) {
+        return store.findMany('summaryRevisions', { where: { summaryId }, orderBy: 'revision' });
+    },
+
+    findSummaryRevision(summaryId, revision) {
+        return store.findOne('summaryRevisions', { summaryId, revision });
+    },
+
+    // Job operations
+    createJob(job) {
+        job.createdAt = new Date().toISOString();
+        job.updatedAt = new Date().toISOString();
+        return store.insert('jobs', job);
+    },
+
+    findJobById(id) {
+        return store.findOne('jobs', { id });
+    },
+
+    findJobsByStatus(status) {
+        return store.findMany('jobs', { where: { status }, orderBy: 'runAt' });
+    },
+
+    findJobsByUserId(userId, options = {}) {
+        const where = { userId, status: options.status || undefined, type: options.type || undefined };
+
+        const total = store.count('jobs', where);
+        const jobs = store.findMany('jobs', { where, ...listOptions(options) });
+
+        return { jobs, total };
+    },
+
+    findActiveJob(type, resourceId) {
+        return store.findOne('jobs', { type, resourceId, status: ['queued', 'running'] });
+    },
+
+    updateJob(id, updates) {
+        return store.update('jobs', id, { ...updates, updatedAt: new Date().toISOString() });
+    },
+
+    // Document chunk operations (vector index)
+    replaceDocumentChunks(document, chunks) {
+        const now = new Date().toISOString();
+        store.transaction(() => {
+            removeDocumentChunks(document.id);
+            for (const chunk of chunks) {
+                store.insert('documentChunks', { ...chunk, createdAt: now, updatedAt: now });
+            }
+        });
+        events.emit('document:chunks', { userId: document.userId, documentId: document.id });
+    },
+
+    findDocumentChunksByUserId(userId, embeddingModel) {
+        return store.findMany('documentChunks', { where: { userId, embeddingModel }, orderBy: 'chunkIndex' });
+    },
+
+    countDocumentChunks(documentId) {
+        return store.count('documentChunks', { documentId });
+    },
+
+    // Texto de cada página (salvo na extração)
+    replaceDocumentPages(document, pages) {
+        const now = new Date().toISOString();
+        store.transaction(() => {
+            removeDocumentPages(document.id);
+            for (const page of pages) {
+                store.insert('documentPages', {
+                    ...page,
+                    userId: document.userId,
+                    documentId: document.id,
+                    createdAt: now,
+                    updatedAt: now
+                });
+            }
+        });
+    },
+
+    findDocumentPages(documentId) {
+        return store.findMany('documentPages', { where: { documentId }, orderBy: 'page' });
+    },
+
+    findDocumentPage(documentId, page) {
+        return store.findOne('documentPages', { documentId, page });
+    },
+
+    replaceDocumentTables(document, tables) {
+        const now = new Date().toISOString();
+        store.transaction(() => {
+            removeDocumentTables(document.id);
+            for (const table of tables) {
+                store.insert('documentTables', {
+                    ...table,
+                    userId: document.userId,
+                    documentId: document.id,
+                    createdAt: now,
+                    updatedAt: now
+                });
+            }
+        });
+    },
+
+    findDocumentTables(documentId) {
+        return store.findMany('documentTables', { where: { documentId }, orderBy: 'tableIndex' });
+    },
+
+    findDocumentTable(documentId, tableIndex) {
+        return store.findOne('documentTables', { documentId, tableIndex });
+    },
+
+    // Prompt template operations
+    createPromptTemplate(template) {
+        template.createdAt = new Date().toISOString();
+        template.updatedAt = new Date().toISOString();
+        return store.insert('promptTemplates', template);
+    },
+
+    findPromptTemplateById(id) {
+        return store.findOne('promptTemplates', { id });
+    },
+
+    findPromptTemplatesByUserId(userId, options = {}) {
+        const where = { userId };
+
+        const total = store.count('promptTemplates', where);
+        const templates = store.findMany('promptTemplates', { where, ...listOptions(options) });
+
+        return { templates, total };
+    },
+
+    updatePromptTemplate(id, updates) {
+        return store.update('promptTemplates', id, { ...updates, updatedAt: new Date().toISOString() });
+    },
+
+    deletePromptTemplate(id) {
+        return store.remove('promptTemplates', id);
+    },
+
+    // Conversation operations
+    createConversation(conversation) {
+        conversation.createdAt = new Date().toISOString();
+        conversation.updatedAt = new Date().toISOString();
+        return store.insert('conversations', conversation);
+    },
+
+    findConversationById(id) {
+        return store.findOne('conversations', { id });
+    },
+
+    findConversationsByUserId(userId, options = {}) {
+        const where = { userId };
+
+        // documentIds é uma lista (json): o filtro por documento é feito aqui
+        if (options.documentId) {
+            const conversations = store.findMany('conversations', { where, ...listOptions({}) })
+                .filter(conversation => conversation.documentIds?.includes(options.documentId));
+            const offset = options.offset > 0 ? options.offset : 0;
+            const limit = options.limit > 0 ? options.limit : conversations.length;
+            return { conversations: conversations.slice(offset, offset + limit), total: conversations.length };
+        }
+
+        const total = store.count('conversations', where);
+        const conversations = store.findMany('conversations', { where, ...listOptions(options) });
+
+        return { conversations, total };
+    },
+
+    updateConversation(id, updates) {
+        return store.update('conversations', id, { ...updates, updatedAt: new Date().toISOString() });
+    },
+
+    deleteConversation(id) {
+        return store.transaction(() => {
+            for (const message of store.findMany('conversationMessages', { where: { conversationId: id } })) {
+                store.remove('conversationMessages', message.id);
+            }
+            return store.remove('conversations', id);
+        });
+    },
+
+    // Salva as mensagens de uma rodada (pergunta + resposta) juntas
+    // createdAt pode vir preenchido (ex.: hora em que a pergunta foi feita)
+    addConversationMessages(conversationId, messages) {
+        const now = new Date().toISOString();
+        return store.transaction(() => {
+            const created = messages.map(message => store.insert('conversationMessages', {
+                createdAt: now,
+                ...message,
+                conversationId,
+                updatedAt: now
+            }));
+            store.update('conversations', conversationId, { updatedAt: now });
+            return created;
+        });
+    },
+
+    findConversationMessages(conversationId) {
+        return store.findMany('conversationMessages', { where: { conversationId }, orderBy: 'createdAt' });
+    },
+
+    countConversationMessages(conversationId) {
+        return store.count('conversationMessages', { conversationId });
+    },
+
+    // Run several operations atomically
+    transaction(fn) {
+        return store.transaction(fn);
     },
 
     // Reload data from disk
     reload() {
-        data = initDB();
+        store.reload();
+    },
+
+    close() {
+        store.close();
     }
 };
 
@@ -0,0 +1,115 @@
+import { OpenAIEmbeddings, AzureOpenAIEmbeddings } from '@langchain/openai';
+import { FakeEmbeddings } from './fakeEmbeddings.js';
+import { PROVIDERS, DEFAULT_MODEL } from './langchain.js';
+
+/**
+ * Modelos de embeddings (busca semântica / perguntas sobre os documentos)
+ * Usam os mesmos providers e variáveis de ambiente dos modelos de chat
+ * (ver config/langchain.js). A Anthropic não oferece embeddings.
+ */
+
+// Como criar o cliente de embeddings de cada provider
+const EMBEDDING_FACTORIES = {
+    openai: ({ model, dimensions }) => new OpenAIEmbeddings({
+        model,
+        dimensions,
+        apiKey: process.env.OPENAI_API_KEY,
+    }),
+
+    azure: ({ model, deployment }) => new AzureOpenAIEmbeddings({
+        model,
+        azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
+        azureOpenAIApiInstanceName: process.env.AZURE_OPENAI_API_INSTANCE_NAME,
+        azureOpenAIApiDeploymentName: deployment || model,
+        azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+    }),
+
+    local: ({ model }) => new OpenAIEmbeddings({
+        model,
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+        configuration: { baseURL: process.env.LOCAL_LLM_BASE_URL },
+    }),
+
+    fake: ({ dimensions }) => new FakeEmbeddings({ dimensions }),
+};
+
+// dimensions: tamanho dos vetores gerados
+export const EMBEDDING_CONFIG = {
+    'text-embedding-3-small': {
+        provider: 'openai',
+        dimensions: 1536
+    },
+    'text-embedding-3-large': {
+        provider: 'openai',
+        dimensions: 3072
+    },
+    'azure-text-embedding-3-small': {
+        provider: 'azure',
+        model: 'text-embedding-3-small',
+        deployment: process.env.AZURE_OPENAI_DEPLOYMENT_EMBEDDINGS || 'text-embedding-3-small',
+        dimensions: 1536
+    },
+    'nomic-embed-text': {
+        provider: 'local',
+        dimensions: 768
+    },
+    'mxbai-embed-large': {
+        provider: 'local',
+        dimensions: 1024
+    },
+    'fake': {
+        provider: 'fake',
+        dimensions: 256
+    },
+};
+
+// Com o modelo fake, os embeddings também ficam offline
+export const DEFAULT_EMBEDDING_MODEL = process.env.EMBEDDING_MODEL ||
+    (DEFAULT_MODEL === 'fake' ? 'fake' : 'text-embedding-3-small');
+
+/**
+ * Verifica se o provider do modelo de embeddings está configurado
+ */
+export function isEmbeddingConfigured(modelName = DEFAULT_EMBEDDING_MODEL) {
+    const config = EMBEDDING_CONFIG[modelName];
+    const provider = config && PROVIDERS[config.provider];
+    return !!provider && provider.isConfigured();
+}
+
+/**
+ * Mensagem explicando o que falta configurar para gerar embeddings
+ */
+export function getEmbeddingConfigurationError(modelName = DEFAULT_EMBEDDING_MODEL) {
+    const config = EMBEDDING_CONFIG[modelName];
+    if (!config) {
+        return `Embedding model "${modelName}" is not supported. Set EMBEDDING_MODEL in .env`;
+    }
+    const provider = PROVIDERS[config.provider];
+    return `${provider.label} is not configured. ${provider.missingConfigMessage}`;
+}
+
+/**
+ * Cria o cliente de embeddings do modelo
+ * @returns {import('@langchain/core/embeddings').Embeddings}
+ */
+export function createEmbeddings(modelName = DEFAULT_EMBEDDING_MODEL) {
+    if (!isEmbeddingConfigured(modelName)) {
+        throw new Error(getEmbeddingConfigurationError(modelName));
+    }
+
+    const config = EMBEDDING_CONFIG[modelName];
+
+    return EMBEDDING_FACTORIES[config.provider]({
+        model: config.model || modelName,
+        deployment: config.deployment,
+        dimensions: config.dimensions,
+    });
+}
+
+export default {
+    EMBEDDING_CONFIG,
+    DEFAULT_EMBEDDING_MODEL,
+    isEmbeddingConfigured,
+    getEmbeddingConfigurationError,
+    createEmbeddings
+};
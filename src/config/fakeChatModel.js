@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+import { countTokensWithEncoding } from './tokenizer.js';
+
+/**
+ * Fake chat model (offline, deterministic)
+ * Used for development and tests: no API key or network needed.
+ * The response is derived from the prompt (hash + excerpt of the input
+ * text), so the same input always produces the same summary. Token usage is
+ * reported like a real provider (usage_metadata), counted with the tokenizer.
+ *
+ * Environment:
+ * - FAKE_LLM_LATENCY_MS: delay before each response (default 50)
+ * - FAKE_LLM_ERROR_RATE: probability (0-1) of a simulated API error (default 0)
+ * A prompt containing FAKE_LLM_ERROR always fails.
+ */
+
+const EXCERPT_WORDS = 40;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 0 is a valid setting (no latency, no errors), so only invalid values fall back
+const envNumber = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+function messageText(message) {
+    if (typeof message.content === 'string') return message.content;
+    return message.content
+        .map(part => (typeof part === 'string' ? part : part.text || ''))
+        .join('');
+}
+
+/**
+ * Build the deterministic response for a prompt
+ */
+export function fakeResponse(prompt) {
+    const hash = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8);
+
+    // The prompts are Portuguese and end with an answer label: the style's
+    // outputLabel ("RESUMO:", "RESUMO EM TÓPICOS:", ...) or a map/combine label
+    // ("RESUMO CONCISO:", "RESPOSTA:"). The input follows the last paragraph
+    // ending with a colon ("...resuma o seguinte documento:", "Resumos dos
+    // documentos:"), so trailing label paragraphs are dropped and the rest
+    // after that paragraph is the input
+    const paragraphs = prompt
+        .split(/\n\s*\n/)
+        .map(p => p.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+    while (paragraphs.length > 1 && paragraphs[paragraphs.length - 1].endsWith(':')) {
+        paragraphs.pop();
+    }
+    const lastLabel = paragraphs.findLastIndex(p => p.endsWith(':'));
+    const content = paragraphs.slice(lastLabel + 1).join(' ');
+
+    const words = content.split(' ').filter(Boolean);
+    const excerpt = words.slice(0, EXCERPT_WORDS).join(' ');
+    const ellipsis = words.length > EXCERPT_WORDS ? '...' : '';
+
+    return `[fake ${hash}] Resumo simulado de ${words.length} palavras: ${excerpt}${ellipsis}`;
+}
+
+export class FakeChatModel extends BaseChatModel {
+    static lc_name() {
+        return 'FakeChatModel';
+    }
+
+    constructor(fields = {}) {
+        super(fields);
+        this.model = fields.model || 'fake';
+        this.encoding = fields.encoding;
+        this.streaming = fields.streaming ?? false;
+        this.latencyMs = fields.latencyMs ?? envNumber(process.env.FAKE_LLM_LATENCY_MS, 50);
+        this.errorRate = fields.errorRate ?? envNumber(process.env.FAKE_LLM_ERROR_RATE, 0);
+    }
+
+    _llmType() {
+        return 'fake';
+    }
+
+    // The default implementation downloads tiktoken ranks; stay offline
+    async getNumTokens(content) {
+        const text = typeof content === 'string' ? content : JSON.stringify(content);
+        return countTokensWithEncoding(text, this.encoding);
+    }
+
+    async simulateCall(messages) {
+        const prompt = messages.map(messageText).join('\n\n');
+
+        await sleep(this.latencyMs);
+
+        if (prompt.includes('FAKE_LLM_ERROR') || Math.random() < this.errorRate) {
+            throw new Error('Fake LLM simulated API error');
+        }
+
+        const text = fakeResponse(prompt);
+        const inputTokens = countTokensWithEncoding(prompt, this.encoding);
+        const outputTokens = countTokensWithEncoding(text, this.encoding);
+
+        return {
+            text,
+            usage: {
+                input_tokens: inputTokens,
+                output_tokens: outputTokens,
+                total_tokens: inputTokens + outputTokens
+            }
+        };
+    }
+
+    async _generate(messages, options, runManager) {
+        if (this.streaming) {
+            // Like ChatOpenAI with streaming: true, invoke() also emits token callbacks
+            let text = '';
+            let usage;
+            for await (const chunk of this._streamResponseChunks(messages, options, runManager)) {
+                text += chunk.text;
+                usage = chunk.message.usage_metadata || usage;
+            }
+            return {
+                generations: [{ text, message: new AIMessage({ content: text, usage_metadata: usage }) }]
+            };
+        }
+
+        const { text, usage } = await this.simulateCall(messages);
+        return {
+            generations: [{ text, message: new AIMessage({ content: text, usage_metadata: usage }) }]
+        };
+    }
+
+    async *_streamResponseChunks(messages, options, runManager) {
+        const { text, usage } = await this.simulateCall(messages);
+
+        // One chunk per word, keeping the separating space
+        for (const token of text.match(/\S+\s*/g) || []) {
+            yield new ChatGenerationChunk({
+                text: token,
+                message: new AIMessageChunk({ content: token })
+            });
+            await runManager?.handleLLMNewToken(token);
+        }
+
+        // Usage comes last, as in OpenAI's stream_options.include_usage
+        yield new ChatGenerationChunk({
+            text: '',
+            message: new AIMessageChunk({ content: '', usage_metadata: usage })
+        });
+    }
+}
+
+export default FakeChatModel;
@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+import { Embeddings } from '@langchain/core/embeddings';
+
+/**
+ * Fake embeddings (offline, deterministic)
+ * Used with the fake chat model for development and tests.
+ * Each word (lowercased, without accents) is hashed into one of `dimensions`
+ * buckets and the vector is L2-normalized, so texts sharing words are close
+ * in cosine similarity: retrieval behaves like a keyword search.
+ */
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+export class FakeEmbeddings extends Embeddings {
+    constructor(fields = {}) {
+        super(fields);
+        this.dimensions = fields.dimensions || 256;
+    }
+
+    embedText(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const words = text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().match(WORD_PATTERN) || [];
+
+        for (const word of words) {
+            const bucket = crypto.createHash('md5').update(word).digest().readUInt32BE(0) % this.dimensions;
+            vector[bucket] += 1;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+
+    async embedDocuments(documents) {
+        return documents.map(text => this.embedText(text));
+    }
+
+    async embedQuery(document) {
+        return this.embedText(document);
+    }
+}
+
+export default FakeEmbeddings;
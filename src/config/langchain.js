@@ -1,54 +1,299 @@
-import { ChatOpenAI } from '@langchain/openai';
+import { ChatOpenAI, AzureChatOpenAI } from '@langchain/openai';
+import { ChatAnthropic } from '@langchain/anthropic';
+import { FakeChatModel } from './fakeChatModel.js';
+import { countTokensWithEncoding, DEFAULT_ENCODING } from './tokenizer.js';
 
 /**
  * LangChain Configuration
  * múltiplos modelos e providers
  */
 
+/**
+ * Providers de LLM
+ * Cada provider sabe se está configurado (variáveis de ambiente) e como
+ * criar o ChatModel para uma entrada de MODEL_CONFIG.
+ */
+export const PROVIDERS = {
+    // OPENAI_API_KEY
+    openai: {
+        label: 'OpenAI',
+        isConfigured: () => !!process.env.OPENAI_API_KEY &&
+            process.env.OPENAI_API_KEY !== 'sk-your-openai-api-key-here',
+        missingConfigMessage: 'Set OPENAI_API_KEY in .env',
+        create: ({ model, temperature, maxTokens, streaming }) => new ChatOpenAI({
+            model,
+            temperature,
+            maxTokens,
+            // streaming: false would also disable .stream(), so only set it when needed
+            ...(streaming && { streaming }),
+            apiKey: process.env.OPENAI_API_KEY,
+        }),
+    },
+
+    // AZURE_OPENAI_API_KEY, AZURE_OPENAI_API_INSTANCE_NAME, AZURE_OPENAI_API_VERSION
+    azure: {
+        label: 'Azure OpenAI',
+        isConfigured: () => !!process.env.AZURE_OPENAI_API_KEY && !!process.env.AZURE_OPENAI_API_INSTANCE_NAME,
+        missingConfigMessage: 'Set AZURE_OPENAI_API_KEY and AZURE_OPENAI_API_INSTANCE_NAME in .env',
+        create: ({ model, deployment, temperature, maxTokens, streaming }) => new AzureChatOpenAI({
+            model,
+            temperature,
+            maxTokens,
+            ...(streaming && { streaming }),
+            azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
+            azureOpenAIApiInstanceName: process.env.AZURE_OPENAI_API_INSTANCE_NAME,
+            azureOpenAIApiDeploymentName: deployment || model,
+            azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+        }),
+    },
+
+    // ANTHROPIC_API_KEY
+    anthropic: {
+        label: 'Anthropic',
+        isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+        missingConfigMessage: 'Set ANTHROPIC_API_KEY in .env',
+        create: ({ model, temperature, maxTokens, streaming }) => new ChatAnthropic({
+            model,
+            temperature,
+            maxTokens,
+            ...(streaming && { streaming }),
+            apiKey: process.env.ANTHROPIC_API_KEY,
+        }),
+    },
+
+    // Servidores compatíveis com a API da OpenAI (Ollama, vLLM, LM Studio...)
+    // LOCAL_LLM_BASE_URL, ex.: http://localhost:11434/v1 (Ollama)
+    local: {
+        label: 'Local (OpenAI-compatible)',
+        isConfigured: () => !!process.env.LOCAL_LLM_BASE_URL,
+        missingConfigMessage: 'Set LOCAL_LLM_BASE_URL in .env (e.g. http://localhost:11434/v1)',
+        create: ({ model, temperature, maxTokens, streaming }) => new ChatOpenAI({
+            model,
+            temperature,
+            maxTokens,
+            ...(streaming && { streaming }),
+            // Ollama/vLLM ignoram a chave, mas o cliente exige uma
+            apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+            configuration: { baseURL: process.env.LOCAL_LLM_BASE_URL },
+        }),
+    },
+
+    // Modelo offline determinístico para desenvolvimento e testes
+    // Em produção só fica disponível se for o DEFAULT_MODEL
+    fake: {
+        label: 'Fake (offline)',
+        isConfigured: () => process.env.NODE_ENV !== 'production' || process.env.DEFAULT_MODEL === 'fake',
+        missingConfigMessage: 'Set DEFAULT_MODEL=fake to use the fake provider in production',
+        create: ({ model, encoding, streaming }) => new FakeChatModel({ model, encoding, streaming }),
+    },
+};
+
 // Configurações de modelo
+// encoding: tokenizer (js-tiktoken) usado para contar tokens
+// pricing: USD por 1 milhão de tokens { input, output }
 export const MODEL_CONFIG = {
     // OpenAI models
-    'gpt-3.5-turbo': { provider: 'openai', maxTokens: 4096 },
-    'gpt-4': { provider: 'openai', maxTokens: 8192 },
-    'gpt-4-turbo': { provider: 'openai', maxTokens: 128000 },
-    'gpt-4o': { provider: 'openai', maxTokens: 128000 },
-    'gpt-4o-mini': { provider: 'openai', maxTokens: 128000 },
-    'gpt-4.1-nano': { provider: 'openai', maxTokens: 128000 },
+    'gpt-3.5-turbo': {
+        provider: 'openai',
+        maxTokens: 4096,
+        encoding: 'cl100k_base',
+        pricing: { input: 0.5, output: 1.5 }
+    },
+    'gpt-4': {
+        provider: 'openai',
+        maxTokens: 8192,
+        encoding: 'cl100k_base',
+        pricing: { input: 30, output: 60 }
+    },
+    'gpt-4-turbo': {
+        provider: 'openai',
+        maxTokens: 128000,
+        encoding: 'cl100k_base',
+        pricing: { input: 10, output: 30 }
+    },
+    'gpt-4o': {
+        provider: 'openai',
+        maxTokens: 128000,
+        encoding: 'o200k_base',
+        pricing: { input: 2.5, output: 10 }
+    },
+    'gpt-4o-mini': {
+        provider: 'openai',
+        maxTokens: 128000,
+        encoding: 'o200k_base',
+        pricing: { input: 0.15, output: 0.6 }
+    },
+    'gpt-4.1-nano': {
+        provider: 'openai',
+        maxTokens: 128000,
+        encoding: 'o200k_base',
+        pricing: { input: 0.1, output: 0.4 }
+    },
+
+    // Azure OpenAI (deployment name pode ser sobrescrito no .env)
+    'azure-gpt-4o': {
+        provider: 'azure',
+        model: 'gpt-4o',
+        deployment: process.env.AZURE_OPENAI_DEPLOYMENT_GPT4O || 'gpt-4o',
+        maxTokens: 128000,
+        encoding: 'o200k_base',
+        pricing: { input: 2.5, output: 10 }
+    },
+    'azure-gpt-4o-mini': {
+        provider: 'azure',
+        model: 'gpt-4o-mini',
+        deployment: process.env.AZURE_OPENAI_DEPLOYMENT_GPT4O_MINI || 'gpt-4o-mini',
+        maxTokens: 128000,
+        encoding: 'o200k_base',
+        pricing: { input: 0.15, output: 0.6 }
+    },
+
+    // Anthropic models (sem tokenizer público: cl100k_base como aproximação)
+    'claude-3-5-sonnet-latest': {
+        provider: 'anthropic',
+        maxTokens: 200000,
+        encoding: 'cl100k_base',
+        pricing: { input: 3, output: 15 }
+    },
+    'claude-3-5-haiku-latest': {
+        provider: 'anthropic',
+        maxTokens: 200000,
+        encoding: 'cl100k_base',
+        pricing: { input: 0.8, output: 4 }
+    },
+
+    // Local models (OpenAI-compatible server, sem custo por token)
+    'llama3.1': {
+        provider: 'local',
+        maxTokens: 128000,
+        encoding: 'cl100k_base',
+        pricing: { input: 0, output: 0 }
+    },
+    'qwen2.5': {
+        provider: 'local',
+        maxTokens: 32768,
+        encoding: 'cl100k_base',
+        pricing: { input: 0, output: 0 }
+    },
+
+    // Fake model (sem rede, saída derivada do prompt)
+    'fake': {
+        provider: 'fake',
+        maxTokens: 128000,
+        encoding: 'cl100k_base',
+        pricing: { input: 0, output: 0 }
+    },
 };
 
+// Modelos locais extras: LOCAL_LLM_MODELS=mistral,phi3
+for (const name of (process.env.LOCAL_LLM_MODELS || '').split(',').map(m => m.trim()).filter(Boolean)) {
+    if (!MODEL_CONFIG[name]) {
+        MODEL_CONFIG[name] = {
+            provider: 'local',
+            maxTokens: 32768,
+            encoding: 'cl100k_base',
+            pricing: { input: 0, output: 0 }
+        };
+    }
+}
+
 // Modelo padrão
 export const DEFAULT_MODEL = process.env.DEFAULT_MODEL || 'gpt-3.5-turbo';
 
 /**
- * Verifica se a API está configurada
+ * Verifica se um modelo é conhecido
  */
-export function isConfigured() {
-    return !!process.env.OPENAI_API_KEY && 
-           process.env.OPENAI_API_KEY !== 'sk-your-openai-api-key-here';
+export function isSupportedModel(modelName) {
+    return !!MODEL_CONFIG[modelName];
 }
 
 /**
- * Cria instância do ChatModel
+ * Verifica se o provider do modelo está configurado
+ * @param {string} modelName - Modelo (padrão: DEFAULT_MODEL)
+ */
+export function isConfigured(modelName = DEFAULT_MODEL) {
+    const config = MODEL_CONFIG[modelName];
+    const provider = config && PROVIDERS[config.provider];
+    return !!provider && provider.isConfigured();
+}
+
+/**
+ * Mensagem explicando o que falta configurar para usar o modelo
+ */
+export function getConfigurationError(modelName = DEFAULT_MODEL) {
+    const config = MODEL_CONFIG[modelName];
+    if (!config) {
+        return `Model "${modelName}" is not supported`;
+    }
+    const provider = PROVIDERS[config.provider];
+    if (!provider) {
+        return `Provider "${config.provider}" is not supported`;
+    }
+    return `${provider.label} is not configured. ${provider.missingConfigMessage}`;
+}
+
+/**
+ * Cria instância do ChatModel do provider do modelo
  * @param {object} options - Opções de configuração
- * @returns {ChatOpenAI}
+ * @returns {import('@langchain/core/language_models/chat_models').BaseChatModel}
  */
 export function createChatModel(options = {}) {
     const {
         model = DEFAULT_MODEL,
         temperature = 0.3,
         maxTokens = 2000,
+        streaming = false,
     } = options;
 
-    if (!isConfigured()) {
-        throw new Error('OpenAI API key is not configured. Set OPENAI_API_KEY in .env');
+    if (!isConfigured(model)) {
+        throw new Error(getConfigurationError(model));
     }
 
-    return new ChatOpenAI({
-        model: model,
+    const config = MODEL_CONFIG[model];
+
+    const llm = PROVIDERS[config.provider].create({
+        model: config.model || model,
+        deployment: config.deployment,
+        encoding: config.encoding,
         temperature,
         maxTokens,
-        apiKey: process.env.OPENAI_API_KEY,
+        streaming,
     });
+
+    // O padrão do LangChain baixa as tabelas do tiktoken a cada processo;
+    // usado pelo map_reduce para decidir quando colapsar resumos
+    llm.getNumTokens = async (content) => countTokens(
+        typeof content === 'string' ? content : JSON.stringify(content),
+        model
+    );
+
+    return llm;
+}
+
+/**
+ * Conta tokens com o tokenizer do modelo
+ * @param {string} text - Texto
+ * @param {string} modelName - Modelo (padrão: DEFAULT_MODEL)
+ * @returns {number}
+ */
+export function countTokens(text, modelName = DEFAULT_MODEL) {
+    return countTokensWithEncoding(text, MODEL_CONFIG[modelName]?.encoding || DEFAULT_ENCODING);
+}
+
+/**
+ * Custo estimado (USD) a partir da tabela de preços do modelo
+ * @param {string} modelName - Modelo
+ * @param {object} usage - { promptTokens, completionTokens }
+ * @returns {number|null} null quando o modelo não tem preço cadastrado
+ */
+export function estimateCost(modelName, usage = {}) {
+    const pricing = MODEL_CONFIG[modelName]?.pricing;
+    if (!pricing) return null;
+
+    const cost = ((usage.promptTokens || 0) * pricing.input +
+        (usage.completionTokens || 0) * pricing.output) / 1_000_000;
+
+    return Math.round(cost * 1_000_000) / 1_000_000;
 }
 
 /**
@@ -58,10 +303,32 @@ export function getModelInfo(modelName = DEFAULT_MODEL) {
     return MODEL_CONFIG[modelName] || MODEL_CONFIG[DEFAULT_MODEL];
 }
 
+/**
+ * Lista os modelos com provider configurado
+ */
+export function getAvailableModels() {
+    return Object.entries(MODEL_CONFIG)
+        .filter(([name]) => isConfigured(name))
+        .map(([name, config]) => ({
+            id: name,
+            provider: config.provider,
+            providerLabel: PROVIDERS[config.provider].label,
+            maxTokens: config.maxTokens,
+            pricing: config.pricing || null,
+            isDefault: name === DEFAULT_MODEL
+        }));
+}
+
 export default {
     isConfigured,
+    isSupportedModel,
+    getConfigurationError,
     createChatModel,
     getModelInfo,
+    getAvailableModels,
+    countTokens,
+    estimateCost,
     DEFAULT_MODEL,
-    MODEL_CONFIG
-};
\ No newline at end of file
+    MODEL_CONFIG,
+    PROVIDERS
+};
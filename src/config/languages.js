@@ -0,0 +1,119 @@
+/**
+ * Idiomas de saída dos resumos
+ * - promptName: como o idioma é citado nas instruções (os prompts são em português)
+ * - locale: formatação de datas nos downloads
+ * - labels: rótulos dos arquivos exportados por downloadSummary
+ */
+
+export const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'pt';
+
+export const LANGUAGES = {
+    pt: {
+        label: 'Português',
+        promptName: 'português',
+        locale: 'pt-BR',
+        labels: {
+            date: 'Data',
+            type: 'Tipo',
+            single: 'Resumo Individual',
+            multiple: 'Resumo Integrado',
+            model: 'Modelo',
+            style: 'Estilo',
+            language: 'Idioma',
+            sourceDocuments: 'Documentos Fonte',
+            summary: 'Resumo',
+            metadata: 'Metadados',
+            tokensUsed: 'Tokens utilizados',
+            tokensInOut: 'Tokens de entrada/saída',
+            estimatedCost: 'Custo estimado',
+            processingTime: 'Tempo de processamento',
+            method: 'Método',
+            styles: {
+                default: 'Padrão',
+                bullets: 'Tópicos',
+                executive: 'Executivo',
+                abstract: 'Resumo acadêmico',
+                detailed: 'Detalhado',
+                faq: 'Perguntas e respostas'
+            }
+        }
+    },
+
+    en: {
+        label: 'English',
+        promptName: 'inglês (English)',
+        locale: 'en-US',
+        labels: {
+            date: 'Date',
+            type: 'Type',
+            single: 'Single Summary',
+            multiple: 'Integrated Summary',
+            model: 'Model',
+            style: 'Style',
+            language: 'Language',
+            sourceDocuments: 'Source Documents',
+            summary: 'Summary',
+            metadata: 'Metadata',
+            tokensUsed: 'Tokens used',
+            tokensInOut: 'Input/output tokens',
+            estimatedCost: 'Estimated cost',
+            processingTime: 'Processing time',
+            method: 'Method',
+            styles: {
+                default: 'Default',
+                bullets: 'Bullet points',
+                executive: 'Executive brief',
+                abstract: 'Academic abstract',
+                detailed: 'Detailed',
+                faq: 'Q&A'
+            }
+        }
+    },
+
+    es: {
+        label: 'Español',
+        promptName: 'espanhol (español)',
+        locale: 'es-ES',
+        labels: {
+            date: 'Fecha',
+            type: 'Tipo',
+            single: 'Resumen Individual',
+            multiple: 'Resumen Integrado',
+            model: 'Modelo',
+            style: 'Estilo',
+            language: 'Idioma',
+            sourceDocuments: 'Documentos Fuente',
+            summary: 'Resumen',
+            metadata: 'Metadatos',
+            tokensUsed: 'Tokens utilizados',
+            tokensInOut: 'Tokens de entrada/salida',
+            estimatedCost: 'Costo estimado',
+            processingTime: 'Tiempo de procesamiento',
+            method: 'Método',
+            styles: {
+                default: 'Predeterminado',
+                bullets: 'Viñetas',
+                executive: 'Ejecutivo',
+                abstract: 'Resumen académico',
+                detailed: 'Detallado',
+                faq: 'Preguntas y respuestas'
+            }
+        }
+    }
+};
+
+/**
+ * Verifica se o idioma é suportado
+ */
+export function isValidLanguage(language) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+}
+
+/**
+ * Retorna a configuração do idioma (ou a do idioma padrão)
+ */
+export function getLanguage(language = DEFAULT_LANGUAGE) {
+    return LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE] || LANGUAGES.pt;
+}
+
+export default { DEFAULT_LANGUAGE, LANGUAGES, isValidLanguage, getLanguage };
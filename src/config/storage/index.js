@@ -0,0 +1,51 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonAdapter } from './jsonAdapter.js';
+import { createSqliteAdapter } from './sqliteAdapter.js';
+
+export { range } from './range.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '../../..');
+
+export const DEFAULT_PATHS = {
+    json: path.join(ROOT_DIR, 'database.json'),
+    sqlite: path.join(ROOT_DIR, 'database.sqlite')
+};
+
+const ADAPTERS = {
+    json: createJsonAdapter,
+    sqlite: createSqliteAdapter
+};
+
+/**
+ * Resolve driver and file path from the environment
+ * DB_DRIVER wins; otherwise a DB_STORAGE ending in .json keeps the JSON
+ * driver so existing setups work until they run the migration.
+ */
+export function resolveStorageConfig(env = process.env) {
+    let driver = env.DB_DRIVER;
+    if (!driver) {
+        driver = env.DB_STORAGE && path.extname(env.DB_STORAGE) === '.json' ? 'json' : 'sqlite';
+    }
+    return {
+        driver,
+        filePath: env.DB_STORAGE || DEFAULT_PATHS[driver]
+    };
+}
+
+/**
+ * Create a storage adapter
+ * @param {object} config - { driver: 'sqlite' | 'json', filePath }
+ */
+export function createAdapter({ driver, filePath }) {
+    const factory = ADAPTERS[driver];
+    if (!factory) {
+        throw new Error(`Unknown DB_DRIVER "${driver}". Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    return factory(filePath || DEFAULT_PATHS[driver]);
+}
+
+export default { createAdapter, resolveStorageConfig, DEFAULT_PATHS };
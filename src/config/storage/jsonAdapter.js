@@ -0,0 +1,155 @@
+import fs from 'fs';
+import { COLLECTIONS } from './schema.js';
+import { isRange } from './range.js';
+
+/**
+ * JSON file storage adapter
+ * Keeps every collection in memory and rewrites the whole file on each write.
+ * Fine for development and small datasets; use the SQLite adapter otherwise.
+ */
+
+const RANGE_TESTS = {
+    gt: (current, bound) => current > bound,
+    gte: (current, bound) => current >= bound,
+    lt: (current, bound) => current < bound,
+    lte: (current, bound) => current <= bound
+};
+
+/**
+ * Checks whether a record matches a filter
+ * Array values match any of their items (like SQL IN); ranges (./range.js)
+ * never match a missing field (like SQL NULL)
+ */
+export function matches(record, where = {}) {
+    return Object.entries(where).every(([field, value]) => {
+        if (value === undefined) return true;
+        const current = record[field] ?? null;
+        if (Array.isArray(value)) return value.includes(current);
+        if (isRange(value)) {
+            return Object.entries(value.bounds).every(([operator, bound]) =>
+                current !== null && RANGE_TESTS[operator](current, bound)
+            );
+        }
+        return current === value;
+    });
+}
+
+/**
+ * Create the JSON adapter
+ * @param {string} filePath - Path to the JSON file
+ */
+export function createJsonAdapter(filePath) {
+    const load = () => {
+        if (!fs.existsSync(filePath)) {
+            const initialData = Object.fromEntries(COLLECTIONS.map(name => [name, []]));
+            fs.writeFileSync(filePath, JSON.stringify(initialData, null, 2));
+        }
+        const loaded = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        // Collections added after the file was created start empty
+        for (const name of COLLECTIONS) {
+            if (!Array.isArray(loaded[name])) loaded[name] = [];
+        }
+        return loaded;
+    };
+
+    // Write to a temp file first so a crash never leaves a truncated database
+    const save = () => {
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, filePath);
+    };
+
+    let data = load();
+    let inTransaction = false;
+
+    const persist = () => {
+        if (!inTransaction) save();
+    };
+
+    return {
+        driver: 'json',
+
+        insert(collection, record) {
+            data[collection].push(record);
+            persist();
+            return record;
+        },
+
+        findOne(collection, where) {
+            return data[collection].find(r => matches(r, where));
+        },
+
+        findMany(collection, options = {}) {
+            const { where, orderBy, order = 'asc', limit, offset } = options;
+            let records = data[collection].filter(r => matches(r, where));
+
+            if (orderBy) {
+                const direction = order === 'desc' ? -1 : 1;
+                records.sort((a, b) => {
+                    if (a[orderBy] === b[orderBy]) return 0;
+                    return (a[orderBy] > b[orderBy] ? 1 : -1) * direction;
+                });
+            }
+            if (offset) {
+                records = records.slice(offset);
+            }
+            if (limit) {
+                records = records.slice(0, limit);
+            }
+            return records;
+        },
+
+        count(collection, where) {
+            return data[collection].filter(r => matches(r, where)).length;
+        },
+
+        update(collection, id, updates) {
+            const index = data[collection].findIndex(r => r.id === id);
+            if (index === -1) return null;
+            data[collection][index] = { ...data[collection][index], ...updates };
+            persist();
+            return data[collection][index];
+        },
+
+        remove(collection, id) {
+            const index = data[collection].findIndex(r => r.id === id);
+            if (index === -1) return false;
+            data[collection].splice(index, 1);
+            persist();
+            return true;
+        },
+
+        removeMany(collection, where) {
+            const kept = data[collection].filter(r => !matches(r, where));
+            const removed = data[collection].length - kept.length;
+            if (removed > 0) {
+                data[collection] = kept;
+                persist();
+            }
+            return removed;
+        },
+
+        transaction(fn) {
+            if (inTransaction) return fn();
+            inTransaction = true;
+            try {
+                const result = fn();
+                inTransaction = false;
+                save();
+                return result;
+            } catch (error) {
+                inTransaction = false;
+                data = load();
+                throw error;
+            }
+        },
+
+        reload() {
+            data = load();
+        },
+
+        close() {}
+    };
+}
+
+export default createJsonAdapter;
@@ -0,0 +1,33 @@
+/**
+ * Range conditions for store filters
+ * `where: { createdAt: range({ gte: since }) }`. Only values built by range()
+ * are read as ranges; a plain object (e.g. from a request body) is still
+ * compared by equality, so user input never becomes an operator.
+ */
+
+export const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+class Range {
+    constructor(bounds) {
+        for (const operator of Object.keys(bounds)) {
+            if (!RANGE_OPERATORS.includes(operator)) {
+                throw new Error(`Unknown range operator "${operator}". Use one of: ${RANGE_OPERATORS.join(', ')}`);
+            }
+        }
+        this.bounds = { ...bounds };
+    }
+}
+
+/**
+ * Build a range condition
+ * @param {object} bounds - Any of { gt, gte, lt, lte }
+ */
+export function range(bounds) {
+    return new Range(bounds);
+}
+
+export function isRange(value) {
+    return value instanceof Range;
+}
+
+export default { RANGE_OPERATORS, range, isRange };
@@ -0,0 +1,278 @@
+/**
+ * Storage schema
+ * Describes every collection and its fields so adapters that need a fixed
+ * layout (SQLite) can create tables and convert values.
+ *
+ * Field types: text | integer | real | boolean | json
+ * Every collection uses `id` (text) as its primary key.
+ * New fields only need to be added here: the SQLite adapter adds missing
+ * columns to existing tables on startup.
+ */
+export const SCHEMA = {
+    users: {
+        fields: {
+            id: 'text',
+            fullName: 'text',
+            username: 'text',
+            email: 'text',
+            password: 'text',
+            description: 'text',
+            profileImage: 'text',
+            preferredLanguage: 'text',
+            isActive: 'boolean',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['username'], ['email']]
+    },
+
+    documents: {
+        fields: {
+            id: 'text',
+            userId: 'text',
+            originalName: 'text',
+            storedName: 'text',
+            filePath: 'text',
+            fileSize: 'integer',
+            mimeType: 'text',
+            status: 'text',
+            extractedText: 'text',
+            pageCount: 'integer',
+            pageOffsets: 'json',
+            ocrStatus: 'text',
+            ocrPageCount: 'integer',
+            ocrConfidence: 'real',
+            metadata: 'json',
+            outline: 'json',
+            headings: 'json',
+            tableCount: 'integer',
+            contentHash: 'text',
+            extractionVersion: 'integer',
+            extractionReused: 'boolean',
+            errorMessage: 'text',
+            embeddingStatus: 'text',
+            embeddingModel: 'text',
+            chunkCount: 'integer',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['userId', 'createdAt'], ['status'], ['contentHash']]
+    },
+
+    summaries: {
+        fields: {
+            id: 'text',
+            userId: 'text',
+            title: 'text',
+            content: 'text',
+            citations: 'json',
+            type: 'text',
+            documentIds: 'text',
+            model: 'text',
+            style: 'text',
+            language: 'text',
+            promptTemplateId: 'text',
+            promptTemplateVersion: 'integer',
+            tokensUsed: 'integer',
+            promptTokens: 'integer',
+            completionTokens: 'integer',
+            usageSource: 'text',
+            estimatedCost: 'real',
+            processingTime: 'integer',
+            method: 'text',
+            fromCache: 'boolean',
+            rootSummaryId: 'text',
+            regeneratedFrom: 'text',
+            version: 'integer',
+            humanEdited: 'boolean',
+            currentRevision: 'integer',
+            editedAt: 'text',
+            editedBy: 'text',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['userId', 'createdAt'], ['rootSummaryId']]
+    },
+
+    // Revisões manuais de um resumo (a 1 é o texto gerado)
+    summaryRevisions: {
+        fields: {
+            id: 'text',
+            summaryId: 'text',
+            userId: 'text',
+            revision: 'integer',
+            title: 'text',
+            content: 'text',
+            citations: 'json',
+            source: 'text',
+            restoredFrom: 'integer',
+            humanEdited: 'boolean',
+            authorId: 'text',
+            authorName: 'text',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['summaryId', 'revision']]
+    },
+
+    // Uso de LLM por usuário para as cotas (ver services/quotaService.js)
+    // Só recebe inserções: apagar resumos, perguntas ou conversas não devolve a cota
+    usageLedger: {
+        fields: {
+            id: 'text',
+            userId: 'text',
+            kind: 'text',
+            status: 'text',
+            model: 'text',
+            tokensUsed: 'integer',
+            promptTokens: 'integer',
+            completionTokens: 'integer',
+            estimatedCost: 'real',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['userId', 'createdAt']]
+    },
+
+    // Resultados de geração de resumo reaproveitáveis (ver services/summaryCacheService.js)
+    summaryCache: {
+        fields: {
+            id: 'text',
+            key: 'text',
+            result: 'json',
+            hits: 'integer',
+            expiresAt: 'text',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['key'], ['expiresAt']]
+    },
+
+    jobs: {
+        fields: {
+            id: 'text',
+            type: 'text',
+            userId: 'text',
+            resourceId: 'text',
+            payload: 'json',
+            status: 'text',
+            attempts: 'integer',
+            maxAttempts: 'integer',
+            runAt: 'text',
+            lastError: 'text',
+            progress: 'json',
+            history: 'json',
+            result: 'json',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['status', 'runAt'], ['type', 'resourceId'], ['userId', 'createdAt']]
+    },
+
+    // Trechos dos documentos com embeddings (índice vetorial local)
+    documentChunks: {
+        fields: {
+            id: 'text',
+            userId: 'text',
+            documentId: 'text',
+            chunkIndex: 'integer',
+            page: 'integer',
+            text: 'text',
+            embedding: 'json',
+            embeddingModel: 'text',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['userId', 'embeddingModel'], ['documentId']]
+    },
+
+    documentPages: {
+        fields: {
+            id: 'text',
+            userId: 'text',
+            documentId: 'text',
+            page: 'integer',
+            text: 'text',
+            ocr: 'boolean',
+            ocrConfidence: 'real',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['documentId', 'page']]
+    },
+
+    documentTables: {
+        fields: {
+            id: 'text',
+            userId: 'text',
+            documentId: 'text',
+            page: 'integer',
+            tableIndex: 'integer',
+            rows: 'json',
+            lines: 'json',
+            rowCount: 'integer',
+            columnCount: 'integer',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['documentId', 'tableIndex']]
+    },
+
+    promptTemplates: {
+        fields: {
+            id: 'text',
+            userId: 'text',
+            name: 'text',
+            description: 'text',
+            single: 'text',
+            multiple: 'text',
+            map: 'text',
+            combine: 'text',
+            version: 'integer',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['userId', 'createdAt']]
+    },
+
+    conversations: {
+        fields: {
+            id: 'text',
+            userId: 'text',
+            title: 'text',
+            documentIds: 'json',
+            model: 'text',
+            language: 'text',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['userId', 'createdAt']]
+    },
+
+    conversationMessages: {
+        fields: {
+            id: 'text',
+            conversationId: 'text',
+            userId: 'text',
+            role: 'text',
+            content: 'text',
+            citations: 'json',
+            sources: 'json',
+            model: 'text',
+            language: 'text',
+            tokensUsed: 'integer',
+            promptTokens: 'integer',
+            completionTokens: 'integer',
+            usageSource: 'text',
+            estimatedCost: 'real',
+            processingTime: 'integer',
+            createdAt: 'text',
+            updatedAt: 'text'
+        },
+        indexes: [['conversationId', 'createdAt']]
+    }
+};
+
+export const COLLECTIONS = Object.keys(SCHEMA);
+
+export default { SCHEMA, COLLECTIONS };
@@ -0,0 +1,216 @@
+import Database from 'better-sqlite3';
+import { SCHEMA } from './schema.js';
+import { isRange } from './range.js';
+
+/**
+ * SQLite storage adapter
+ * Embedded database file (better-sqlite3), one table per collection.
+ * Writes touch only the affected row, so large `extractedText` values are no
+ * longer rewritten on every status update.
+ */
+
+const SQL_TYPES = {
+    text: 'TEXT',
+    integer: 'INTEGER',
+    real: 'REAL',
+    boolean: 'INTEGER',
+    json: 'TEXT'
+};
+
+const quote = (name) => `"${name}"`;
+
+const RANGE_SQL = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Convert a JS value to what SQLite stores for the given field type
+function toColumn(type, value) {
+    if (value === undefined || value === null) return null;
+    if (type === 'boolean') return value ? 1 : 0;
+    if (type === 'json') return JSON.stringify(value);
+    return value;
+}
+
+// Convert a stored SQLite value back to its JS shape
+function fromColumn(type, value) {
+    if (value === null) return null;
+    if (type === 'boolean') return value === 1;
+    if (type === 'json') return JSON.parse(value);
+    return value;
+}
+
+/**
+ * Create the SQLite adapter
+ * @param {string} filePath - Path to the SQLite database file
+ */
+export function createSqliteAdapter(filePath) {
+    const sqlite = new Database(filePath);
+    sqlite.pragma('journal_mode = WAL');
+    sqlite.pragma('foreign_keys = ON');
+
+    ensureSchema(sqlite);
+
+    const fieldsOf = (collection) => {
+        const definition = SCHEMA[collection];
+        if (!definition) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        return definition.fields;
+    };
+
+    const fieldType = (collection, field) => {
+        const type = fieldsOf(collection)[field];
+        if (!type) {
+            throw new Error(`Unknown field "${field}" in collection "${collection}"`);
+        }
+        return type;
+    };
+
+    const toRecord = (collection, row) => {
+        if (!row) return undefined;
+        const fields = fieldsOf(collection);
+        const record = {};
+        for (const [field, type] of Object.entries(fields)) {
+            record[field] = fromColumn(type, row[field]);
+        }
+        return record;
+    };
+
+    // Build a WHERE clause from a filter (arrays become IN, see ./range.js for ranges)
+    const buildWhere = (collection, where = {}) => {
+        const clauses = [];
+        const params = [];
+
+        for (const [field, value] of Object.entries(where)) {
+            if (value === undefined) continue;
+            const type = fieldType(collection, field);
+
+            if (value === null) {
+                clauses.push(`${quote(field)} IS NULL`);
+            } else if (Array.isArray(value)) {
+                if (value.length === 0) {
+                    clauses.push('0');
+                    continue;
+                }
+                clauses.push(`${quote(field)} IN (${value.map(() => '?').join(', ')})`);
+                params.push(...value.map(v => toColumn(type, v)));
+            } else if (isRange(value)) {
+                for (const [operator, bound] of Object.entries(value.bounds)) {
+                    clauses.push(`${quote(field)} ${RANGE_SQL[operator]} ?`);
+                    params.push(toColumn(type, bound));
+                }
+            } else {
+                clauses.push(`${quote(field)} = ?`);
+                params.push(toColumn(type, value));
+            }
+        }
+
+        return {
+            sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+            params
+        };
+    };
+
+    return {
+        driver: 'sqlite',
+
+        insert(collection, record) {
+            const fields = Object.keys(record).filter(f => record[f] !== undefined);
+            const values = fields.map(f => toColumn(fieldType(collection, f), record[f]));
+            sqlite
+                .prepare(`INSERT INTO ${quote(collection)} (${fields.map(quote).join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`)
+                .run(values);
+            return toRecord(collection, sqlite.prepare(`SELECT * FROM ${quote(collection)} WHERE id = ?`).get(record.id));
+        },
+
+        findOne(collection, where) {
+            const { sql, params } = buildWhere(collection, where);
+            const row = sqlite.prepare(`SELECT * FROM ${quote(collection)}${sql} LIMIT 1`).get(params);
+            return toRecord(collection, row);
+        },
+
+        findMany(collection, options = {}) {
+            const { where, orderBy, order = 'asc', limit, offset } = options;
+            const { sql, params } = buildWhere(collection, where);
+            let query = `SELECT * FROM ${quote(collection)}${sql}`;
+
+            if (orderBy) {
+                fieldType(collection, orderBy);
+                query += ` ORDER BY ${quote(orderBy)} ${order === 'desc' ? 'DESC' : 'ASC'}`;
+            }
+            if (limit || offset) {
+                query += ' LIMIT ? OFFSET ?';
+                params.push(limit || -1, offset || 0);
+            }
+
+            return sqlite.prepare(query).all(params).map(row => toRecord(collection, row));
+        },
+
+        count(collection, where) {
+            const { sql, params } = buildWhere(collection, where);
+            return sqlite.prepare(`SELECT COUNT(*) AS total FROM ${quote(collection)}${sql}`).get(params).total;
+        },
+
+        update(collection, id, updates) {
+            const fields = Object.keys(updates).filter(f => f !== 'id' && updates[f] !== undefined);
+            if (fields.length > 0) {
+                const values = fields.map(f => toColumn(fieldType(collection, f), updates[f]));
+                const result = sqlite
+                    .prepare(`UPDATE ${quote(collection)} SET ${fields.map(f => `${quote(f)} = ?`).join(', ')} WHERE id = ?`)
+                    .run([...values, id]);
+                if (result.changes === 0) return null;
+            }
+            return toRecord(collection, sqlite.prepare(`SELECT * FROM ${quote(collection)} WHERE id = ?`).get(id)) || null;
+        },
+
+        remove(collection, id) {
+            fieldsOf(collection);
+            return sqlite.prepare(`DELETE FROM ${quote(collection)} WHERE id = ?`).run(id).changes > 0;
+        },
+
+        removeMany(collection, where) {
+            const { sql, params } = buildWhere(collection, where);
+            return sqlite.prepare(`DELETE FROM ${quote(collection)}${sql}`).run(params).changes;
+        },
+
+        transaction(fn) {
+            return sqlite.transaction(fn)();
+        },
+
+        reload() {},
+
+        close() {
+            sqlite.close();
+        }
+    };
+}
+
+/**
+ * Create missing tables, columns and indexes from SCHEMA
+ */
+function ensureSchema(sqlite) {
+    for (const [collection, definition] of Object.entries(SCHEMA)) {
+        const columns = Object.entries(definition.fields).map(([field, type]) =>
+            field === 'id'
+                ? `${quote(field)} TEXT PRIMARY KEY`
+                : `${quote(field)} ${SQL_TYPES[type]}`
+        );
+        sqlite.exec(`CREATE TABLE IF NOT EXISTS ${quote(collection)} (${columns.join(', ')})`);
+
+        const existing = new Set(
+            sqlite.prepare(`PRAGMA table_info(${quote(collection)})`).all().map(c => c.name)
+        );
+        for (const [field, type] of Object.entries(definition.fields)) {
+            if (!existing.has(field)) {
+                sqlite.exec(`ALTER TABLE ${quote(collection)} ADD COLUMN ${quote(field)} ${SQL_TYPES[type]}`);
+            }
+        }
+
+        for (const indexFields of definition.indexes || []) {
+            const indexName = `idx_${collection}_${indexFields.join('_')}`;
+            sqlite.exec(
+                `CREATE INDEX IF NOT EXISTS ${quote(indexName)} ON ${quote(collection)} (${indexFields.map(quote).join(', ')})`
+            );
+        }
+    }
+}
+
+export default createSqliteAdapter;
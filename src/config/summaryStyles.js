@@ -0,0 +1,212 @@
+/**
+ * Estilos de resumo
+ * Cada estilo tem seus próprios prompts para as etapas do LangChain:
+ * - stuff: instruções de sistema do resumo em uma única chamada
+ * - map: resumo de cada trecho (MapReduce), recebe {text}
+ * - combine: combinação dos resumos dos trechos, recebe {text}
+ * - format: formato esperado, usado ao combinar resumos de vários documentos
+ * - outputLabel: rótulo que encerra o prompt (ex.: "RESUMO:")
+ * Os prompts também recebem {language}, o idioma de saída (ver config/languages.js).
+ */
+
+export const DEFAULT_STYLE = 'default';
+
+export const SUMMARY_STYLES = {
+    default: {
+        label: 'Padrão',
+        description: 'Resumo abrangente em prosa',
+        outputLabel: 'RESUMO',
+        format: 'Texto corrido, coerente e bem estruturado',
+        stuff: `Você é um especialista em análise e síntese de documentos.
+Sua tarefa é criar resumos claros, concisos e abrangentes.
+
+Diretrizes:
+- Escreva o resumo em {language}
+- Capture os pontos principais e informações-chave
+- Mantenha a estrutura lógica do conteúdo original
+- Seja objetivo e preciso
+- Mantenha o resumo informativo mas conciso`,
+        map: `Escreva um resumo conciso do seguinte trecho:
+
+"{text}"
+
+Responda em {language}.
+RESUMO CONCISO:`,
+        combine: `Os seguintes são resumos de diferentes partes de um documento:
+
+{text}
+
+Combine esses resumos em um resumo final consolidado e coerente em {language}.
+RESUMO FINAL:`
+    },
+
+    bullets: {
+        label: 'Tópicos',
+        description: 'Lista de tópicos curtos com os pontos principais',
+        outputLabel: 'RESUMO EM TÓPICOS',
+        format: 'Lista de tópicos curtos iniciados por "- ", agrupados por tema',
+        stuff: `Você é um especialista em extrair os pontos essenciais de documentos.
+Sua tarefa é resumir o conteúdo em tópicos.
+
+Diretrizes:
+- Escreva o resumo em {language}
+- Use uma lista de tópicos, cada um iniciado por "- "
+- Cada tópico deve ter no máximo duas linhas
+- Agrupe tópicos relacionados sob subtítulos curtos quando houver temas distintos
+- Inclua números, datas e nomes relevantes
+- Não escreva introdução nem conclusão`,
+        map: `Liste em tópicos curtos (iniciados por "- ") os pontos principais do seguinte trecho:
+
+"{text}"
+
+Responda em {language}.
+TÓPICOS:`,
+        combine: `Os seguintes são tópicos extraídos de diferentes partes de um documento:
+
+{text}
+
+Una esses tópicos em uma única lista em {language}, sem repetições, agrupada por tema, com cada tópico iniciado por "- ".
+RESUMO EM TÓPICOS:`
+    },
+
+    executive: {
+        label: 'Executivo',
+        description: 'Resumo curto para tomada de decisão',
+        outputLabel: 'RESUMO EXECUTIVO',
+        format: 'Um parágrafo de contexto, seguido de "Pontos-chave" e "Recomendações / próximos passos"',
+        stuff: `Você é um consultor que prepara resumos executivos para a diretoria.
+Sua tarefa é resumir o documento para quem precisa decidir rapidamente.
+
+Diretrizes:
+- Escreva o resumo em {language}
+- Comece com um parágrafo de até 3 frases com o contexto e a conclusão principal
+- Depois, uma seção "Pontos-chave" com 3 a 5 tópicos
+- Termine com uma seção "Recomendações / próximos passos", se o documento permitir
+- Priorize impactos, riscos, custos e prazos
+- Limite o resumo a cerca de 250 palavras`,
+        map: `Extraia do seguinte trecho as informações relevantes para uma decisão executiva (conclusões, impactos, riscos, custos, prazos):
+
+"{text}"
+
+Responda em {language}.
+INFORMAÇÕES RELEVANTES:`,
+        combine: `As seguintes são informações extraídas de diferentes partes de um documento:
+
+{text}
+
+Escreva em {language} um resumo executivo de até 250 palavras: um parágrafo de contexto e conclusão principal, uma seção "Pontos-chave" com 3 a 5 tópicos e uma seção "Recomendações / próximos passos".
+RESUMO EXECUTIVO:`
+    },
+
+    abstract: {
+        label: 'Resumo acadêmico',
+        description: 'Abstract no formato de artigo científico',
+        outputLabel: 'ABSTRACT',
+        format: 'Um único parágrafo acadêmico (objetivo, método, resultados, conclusão)',
+        stuff: `Você é um pesquisador experiente na redação de resumos de artigos científicos.
+Sua tarefa é escrever um abstract do documento.
+
+Diretrizes:
+- Escreva o resumo em {language}
+- Use um único parágrafo de 150 a 250 palavras, em linguagem formal e impessoal
+- Apresente, nesta ordem: objetivo, metodologia, principais resultados e conclusão
+- Não use tópicos, títulos nem citações diretas
+- Ao final, inclua uma linha "Palavras-chave:" com 3 a 5 termos`,
+        map: `Identifique no seguinte trecho o objetivo, a metodologia, os resultados e as conclusões apresentados (apenas os que existirem):
+
+"{text}"
+
+Responda em {language}.
+ELEMENTOS IDENTIFICADOS:`,
+        combine: `Os seguintes são elementos (objetivo, metodologia, resultados, conclusões) extraídos de diferentes partes de um documento:
+
+{text}
+
+Escreva em {language} um abstract acadêmico de um único parágrafo (150 a 250 palavras), em linguagem formal e impessoal, seguido de uma linha "Palavras-chave:" com 3 a 5 termos.
+ABSTRACT:`
+    },
+
+    detailed: {
+        label: 'Detalhado',
+        description: 'Resumo seção por seção do documento',
+        outputLabel: 'RESUMO DETALHADO',
+        format: 'Uma seção por tema, cada uma com subtítulo e um ou dois parágrafos',
+        stuff: `Você é um analista que produz resumos detalhados e fiéis à estrutura dos documentos.
+Sua tarefa é resumir o documento seção por seção.
+
+Diretrizes:
+- Escreva o resumo em {language}
+- Siga a ordem e as seções do documento original, usando os títulos das seções como subtítulos
+- Para cada seção, escreva um ou dois parágrafos com os argumentos, dados e conclusões
+- Preserve termos técnicos, números e nomes importantes
+- Termine com uma seção "Conclusão geral"`,
+        map: `Resuma em detalhe o seguinte trecho, preservando os títulos de seção, dados e termos técnicos:
+
+"{text}"
+
+Responda em {language}.
+RESUMO DETALHADO DO TRECHO:`,
+        combine: `Os seguintes são resumos detalhados de partes consecutivas de um documento:
+
+{text}
+
+Organize-os em {language} em um resumo detalhado seção por seção, na ordem original, com subtítulos, sem repetições, terminando com uma seção "Conclusão geral".
+RESUMO DETALHADO:`
+    },
+
+    faq: {
+        label: 'Perguntas e respostas',
+        description: 'FAQ com as perguntas que o documento responde',
+        outputLabel: 'PERGUNTAS FREQUENTES',
+        format: 'Pares de pergunta e resposta, cada pergunta iniciada por "P:" e cada resposta por "R:"',
+        stuff: `Você é um especialista em transformar documentos em material de consulta rápida.
+Sua tarefa é resumir o documento como uma lista de perguntas frequentes (FAQ).
+
+Diretrizes:
+- Escreva o resumo em {language}
+- Gere de 5 a 10 perguntas que um leitor faria sobre o documento
+- Inicie cada pergunta com "P:" e cada resposta com "R:"
+- Responda de forma curta e direta, usando apenas informações do documento
+- Ordene das perguntas mais gerais para as mais específicas`,
+        map: `Liste as perguntas que o seguinte trecho responde, cada uma com sua resposta curta (use "P:" e "R:"):
+
+"{text}"
+
+Responda em {language}.
+PERGUNTAS E RESPOSTAS:`,
+        combine: `Os seguintes são pares de perguntas e respostas extraídos de diferentes partes de um documento:
+
+{text}
+
+Monte em {language} um FAQ final com 5 a 10 perguntas, sem repetições, da mais geral para a mais específica, iniciando cada pergunta com "P:" e cada resposta com "R:".
+PERGUNTAS FREQUENTES:`
+    }
+};
+
+/**
+ * Verifica se o estilo existe
+ */
+export function isValidStyle(style) {
+    return Object.prototype.hasOwnProperty.call(SUMMARY_STYLES, style);
+}
+
+/**
+ * Retorna o preset do estilo (ou o padrão)
+ */
+export function getStyle(style = DEFAULT_STYLE) {
+    return SUMMARY_STYLES[style] || SUMMARY_STYLES[DEFAULT_STYLE];
+}
+
+/**
+ * Lista os estilos disponíveis (sem os prompts)
+ */
+export function listStyles() {
+    return Object.entries(SUMMARY_STYLES).map(([id, style]) => ({
+        id,
+        label: style.label,
+        description: style.description,
+        isDefault: id === DEFAULT_STYLE
+    }));
+}
+
+export default { DEFAULT_STYLE, SUMMARY_STYLES, isValidStyle, getStyle, listStyles };
@@ -0,0 +1,33 @@
+import { getEncoding } from 'js-tiktoken';
+
+/**
+ * Tokenizer
+ * Conta tokens com as tabelas BPE empacotadas no js-tiktoken (sem download).
+ * Cada modelo declara o `encoding` em MODEL_CONFIG; provedores sem tokenizer
+ * público (Anthropic, modelos locais) usam cl100k_base como aproximação.
+ */
+
+export const DEFAULT_ENCODING = 'cl100k_base';
+
+// Carregar um encoding leva ~1s, então cada um é criado uma única vez
+const encoders = new Map();
+
+function getEncoder(encoding = DEFAULT_ENCODING) {
+    if (!encoders.has(encoding)) {
+        encoders.set(encoding, getEncoding(encoding));
+    }
+    return encoders.get(encoding);
+}
+
+/**
+ * Conta os tokens de um texto
+ * @param {string} text - Texto
+ * @param {string} encoding - Nome do encoding (ex.: cl100k_base, o200k_base)
+ * @returns {number}
+ */
+export function countTokensWithEncoding(text, encoding = DEFAULT_ENCODING) {
+    if (!text) return 0;
+    return getEncoder(encoding).encode(text).length;
+}
+
+export default { DEFAULT_ENCODING, countTokensWithEncoding };
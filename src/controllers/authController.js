@@ -2,6 +2,8 @@ import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
 import db from '../config/database.js';
 import { generateToken } from '../middlewares/auth.js';
+import { getUsage } from '../services/quotaService.js';
+import { LANGUAGES, isValidLanguage } from '../config/languages.js';
 
 /**
  * Register a new user
@@ -121,7 +123,13 @@ export async function getProfile(req, res) {
  */
 export async function updateProfile(req, res) {
     try {
-        const { fullName, email, description, profileImage } = req.body;
+        const { fullName, email, description, profileImage, preferredLanguage } = req.body;
+
+        if (preferredLanguage && !isValidLanguage(preferredLanguage)) {
+            return res.status(400).json({
+                error: `Unsupported language. Options: ${Object.keys(LANGUAGES).join(', ')}`
+            });
+        }
 
         if (email && email !== req.user.email) {
             if (db.findUserByEmail(email)) {
@@ -134,6 +142,7 @@ export async function updateProfile(req, res) {
         if (email) updates.email = email;
         if (description !== undefined) updates.description = description;
         if (profileImage !== undefined) updates.profileImage = profileImage;
+        if (preferredLanguage !== undefined) updates.preferredLanguage = preferredLanguage || null;
 
         const updatedUser = db.updateUser(req.userId, updates);
 
@@ -191,10 +200,24 @@ export async function changePassword(req, res) {
     }
 }
 
+/**
+ * Get current usage against the summary quotas
+ * GET /api/auth/usage
+ */
+export async function getUserUsage(req, res) {
+    try {
+        res.json({ usage: getUsage(req.userId) });
+    } catch (error) {
+        console.error('Get usage error:', error);
+        res.status(500).json({ error: 'Failed to get usage' });
+    }
+}
+
 export default {
     register,
     login,
     getProfile,
     updateProfile,
-    changePassword
+    changePassword,
+    getUserUsage
 };
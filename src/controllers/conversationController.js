@@ -0,0 +1,349 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../config/database.js';
+import { askQuestion, MAX_QUESTION_LENGTH, MAX_SOURCES } from '../services/questionService.js';
+import { USAGE_KINDS, rejectOverQuota } from '../services/quotaService.js';
+import { isEmbeddingConfigured, getEmbeddingConfigurationError } from '../config/embeddings.js';
+import { isSupportedModel, isConfigured, getConfigurationError, DEFAULT_MODEL } from '../config/langchain.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, isValidLanguage } from '../config/languages.js';
+
+// Limits for conversations
+const MAX_TITLE_LENGTH = 200;
+const MAX_CONVERSATION_DOCUMENTS = 20;
+
+// Previous messages sent to the model with each question
+const HISTORY_MESSAGES = 10;
+
+/**
+ * Format conversation for API responses
+ */
+function formatConversation(conversation) {
+    return {
+        id: conversation.id,
+        title: conversation.title,
+        documentIds: conversation.documentIds,
+        model: conversation.model,
+        language: conversation.language,
+        messageCount: db.countConversationMessages(conversation.id),
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt
+    };
+}
+
+/**
+ * Format conversation message for API responses
+ */
+function formatMessage(message) {
+    return {
+        id: message.id,
+        role: message.role,
+        content: message.content,
+        citations: message.citations,
+        sources: message.sources,
+        model: message.model,
+        language: message.language,
+        tokensUsed: message.tokensUsed,
+        promptTokens: message.promptTokens,
+        completionTokens: message.completionTokens,
+        usageSource: message.usageSource,
+        estimatedCost: message.estimatedCost,
+        processingTime: message.processingTime,
+        createdAt: message.createdAt
+    };
+}
+
+/**
+ * Find a conversation owned by the current user
+ */
+function findOwnConversation(req) {
+    const conversation = db.findConversationById(req.params.id);
+    return conversation && conversation.userId === req.userId ? conversation : null;
+}
+
+/**
+ * Validate title, model and language sent on create/update
+ * @returns {string|null} Error message
+ */
+function validateSettings({ title, model, language }) {
+    if (title !== undefined && title !== null && typeof title !== 'string') {
+        return 'Título deve ser um texto';
+    }
+
+    if (title && title.length > MAX_TITLE_LENGTH) {
+        return `Título excede ${MAX_TITLE_LENGTH} caracteres`;
+    }
+
+    if (model !== undefined && !isSupportedModel(model)) {
+        return `Modelo não suportado: ${model}`;
+    }
+
+    if (language !== undefined && !isValidLanguage(language)) {
+        return `Idioma não suportado: ${language}. Opções: ${Object.keys(LANGUAGES).join(', ')}`;
+    }
+
+    return null;
+}
+
+/**
+ * Get conversations for current user
+ * GET /api/conversations
+ */
+export async function getConversations(req, res) {
+    try {
+        const { page = 1, limit = 20, documentId } = req.query;
+
+        const offset = (page - 1) * limit;
+
+        const { conversations, total } = db.findConversationsByUserId(req.userId, {
+            documentId,
+            limit: parseInt(limit),
+            offset: offset
+        });
+
+        res.json({
+            conversations: conversations.map(formatConversation),
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get conversations error:', error);
+        res.status(500).json({ error: 'Falha ao obter conversas' });
+    }
+}
+
+/**
+ * Get conversation by ID with its messages
+ * GET /api/conversations/:id
+ */
+export async function getConversation(req, res) {
+    try {
+        const conversation = findOwnConversation(req);
+
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversa não encontrada' });
+        }
+
+        res.json({
+            conversation: formatConversation(conversation),
+            messages: db.findConversationMessages(conversation.id).map(formatMessage)
+        });
+    } catch (error) {
+        console.error('Get conversation error:', error);
+        res.status(500).json({ error: 'Falha ao obter conversa' });
+    }
+}
+
+/**
+ * Create conversation about one or more documents
+ * POST /api/conversations
+ */
+export async function createConversation(req, res) {
+    try {
+        const { documentIds, title, model = DEFAULT_MODEL, language } = req.body;
+
+        if (!Array.isArray(documentIds) || documentIds.length === 0) {
+            return res.status(400).json({ error: 'Selecione ao menos um documento' });
+        }
+
+        const ids = [...new Set(documentIds)];
+        if (ids.length > MAX_CONVERSATION_DOCUMENTS) {
+            return res.status(400).json({ error: `Máximo de ${MAX_CONVERSATION_DOCUMENTS} documentos por conversa` });
+        }
+
+        const documents = ids.map(id => db.findDocumentById(id));
+        const missing = ids.filter((id, index) => !documents[index] || documents[index].userId !== req.userId);
+        if (missing.length > 0) {
+            return res.status(404).json({ error: `Documentos não encontrados: ${missing.join(', ')}` });
+        }
+
+        const error = validateSettings({ title, model, language });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const conversation = db.createConversation({
+            id: uuidv4(),
+            userId: req.userId,
+            title: title?.trim() || (documents.length === 1
+                ? `Conversa sobre ${documents[0].originalName}`
+                : `Conversa sobre ${documents.length} documentos`),
+            documentIds: ids,
+            model,
+            language: language || req.user?.preferredLanguage || DEFAULT_LANGUAGE
+        });
+
+        res.status(201).json({
+            message: 'Conversa criada com sucesso',
+            conversation: formatConversation(conversation)
+        });
+    } catch (error) {
+        console.error('Create conversation error:', error);
+        res.status(500).json({ error: 'Falha ao criar conversa' });
+    }
+}
+
+/**
+ * Update conversation title, model or language
+ * PUT /api/conversations/:id
+ */
+export async function updateConversation(req, res) {
+    try {
+        const current = findOwnConversation(req);
+
+        if (!current) {
+            return res.status(404).json({ error: 'Conversa não encontrada' });
+        }
+
+        const { title, model, language } = req.body;
+
+        const error = validateSettings({ title, model, language });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const updates = {};
+        if (title?.trim()) updates.title = title.trim();
+        if (model !== undefined) updates.model = model;
+        if (language !== undefined) updates.language = language;
+
+        const conversation = db.updateConversation(current.id, updates);
+
+        res.json({
+            message: 'Conversa atualizada com sucesso',
+            conversation: formatConversation(conversation)
+        });
+    } catch (error) {
+        console.error('Update conversation error:', error);
+        res.status(500).json({ error: 'Falha ao atualizar conversa' });
+    }
+}
+
+/**
+ * Delete conversation and its messages
+ * DELETE /api/conversations/:id
+ */
+export async function deleteConversation(req, res) {
+    try {
+        const conversation = findOwnConversation(req);
+
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversa não encontrada' });
+        }
+
+        db.deleteConversation(conversation.id);
+
+        res.json({ message: 'Conversa deletada com sucesso' });
+    } catch (error) {
+        console.error('Delete conversation error:', error);
+        res.status(500).json({ error: 'Falha ao deletar conversa' });
+    }
+}
+
+/**
+ * Ask a question in the conversation
+ * Answered from the conversation documents' chunks plus the previous messages;
+ * the question and the answer are saved together.
+ * POST /api/conversations/:id/messages
+ */
+export async function sendMessage(req, res) {
+    try {
+        const conversation = findOwnConversation(req);
+
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversa não encontrada' });
+        }
+
+        const { content, k = 5 } = req.body;
+
+        if (typeof content !== 'string' || content.trim().length === 0) {
+            return res.status(400).json({ error: 'Mensagem é obrigatória' });
+        }
+
+        if (content.length > MAX_QUESTION_LENGTH) {
+            return res.status(400).json({ error: `Mensagem excede ${MAX_QUESTION_LENGTH} caracteres` });
+        }
+
+        const limit = parseInt(k);
+        if (!(limit >= 1 && limit <= MAX_SOURCES)) {
+            return res.status(400).json({ error: `k deve estar entre 1 e ${MAX_SOURCES}` });
+        }
+
+        if (!isConfigured(conversation.model)) {
+            return res.status(503).json({
+                error: `Modelo ${conversation.model} indisponível. ${getConfigurationError(conversation.model)}`
+            });
+        }
+
+        if (!isEmbeddingConfigured()) {
+            return res.status(503).json({ error: `Busca semântica indisponível. ${getEmbeddingConfigurationError()}` });
+        }
+
+        if (rejectOverQuota(req, res, USAGE_KINDS.CONVERSATION)) return;
+
+        const question = content.trim();
+        const askedAt = new Date().toISOString();
+        const history = db.findConversationMessages(conversation.id)
+            .slice(-HISTORY_MESSAGES)
+            .map(message => ({ role: message.role, content: message.content }));
+
+        const result = await askQuestion(req.userId, question, {
+            documentIds: conversation.documentIds,
+            k: limit,
+            model: conversation.model,
+            language: conversation.language,
+            history,
+            kind: USAGE_KINDS.CONVERSATION
+        });
+
+        if (!result) {
+            return res.status(400).json({
+                error: 'Nenhum documento da conversa está indexado. Aguarde a indexação ou reprocesse os documentos.'
+            });
+        }
+
+        const [userMessage, assistantMessage] = db.addConversationMessages(conversation.id, [
+            {
+                id: uuidv4(),
+                userId: req.userId,
+                role: 'user',
+                content: question,
+                createdAt: askedAt
+            },
+            {
+                id: uuidv4(),
+                userId: req.userId,
+                role: 'assistant',
+                content: result.answer,
+                citations: result.citations,
+                sources: result.sources,
+                model: result.model,
+                language: result.language,
+                tokensUsed: result.tokensUsed,
+                promptTokens: result.promptTokens,
+                completionTokens: result.completionTokens,
+                usageSource: result.usageSource,
+                estimatedCost: result.estimatedCost,
+                processingTime: result.processingTime
+            }
+        ]);
+
+        res.status(201).json({
+            messages: [formatMessage(userMessage), formatMessage(assistantMessage)]
+        });
+    } catch (error) {
+        console.error('Send message error:', error);
+        res.status(500).json({ error: error.message || 'Falha ao responder mensagem' });
+    }
+}
+
+export default {
+    getConversations,
+    getConversation,
+    createConversation,
+    updateConversation,
+    deleteConversation,
+    sendMessage
+};
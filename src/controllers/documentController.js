@@ -2,11 +2,74 @@ import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import fs from 'fs';
 import db from '../config/database.js';
-import { deleteFile } from '../middlewares/upload.js';
-import { loadAndExtractPDF, cleanText } from '../services/pdfService.js';
+import { deleteFile, hashFile } from '../middlewares/upload.js';
+import { cleanText } from '../services/pdfService.js';
+import { enqueueExtraction } from '../jobs/index.js';
+import { askQuestion, MAX_QUESTION_LENGTH, MAX_SOURCES } from '../services/questionService.js';
+import { USAGE_KINDS, rejectOverQuota } from '../services/quotaService.js';
+import { getDocumentPages } from '../services/pageService.js';
+import { tableToCsv } from '../services/tableService.js';
+import { isEmbeddingConfigured, getEmbeddingConfigurationError } from '../config/embeddings.js';
+import { isSupportedModel, isConfigured, getConfigurationError, DEFAULT_MODEL } from '../config/langchain.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, isValidLanguage } from '../config/languages.js';
+
+/**
+ * Format an uploaded (or duplicate) document for upload responses
+ */
+function formatUpload(document, extra = {}) {
+    return {
+        id: document.id,
+        originalName: document.originalName,
+        fileSize: document.fileSize,
+        status: document.status,
+        ...extra,
+        createdAt: document.createdAt
+    };
+}
+
+/**
+ * Store an uploaded file as a document and enqueue its extraction
+ * A file identical (SHA-256) to one the user already has is not stored again:
+ * the existing document is returned as duplicate, unless allowDuplicate.
+ * @returns {Promise<{ document: object, job: object|null, duplicate: boolean }>}
+ */
+async function createUploadedDocument(req, file, allowDuplicate) {
+    const contentHash = await hashFile(file.path);
+
+    if (!allowDuplicate) {
+        const existing = db.findDocumentsByContentHash(contentHash, req.userId)
+            .find(doc => doc.status !== 'error');
+
+        if (existing) {
+            await deleteFile(file.path);
+            return { document: existing, job: null, duplicate: true };
+        }
+    }
+
+    const document = db.createDocument({
+        id: uuidv4(),
+        userId: req.userId,
+        originalName: file.originalname,
+        storedName: file.filename,
+        filePath: file.path,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        contentHash,
+        status: 'processing',
+        extractedText: null,
+        pageCount: null,
+        errorMessage: null
+    });
+
+    // Extract text in background (persistent job queue)
+    const job = enqueueExtraction(document);
+
+    return { document, job, duplicate: false };
+}
 
 /**
  * Upload single document
+ * ?allowDuplicate=true stores the file even if the user already has an identical one
  * POST /api/documents/upload
  */
 export async function uploadDocument(req, res) {
@@ -15,34 +78,22 @@ export async function uploadDocument(req, res) {
             return res.status(400).json({ error: 'Nenhum arquivo enviado' });
         }
 
-        const file = req.file;
-
-        const document = db.createDocument({
-            id: uuidv4(),
-            userId: req.userId,
-            originalName: file.originalname,
-            storedName: file.filename,
-            filePath: file.path,
-            fileSize: file.size,
-            mimeType: file.mimetype,
-            status: 'processing',
-            extractedText: null,
-            pageCount: null,
-            errorMessage: null
-        });
+        const { document, job, duplicate } = await createUploadedDocument(
+            req, req.file, req.query.allowDuplicate === 'true'
+        );
 
-        // Extract text in background using LangChain
-        extractTextAsync(document.id);
+        if (duplicate) {
+            return res.json({
+                message: `Documento já enviado como ${document.originalName}`,
+                duplicate: true,
+                document: formatUpload(document, { duplicate: true })
+            });
+        }
 
         res.status(201).json({
             message: 'Documento enviado com sucesso',
-            document: {
-                id: document.id,
-                originalName: document.originalName,
-                fileSize: document.fileSize,
-                status: document.status,
-                createdAt: document.createdAt
-            }
+            duplicate: false,
+            document: formatUpload(document, { jobId: job.id })
         });
     } catch (error) {
         console.error('Upload error:', error);
@@ -57,52 +108,44 @@ export async function uploadDocument(req, res) {
 
 /**
  * Upload multiple documents
+ * Files identical to documents the user already has come back with duplicate: true
  * POST /api/documents/upload-multiple
  */
 export async function uploadMultipleDocuments(req, res) {
+    const handled = new Set();
+
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({ error: 'Nenhum arquivo enviado' });
         }
 
+        const allowDuplicate = req.query.allowDuplicate === 'true';
         const documents = [];
 
         for (const file of req.files) {
-            const document = db.createDocument({
-                id: uuidv4(),
-                userId: req.userId,
-                originalName: file.originalname,
-                storedName: file.filename,
-                filePath: file.path,
-                fileSize: file.size,
-                mimeType: file.mimetype,
-                status: 'processing',
-                extractedText: null,
-                pageCount: null,
-                errorMessage: null
-            });
-
-            documents.push(document);
-            
-            // Extract text in background
-            extractTextAsync(document.id);
+            const { document, job, duplicate } = await createUploadedDocument(req, file, allowDuplicate);
+            handled.add(file.path);
+            documents.push(duplicate
+                ? formatUpload(document, { duplicate: true })
+                : formatUpload(document, { duplicate: false, jobId: job.id }));
         }
 
-        res.status(201).json({
-            message: `${documents.length} documentos enviados com sucesso`,
-            documents: documents.map(doc => ({
-                id: doc.id,
-                originalName: doc.originalName,
-                fileSize: doc.fileSize,
-                status: doc.status,
-                createdAt: doc.createdAt
-            }))
+        const created = documents.filter(doc => !doc.duplicate).length;
+        const duplicates = documents.length - created;
+
+        res.status(created > 0 ? 201 : 200).json({
+            message: duplicates > 0
+                ? `${created} documentos enviados com sucesso, ${duplicates} já existiam`
+                : `${created} documentos enviados com sucesso`,
+            duplicates,
+            documents
         });
     } catch (error) {
         console.error('Multiple upload error:', error);
         
+        // Files already stored as documents (or removed as duplicates) stay as they are
         if (req.files) {
-            for (const file of req.files) {
+            for (const file of req.files.filter(f => !handled.has(f.path))) {
                 await deleteFile(file.path).catch(console.error);
             }
         }
@@ -112,53 +155,50 @@ export async function uploadMultipleDocuments(req, res) {
 }
 
 /**
- * Extract text from PDF asynchronously using LangChain
+ * Parse a date filter (YYYY-MM-DD or ISO); date-only upper bounds cover the whole day
+ * @returns {string|null|undefined} ISO date, null when invalid, undefined when absent
  */
-async function extractTextAsync(documentId) {
-    console.log(`[PDF] Starting extraction for document ${documentId}`);
-    
-    try {
-        const document = db.findDocumentById(documentId);
-        if (!document) {
-            console.log(`[PDF] Document ${documentId} not found in database`);
-            return;
-        }
-
-        console.log(`[PDF] Extracting text using LangChain from: ${document.filePath}`);
-        
-        // Use LangChain PDFLoader
-        const result = await loadAndExtractPDF(document.filePath);
-        
-        console.log(`[PDF] Extracted ${result.text.length} characters, ${result.pages} pages`);
-        
-        db.updateDocument(documentId, {
-            extractedText: result.text,
-            pageCount: result.pages,
-            status: 'processed'
-        });
-        
-        console.log(`[PDF] ✅ Document ${documentId} processed successfully`);
-    } catch (error) {
-        console.error(`[PDF] ❌ Error processing document ${documentId}:`, error.message);
-        db.updateDocument(documentId, {
-            status: 'error',
-            errorMessage: error.message
-        });
-    }
+function parseDateFilter(value, endOfDay = false) {
+    if (!value) return undefined;
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(dateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+    return isNaN(date) ? null : date.toISOString();
 }
 
 /**
  * Get all documents for current user
+ * Filters: status and metadata (title, author, subject, keywords, creator,
+ * producer, language, creationDateFrom, creationDateTo, hasOutline)
  * GET /api/documents
  */
 export async function getDocuments(req, res) {
     try {
-        const { status, page = 1, limit = 20 } = req.query;
+        const {
+            status, page = 1, limit = 20,
+            title, author, subject, keywords, creator, producer, language,
+            creationDateFrom, creationDateTo, hasOutline
+        } = req.query;
         
         const offset = (page - 1) * limit;
 
+        const dateFrom = parseDateFilter(creationDateFrom);
+        const dateTo = parseDateFilter(creationDateTo, true);
+        if (dateFrom === null || dateTo === null) {
+            return res.status(400).json({ error: 'Data inválida. Use AAAA-MM-DD ou ISO 8601' });
+        }
+
+        if (hasOutline !== undefined && !['true', 'false'].includes(hasOutline)) {
+            return res.status(400).json({ error: 'hasOutline deve ser true ou false' });
+        }
+
         const { documents, total } = db.findDocumentsByUserId(req.userId, {
             status,
+            metadata: {
+                title, author, subject, keywords, creator, producer, language,
+                creationDateFrom: dateFrom,
+                creationDateTo: dateTo,
+                hasOutline: hasOutline === undefined ? undefined : hasOutline === 'true'
+            },
             limit: parseInt(limit),
             offset: offset
         });
@@ -170,6 +210,11 @@ export async function getDocuments(req, res) {
                 fileSize: d.fileSize,
                 pageCount: d.pageCount,
                 status: d.status,
+                embeddingStatus: d.embeddingStatus || null,
+                ocrStatus: d.ocrStatus || null,
+                metadata: d.metadata || {},
+                tableCount: d.tableCount || 0,
+                contentHash: d.contentHash || null,
                 createdAt: d.createdAt,
                 updatedAt: d.updatedAt
             })),
@@ -208,6 +253,18 @@ export async function getDocument(req, res) {
             pageCount: document.pageCount,
             status: document.status,
             errorMessage: document.errorMessage,
+            embeddingStatus: document.embeddingStatus || null,
+            embeddingModel: document.embeddingModel || null,
+            chunkCount: document.chunkCount || 0,
+            ocrStatus: document.ocrStatus || null,
+            ocrPageCount: document.ocrPageCount || 0,
+            ocrConfidence: document.ocrConfidence ?? null,
+            metadata: document.metadata || {},
+            outline: document.outline || [],
+            headings: document.headings || [],
+            tableCount: document.tableCount || 0,
+            contentHash: document.contentHash || null,
+            extractionReused: !!document.extractionReused,
             createdAt: document.createdAt,
             updatedAt: document.updatedAt
         };
@@ -224,7 +281,178 @@ export async function getDocument(req, res) {
 }
 
 /**
- * Download document PDF
+ * Get the text of one page (1-based)
+ * GET /api/documents/:id/pages/:page
+ */
+export async function getDocumentPage(req, res) {
+    try {
+        const { id } = req.params;
+        const pageNumber = Number(req.params.page);
+
+        const document = db.findDocumentById(id);
+
+        if (!document || document.userId !== req.userId) {
+            return res.status(404).json({ error: 'Documento não encontrado' });
+        }
+
+        if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+            return res.status(400).json({ error: 'Número de página inválido' });
+        }
+
+        // Documentos extraídos antes de salvar as páginas usam as posições no texto
+        const page = db.findDocumentPage(id, pageNumber) ||
+            getDocumentPages(document).find(p => p.page === pageNumber);
+
+        if (!page) {
+            return res.status(404).json({
+                error: document.pageCount && pageNumber <= document.pageCount
+                    ? 'Texto da página indisponível. Reprocesse o documento.'
+                    : 'Página não encontrada'
+            });
+        }
+
+        res.json({
+            documentId: document.id,
+            originalName: document.originalName,
+            page: page.page,
+            pageCount: document.pageCount,
+            text: page.text,
+            ocr: !!page.ocr,
+            ocrConfidence: page.ocrConfidence ?? null
+        });
+    } catch (error) {
+        console.error('Get document page error:', error);
+        res.status(500).json({ error: 'Falha ao obter página' });
+    }
+}
+
+// Download formats for extracted tables
+const TABLE_FORMATS = ['json', 'csv'];
+
+/**
+ * Format table for API responses
+ */
+function formatTable(table) {
+    return {
+        number: table.tableIndex,
+        page: table.page,
+        rowCount: table.rowCount,
+        columnCount: table.columnCount,
+        rows: table.rows
+    };
+}
+
+/**
+ * Send tables inline (no format) or as a JSON/CSV download
+ */
+function sendTables(res, document, tables, format, baseName) {
+    const name = path.basename(document.originalName, path.extname(document.originalName));
+
+    if (format === 'csv') {
+        // Several tables: one block per table, each after a title row
+        const content = tables.length === 1
+            ? tableToCsv(tables[0].rows)
+            : tables.map(t => tableToCsv([[`Tabela ${t.tableIndex} (p. ${t.page})`], ...t.rows])).join('\r\n\r\n');
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(`${name}_${baseName}.csv`)}"`);
+        // BOM so spreadsheet apps read the file as UTF-8
+        return res.send(`\uFEFF${content}`);
+    }
+
+    const body = {
+        documentId: document.id,
+        originalName: document.originalName,
+        tables: tables.map(formatTable)
+    };
+
+    if (format === 'json') {
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(`${name}_${baseName}.json`)}"`);
+    }
+    res.json(body);
+}
+
+/**
+ * Get tables detected in the document (optionally one page)
+ * ?format=json|csv downloads them as a file
+ * GET /api/documents/:id/tables
+ */
+export async function getDocumentTables(req, res) {
+    try {
+        const { page, format } = req.query;
+
+        const document = db.findDocumentById(req.params.id);
+
+        if (!document || document.userId !== req.userId) {
+            return res.status(404).json({ error: 'Documento não encontrado' });
+        }
+
+        if (format !== undefined && !TABLE_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Formato inválido. Opções: ${TABLE_FORMATS.join(', ')}` });
+        }
+
+        const pageNumber = page === undefined ? null : Number(page);
+        if (pageNumber !== null && !(Number.isInteger(pageNumber) && pageNumber >= 1)) {
+            return res.status(400).json({ error: 'Número de página inválido' });
+        }
+
+        const tables = db.findDocumentTables(document.id)
+            .filter(table => pageNumber === null || table.page === pageNumber);
+
+        if (format === 'csv' && tables.length === 0) {
+            return res.status(404).json({ error: 'Nenhuma tabela encontrada' });
+        }
+
+        sendTables(res, document, tables, format, pageNumber ? `tabelas_p${pageNumber}` : 'tabelas');
+    } catch (error) {
+        console.error('Get document tables error:', error);
+        res.status(500).json({ error: 'Falha ao obter tabelas' });
+    }
+}
+
+/**
+ * Get one table by its number in the document (1-based)
+ * ?format=json|csv downloads it as a file
+ * GET /api/documents/:id/tables/:number
+ */
+export async function getDocumentTable(req, res) {
+    try {
+        const { format } = req.query;
+        const number = Number(req.params.number);
+
+        const document = db.findDocumentById(req.params.id);
+
+        if (!document || document.userId !== req.userId) {
+            return res.status(404).json({ error: 'Documento não encontrado' });
+        }
+
+        if (format !== undefined && !TABLE_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Formato inválido. Opções: ${TABLE_FORMATS.join(', ')}` });
+        }
+
+        if (!Number.isInteger(number) || number < 1) {
+            return res.status(400).json({ error: 'Número da tabela inválido' });
+        }
+
+        const table = db.findDocumentTable(document.id, number);
+
+        if (!table) {
+            return res.status(404).json({ error: 'Tabela não encontrada' });
+        }
+
+        if (!format) {
+            return res.json({ documentId: document.id, originalName: document.originalName, table: formatTable(table) });
+        }
+
+        sendTables(res, document, [table], format, `tabela_${number}`);
+    } catch (error) {
+        console.error('Get document table error:', error);
+        res.status(500).json({ error: 'Falha ao obter tabela' });
+    }
+}
+
+/**
+ * Download original document file
  * GET /api/documents/:id/download
  */
 export async function downloadDocument(req, res) {
@@ -243,7 +471,7 @@ export async function downloadDocument(req, res) {
         }
 
         // Set headers for download
-        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Type', document.mimeType || 'application/pdf');
         res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(document.originalName)}"`);
         res.setHeader('Content-Length', document.fileSize);
 
@@ -283,7 +511,7 @@ export async function downloadDocumentText(req, res) {
         }
 
         // Generate filename
-        const baseName = path.basename(document.originalName, '.pdf');
+        const baseName = path.basename(document.originalName, path.extname(document.originalName));
         const filename = `${baseName}_texto.txt`;
 
         // Set headers for download
@@ -375,14 +603,16 @@ export async function reprocessDocument(req, res) {
             errorMessage: null
         });
 
-        extractTextAsync(id);
+        // Reprocessing always extracts again instead of copying an identical file's result
+        const job = enqueueExtraction(document, { reuse: false });
 
         res.json({ 
             message: 'Reprocessamento do documento iniciado',
             document: {
                 id: document.id,
                 status: 'processing'
-            }
+            },
+            jobId: job.id
         });
     } catch (error) {
         console.error('Reprocess document error:', error);
@@ -390,14 +620,83 @@ export async function reprocessDocument(req, res) {
     }
 }
 
+/**
+ * Answer a question from the most relevant chunks of the user's documents
+ * POST /api/documents/ask
+ */
+export async function askDocuments(req, res) {
+    try {
+        const { question, documentIds, k = 5, model = DEFAULT_MODEL, language } = req.body;
+
+        if (typeof question !== 'string' || question.trim().length === 0) {
+            return res.status(400).json({ error: 'Pergunta é obrigatória' });
+        }
+
+        if (question.length > MAX_QUESTION_LENGTH) {
+            return res.status(400).json({ error: `Pergunta excede ${MAX_QUESTION_LENGTH} caracteres` });
+        }
+
+        if (documentIds !== undefined && !Array.isArray(documentIds)) {
+            return res.status(400).json({ error: 'documentIds deve ser uma lista de IDs' });
+        }
+
+        const limit = parseInt(k);
+        if (!(limit >= 1 && limit <= MAX_SOURCES)) {
+            return res.status(400).json({ error: `k deve estar entre 1 e ${MAX_SOURCES}` });
+        }
+
+        if (!isSupportedModel(model)) {
+            return res.status(400).json({ error: `Modelo não suportado: ${model}` });
+        }
+
+        if (!isConfigured(model)) {
+            return res.status(503).json({ error: `Modelo ${model} indisponível. ${getConfigurationError(model)}` });
+        }
+
+        if (language && !isValidLanguage(language)) {
+            return res.status(400).json({
+                error: `Idioma não suportado: ${language}. Opções: ${Object.keys(LANGUAGES).join(', ')}`
+            });
+        }
+
+        if (!isEmbeddingConfigured()) {
+            return res.status(503).json({ error: `Busca semântica indisponível. ${getEmbeddingConfigurationError()}` });
+        }
+
+        if (rejectOverQuota(req, res, USAGE_KINDS.QUESTION)) return;
+
+        const result = await askQuestion(req.userId, question.trim(), {
+            documentIds,
+            k: limit,
+            model,
+            language: language || req.user?.preferredLanguage || DEFAULT_LANGUAGE
+        });
+
+        if (!result) {
+            return res.status(400).json({
+                error: 'Nenhum documento indexado para perguntas. Aguarde a indexação ou reprocesse os documentos.'
+            });
+        }
+
+        res.json({ question: question.trim(), ...result });
+    } catch (error) {
+        console.error('Ask documents error:', error);
+        res.status(500).json({ error: error.message || 'Falha ao responder pergunta' });
+    }
+}
+
 export default {
     uploadDocument,
     uploadMultipleDocuments,
     getDocuments,
     getDocument,
+    getDocumentPage,
+    getDocumentTables,
+    getDocumentTable,
     downloadDocument,
     downloadDocumentText,
     deleteDocument,
     deleteMultipleDocuments,
-    reprocessDocument
+    reprocessDocument,
+    askDocuments
 };
\ No newline at end of file
@@ -0,0 +1,18 @@
+import { subscribe } from '../services/eventStream.js';
+
+/**
+ * Stream live document and summary events for current user (SSE)
+ * GET /api/events
+ */
+export async function streamEvents(req, res) {
+    try {
+        subscribe(req.userId, req, res);
+    } catch (error) {
+        console.error('Event stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Falha ao abrir stream de eventos' });
+        }
+    }
+}
+
+export default { streamEvents };
@@ -0,0 +1,78 @@
+import db from '../config/database.js';
+
+/**
+ * Format job for API responses
+ */
+function formatJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        resourceId: job.resourceId,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        runAt: job.runAt,
+        lastError: job.lastError,
+        progress: job.progress,
+        history: job.history || [],
+        result: job.result,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+/**
+ * Get background jobs for current user
+ * GET /api/jobs
+ */
+export async function getJobs(req, res) {
+    try {
+        const { status, type, page = 1, limit = 20 } = req.query;
+
+        const offset = (page - 1) * limit;
+
+        const { jobs, total } = db.findJobsByUserId(req.userId, {
+            status,
+            type,
+            limit: parseInt(limit),
+            offset: offset
+        });
+
+        res.json({
+            jobs: jobs.map(formatJob),
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        res.status(500).json({ error: 'Falha ao obter jobs' });
+    }
+}
+
+/**
+ * Get job status and attempt history
+ * GET /api/jobs/:id
+ */
+export async function getJob(req, res) {
+    try {
+        const job = db.findJobById(req.params.id);
+
+        if (!job || job.userId !== req.userId) {
+            return res.status(404).json({ error: 'Job não encontrado' });
+        }
+
+        res.json({ job: formatJob(job) });
+    } catch (error) {
+        console.error('Get job error:', error);
+        res.status(500).json({ error: 'Falha ao obter job' });
+    }
+}
+
+export default {
+    getJobs,
+    getJob
+};
@@ -0,0 +1,190 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../config/database.js';
+import { PROMPT_STEPS, validatePromptTemplate, changesPrompts } from '../services/promptTemplateService.js';
+
+/**
+ * Format prompt template for API responses
+ */
+function formatPromptTemplate(template) {
+    return {
+        id: template.id,
+        name: template.name,
+        description: template.description,
+        single: template.single,
+        multiple: template.multiple,
+        map: template.map,
+        combine: template.combine,
+        version: template.version,
+        createdAt: template.createdAt,
+        updatedAt: template.updatedAt
+    };
+}
+
+/**
+ * Find a template owned by the current user
+ */
+function findOwnTemplate(req) {
+    const template = db.findPromptTemplateById(req.params.id);
+    return template && template.userId === req.userId ? template : null;
+}
+
+/**
+ * List prompt steps and the variables each one accepts
+ * GET /api/prompts/steps
+ */
+export async function getPromptSteps(req, res) {
+    try {
+        res.json({
+            steps: Object.entries(PROMPT_STEPS).map(([id, step]) => ({ id, ...step }))
+        });
+    } catch (error) {
+        console.error('Get prompt steps error:', error);
+        res.status(500).json({ error: 'Falha ao listar etapas' });
+    }
+}
+
+/**
+ * Get prompt templates for current user
+ * GET /api/prompts
+ */
+export async function getPromptTemplates(req, res) {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const offset = (page - 1) * limit;
+
+        const { templates, total } = db.findPromptTemplatesByUserId(req.userId, {
+            limit: parseInt(limit),
+            offset: offset
+        });
+
+        res.json({
+            templates: templates.map(formatPromptTemplate),
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get prompt templates error:', error);
+        res.status(500).json({ error: 'Falha ao obter templates' });
+    }
+}
+
+/**
+ * Get prompt template by ID
+ * GET /api/prompts/:id
+ */
+export async function getPromptTemplate(req, res) {
+    try {
+        const template = findOwnTemplate(req);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template não encontrado' });
+        }
+
+        res.json({ template: formatPromptTemplate(template) });
+    } catch (error) {
+        console.error('Get prompt template error:', error);
+        res.status(500).json({ error: 'Falha ao obter template' });
+    }
+}
+
+/**
+ * Create prompt template
+ * POST /api/prompts
+ */
+export async function createPromptTemplate(req, res) {
+    try {
+        const validation = validatePromptTemplate(req.body);
+        if (validation.error) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const template = db.createPromptTemplate({
+            id: uuidv4(),
+            userId: req.userId,
+            description: null,
+            single: null,
+            multiple: null,
+            map: null,
+            combine: null,
+            ...validation.fields,
+            version: 1
+        });
+
+        res.status(201).json({
+            message: 'Template criado com sucesso',
+            template: formatPromptTemplate(template)
+        });
+    } catch (error) {
+        console.error('Create prompt template error:', error);
+        res.status(500).json({ error: 'Falha ao criar template' });
+    }
+}
+
+/**
+ * Update prompt template (a new version when any prompt changes)
+ * PUT /api/prompts/:id
+ */
+export async function updatePromptTemplate(req, res) {
+    try {
+        const current = findOwnTemplate(req);
+
+        if (!current) {
+            return res.status(404).json({ error: 'Template não encontrado' });
+        }
+
+        const validation = validatePromptTemplate(req.body, current);
+        if (validation.error) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const updates = { ...validation.fields };
+        if (changesPrompts(current, updates)) {
+            updates.version = current.version + 1;
+        }
+
+        const template = db.updatePromptTemplate(current.id, updates);
+
+        res.json({
+            message: 'Template atualizado com sucesso',
+            template: formatPromptTemplate(template)
+        });
+    } catch (error) {
+        console.error('Update prompt template error:', error);
+        res.status(500).json({ error: 'Falha ao atualizar template' });
+    }
+}
+
+/**
+ * Delete prompt template (summaries keep the recorded ID and version)
+ * DELETE /api/prompts/:id
+ */
+export async function deletePromptTemplate(req, res) {
+    try {
+        const template = findOwnTemplate(req);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template não encontrado' });
+        }
+
+        db.deletePromptTemplate(template.id);
+
+        res.json({ message: 'Template deletado com sucesso' });
+    } catch (error) {
+        console.error('Delete prompt template error:', error);
+        res.status(500).json({ error: 'Falha ao deletar template' });
+    }
+}
+
+export default {
+    getPromptSteps,
+    getPromptTemplates,
+    getPromptTemplate,
+    createPromptTemplate,
+    updatePromptTemplate,
+    deletePromptTemplate
+};
@@ -0,0 +1,54 @@
+import { search as searchIndex, MAX_QUERY_LENGTH } from '../services/searchService.js';
+
+const SEARCH_TYPES = ['document', 'summary'];
+
+/**
+ * Full-text search over documents and summaries
+ * GET /api/search?q=...&type=document|summary
+ */
+export async function search(req, res) {
+    try {
+        const { q = '', type, page = 1, limit = 20 } = req.query;
+        const query = String(q).trim();
+
+        if (!query) {
+            return res.status(400).json({ error: 'Informe o termo de busca (q)' });
+        }
+
+        if (query.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({ error: `Busca excede ${MAX_QUERY_LENGTH} caracteres` });
+        }
+
+        if (type && !SEARCH_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Tipo inválido: ${type}. Opções: ${SEARCH_TYPES.join(', ')}` });
+        }
+
+        const offset = (page - 1) * limit;
+
+        const { terms, phrases, total, results } = searchIndex(req.userId, query, {
+            type,
+            limit: parseInt(limit),
+            offset: offset
+        });
+
+        res.json({
+            query,
+            terms,
+            phrases: phrases.map(phrase => phrase.join(' ')),
+            results,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ error: 'Falha ao buscar' });
+    }
+}
+
+export default {
+    search
+};
@@ -1,178 +1,681 @@
-import { v4 as uuidv4 } from 'uuid';
 import db from '../config/database.js';
-import { 
-    generateSingleSummary, 
-    generateMultipleSummary, 
-    testConnection 
-} from '../services/langchainService.js';
-import { isConfigured, DEFAULT_MODEL } from '../config/langchain.js';
+import { testConnection } from '../services/langchainService.js';
+import {
+    isConfigured,
+    isSupportedModel,
+    getConfigurationError,
+    getAvailableModels,
+    getModelInfo,
+    DEFAULT_MODEL,
+    PROVIDERS
+} from '../config/langchain.js';
+import { DEFAULT_STYLE, SUMMARY_STYLES, isValidStyle, listStyles } from '../config/summaryStyles.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, isValidLanguage } from '../config/languages.js';
 import { truncateText } from '../services/pdfService.js';
+import {
+    summarizeDocuments,
+    saveSummary,
+    editSummary,
+    restoreSummaryRevision,
+    MAX_TITLE_LENGTH,
+    MAX_CONTENT_LENGTH
+} from '../services/summaryService.js';
+import { getCacheStats } from '../services/summaryCacheService.js';
+import { EXPORT_FORMATS, buildSummaryExport } from '../services/summaryExportService.js';
+import { writeEvent } from '../services/eventStream.js';
+import { JOB_TYPES, enqueueSummary } from '../jobs/index.js';
+import { rejectOverQuota, trackStream } from '../services/quotaService.js';
 
 // Maximum text length for LLM
 const MAX_TEXT_LENGTH = 50000;
 
+/**
+ * Format summary generation job for API responses
+ */
+function formatSummaryJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        type: job.payload.type,
+        style: job.payload.style,
+        language: job.payload.language,
+        promptTemplateId: job.payload.promptTemplateId || null,
+        documentIds: job.payload.documentIds,
+        progress: job.progress,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        error: job.lastError,
+        sourceSummaryId: job.payload.sourceSummaryId || null,
+        summaryId: job.result?.summaryId || null,
+        fromCache: job.result ? !!job.result.fromCache : null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+/**
+ * Check that the requested model exists and its provider is configured
+ * @returns {{ status: number, error: string } | null}
+ */
+function validateModel(model = DEFAULT_MODEL) {
+    if (!isSupportedModel(model)) {
+        return { status: 400, error: `Modelo não suportado: ${model}` };
+    }
+
+    if (!isConfigured(model)) {
+        return {
+            status: 503,
+            error: `Modelo ${model} indisponível. ${getConfigurationError(model)}`
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Check that the requested style preset exists
+ * @returns {{ status: number, error: string } | null}
+ */
+function validateStyle(style) {
+    if (style !== undefined && style !== null && !isValidStyle(style)) {
+        return {
+            status: 400,
+            error: `Estilo inválido: ${style}. Opções: ${Object.keys(SUMMARY_STYLES).join(', ')}`
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Check that the requested output language is supported
+ * @returns {{ status: number, error: string } | null}
+ */
+function validateLanguage(language) {
+    if (language !== undefined && language !== null && !isValidLanguage(language)) {
+        return {
+            status: 400,
+            error: `Idioma não suportado: ${language}. Opções: ${Object.keys(LANGUAGES).join(', ')}`
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Check that the requested prompt template exists and belongs to the user
+ * @returns {{ status: number, error: string } | null}
+ */
+function validatePromptTemplate(req, promptTemplateId = req.body.promptTemplateId) {
+    if (promptTemplateId === undefined || promptTemplateId === null) {
+        return null;
+    }
+
+    const template = db.findPromptTemplateById(promptTemplateId);
+    if (!template || template.userId !== req.userId) {
+        return { status: 404, error: 'Template de prompt não encontrado' };
+    }
+
+    return null;
+}
+
+/**
+ * Output language: request, then the user's preference, then the server default
+ */
+function resolveLanguage(req) {
+    return req.body.language || req.user?.preferredLanguage || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Validate a single-document summary request
+ * @returns {{ documents: Array } | { status: number, error: string }}
+ */
+function validateSingleRequest(req) {
+    const { documentId } = req.body;
+
+    if (!documentId) {
+        return { status: 400, error: 'ID do documento é obrigatório' };
+    }
+
+    const modelError = validateModel(req.body.model) ||
+        validateStyle(req.body.style) ||
+        validateLanguage(req.body.language) ||
+        validatePromptTemplate(req);
+    if (modelError) {
+        return modelError;
+    }
+
+    const document = db.findDocumentById(documentId);
+
+    if (!document || document.userId !== req.userId) {
+        return { status: 404, error: 'Documento não encontrado' };
+    }
+
+    if (document.status !== 'processed') {
+        return { 
+            status: 400,
+            error: `Documento não está pronto para resumo. Status: ${document.status}` 
+        };
+    }
+
+    if (!document.extractedText || document.extractedText.trim().length === 0) {
+        return { 
+            status: 400,
+            error: document.ocrStatus === 'unavailable'
+                ? 'Documento não possui conteúdo de texto para resumir. O PDF parece digitalizado e o OCR não está disponível no servidor'
+                : 'Documento não possui conteúdo de texto para resumir' 
+        };
+    }
+
+    return { documents: [document] };
+}
+
+/**
+ * Validate a multiple-document summary request
+ * @returns {{ documents: Array } | { status: number, error: string }}
+ */
+function validateMultipleRequest(req) {
+    const { documentIds } = req.body;
+
+    if (!documentIds || !Array.isArray(documentIds) || documentIds.length < 2) {
+        return { status: 400, error: 'Pelo menos 2 IDs de documentos são obrigatórios' };
+    }
+
+    const modelError = validateModel(req.body.model) ||
+        validateStyle(req.body.style) ||
+        validateLanguage(req.body.language) ||
+        validatePromptTemplate(req);
+    if (modelError) {
+        return modelError;
+    }
+
+    // Get documents
+    const documents = [];
+    for (const id of documentIds) {
+        const doc = db.findDocumentById(id);
+        if (doc && doc.userId === req.userId && doc.status === 'processed' && doc.extractedText) {
+            documents.push(doc);
+        }
+    }
+
+    if (documents.length < 2) {
+        return { 
+            status: 400,
+            error: 'Pelo menos 2 documentos processados com conteúdo de texto são obrigatórios' 
+        };
+    }
+
+    return { documents };
+}
+
 /**
  * Generate summary for a single document
+ * ?fresh=true skips the summary cache and calls the model again
  * POST /api/summaries/single
  */
 export async function createSingleSummary(req, res) {
     try {
-        const { documentId, title, model } = req.body;
+        const { title, model, style, promptTemplateId } = req.body;
 
-        if (!documentId) {
-            return res.status(400).json({ error: 'ID do documento é obrigatório' });
+        const validation = validateSingleRequest(req);
+        if (validation.error) {
+            return res.status(validation.status).json({ error: validation.error });
         }
 
-        if (!isConfigured()) {
-            return res.status(503).json({ 
-                error: 'API da OpenAI não está configurada. Por favor, defina OPENAI_API_KEY no ambiente.' 
-            });
-        }
+        if (rejectOverQuota(req, res)) return;
 
-        const document = db.findDocumentById(documentId);
+        // Generate summary in background (LangChain can take minutes)
+        const job = enqueueSummary(req.userId, {
+            type: 'single',
+            documentIds: validation.documents.map(d => d.id),
+            title,
+            model: model || DEFAULT_MODEL,
+            style: style || DEFAULT_STYLE,
+            language: resolveLanguage(req),
+            promptTemplateId: promptTemplateId || null,
+            fresh: req.query.fresh === 'true'
+        });
 
-        if (!document || document.userId !== req.userId) {
-            return res.status(404).json({ error: 'Documento não encontrado' });
+        res.status(202).json({
+            message: 'Geração do resumo iniciada',
+            jobId: job.id,
+            job: formatSummaryJob(job)
+        });
+    } catch (error) {
+        console.error('Create single summary error:', error);
+        res.status(500).json({ error: error.message || 'Falha ao iniciar geração do resumo' });
+    }
+}
+
+/**
+ * Generate integrated summary for multiple documents
+ * ?fresh=true skips the summary cache and calls the model again
+ * POST /api/summaries/multiple
+ */
+export async function createMultipleSummary(req, res) {
+    try {
+        const { title, model, style, promptTemplateId } = req.body;
+
+        const validation = validateMultipleRequest(req);
+        if (validation.error) {
+            return res.status(validation.status).json({ error: validation.error });
         }
+        const { documents } = validation;
 
-        if (document.status !== 'processed') {
-            return res.status(400).json({ 
-                error: `Documento não está pronto para resumo. Status: ${document.status}` 
-            });
+        if (rejectOverQuota(req, res)) return;
+
+        // Generate integrated summary in background
+        const job = enqueueSummary(req.userId, {
+            type: 'multiple',
+            documentIds: documents.map(d => d.id),
+            title,
+            model: model || DEFAULT_MODEL,
+            style: style || DEFAULT_STYLE,
+            language: resolveLanguage(req),
+            promptTemplateId: promptTemplateId || null,
+            fresh: req.query.fresh === 'true'
+        });
+
+        res.status(202).json({
+            message: 'Geração do resumo integrado iniciada',
+            jobId: job.id,
+            job: formatSummaryJob(job),
+            documentsIncluded: documents.map(d => ({
+                id: d.id,
+                name: d.originalName
+            }))
+        });
+    } catch (error) {
+        console.error('Create multiple summary error:', error);
+        res.status(500).json({ error: error.message || 'Falha ao iniciar geração do resumo integrado' });
+    }
+}
+
+/**
+ * Generate a summary streaming tokens as Server-Sent Events
+ * Events: progress, token, done ({ summary }), error ({ error })
+ */
+async function streamSummary(req, res, type) {
+    // The summary is still saved if the client disconnects mid-stream
+    const emit = (event, data) => {
+        if (!res.writableEnded && !res.destroyed) {
+            writeEvent(res, event, data);
         }
+    };
 
-        if (!document.extractedText || document.extractedText.trim().length === 0) {
-            return res.status(400).json({ 
-                error: 'Documento não possui conteúdo de texto para resumir' 
-            });
+    let releaseStream = null;
+
+    try {
+        const { title, model, style, promptTemplateId } = req.body;
+
+        const validation = type === 'single' ? validateSingleRequest(req) : validateMultipleRequest(req);
+        if (validation.error) {
+            return res.status(validation.status).json({ error: validation.error });
         }
+        const { documents } = validation;
 
-        console.log(`[Summary] Generating single summary for document ${documentId}`);
+        if (rejectOverQuota(req, res)) return;
+        releaseStream = trackStream(req.userId);
 
-        // Generate summary using LangChain
-        const result = await generateSingleSummary(document.extractedText, {
-            model: model || DEFAULT_MODEL
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
         });
 
-        // Create summary record
-        const summary = db.createSummary({
-            id: uuidv4(),
-            userId: req.userId,
-            title: title || `Summary of ${document.originalName}`,
-            content: result.summary,
-            type: 'single',
-            documentIds: JSON.stringify([documentId]),
-            model: result.model,
-            tokensUsed: result.tokensUsed,
-            processingTime: result.processingTime,
-            method: result.method
+        const result = await summarizeDocuments(req.userId, type, documents, {
+            model: model || DEFAULT_MODEL,
+            style: style || DEFAULT_STYLE,
+            language: resolveLanguage(req),
+            template: promptTemplateId ? db.findPromptTemplateById(promptTemplateId) : null,
+            fresh: req.query.fresh === 'true',
+            onProgress: (progress) => emit('progress', progress),
+            onToken: (text) => emit('token', { text })
         });
 
-        res.status(201).json({
-            message: 'Resumo gerado com sucesso',
+        const summary = saveSummary(req.userId, type, documents, title, result);
+
+        emit('done', {
             summary: {
                 id: summary.id,
                 title: summary.title,
                 content: summary.content,
+                citations: summary.citations || [],
                 type: summary.type,
-                documentIds: [documentId],
+                documentIds: documents.map(d => d.id),
                 model: summary.model,
+                style: summary.style,
+                language: summary.language,
+                promptTemplateId: summary.promptTemplateId,
+                promptTemplateVersion: summary.promptTemplateVersion,
                 tokensUsed: summary.tokensUsed,
+                promptTokens: summary.promptTokens,
+                completionTokens: summary.completionTokens,
+                usageSource: summary.usageSource,
+                estimatedCost: summary.estimatedCost,
                 processingTime: summary.processingTime,
-                method: result.method,
+                method: summary.method,
+                fromCache: !!summary.fromCache,
+                rootSummaryId: summary.rootSummaryId || null,
+                regeneratedFrom: summary.regeneratedFrom || null,
+                version: summary.version || 1,
                 createdAt: summary.createdAt
             }
         });
     } catch (error) {
-        console.error('Create single summary error:', error);
-        res.status(500).json({ error: error.message || 'Falha ao gerar resumo' });
+        console.error(`Stream ${type} summary error:`, error);
+        // Before the stream starts the client still expects a JSON error
+        if (!res.headersSent) {
+            return res.status(500).json({ error: error.message || 'Falha ao gerar resumo' });
+        }
+        emit('error', { error: error.message || 'Falha ao gerar resumo' });
+    } finally {
+        if (releaseStream) {
+            releaseStream();
+            res.end();
+        }
     }
 }
 
 /**
- * Generate integrated summary for multiple documents
- * POST /api/summaries/multiple
+ * Stream summary for a single document
+ * POST /api/summaries/single/stream
  */
-export async function createMultipleSummary(req, res) {
+export async function streamSingleSummary(req, res) {
+    return streamSummary(req, res, 'single');
+}
+
+/**
+ * Stream integrated summary for multiple documents
+ * POST /api/summaries/multiple/stream
+ */
+export async function streamMultipleSummary(req, res) {
+    return streamSummary(req, res, 'multiple');
+}
+
+/**
+ * Format a summary after a manual edit or restore
+ */
+function formatEditedSummary(summary) {
+    return {
+        id: summary.id,
+        title: summary.title,
+        content: summary.content,
+        citations: summary.citations || [],
+        humanEdited: !!summary.humanEdited,
+        currentRevision: summary.currentRevision || null,
+        editedAt: summary.editedAt || null,
+        editedBy: summary.editedBy || null,
+        updatedAt: summary.updatedAt
+    };
+}
+
+/**
+ * Edit summary title and/or content (each edit is kept as a revision)
+ * PUT /api/summaries/:id
+ */
+export async function updateSummary(req, res) {
     try {
-        const { documentIds, title, model } = req.body;
+        const summary = db.findSummaryById(req.params.id);
 
-        if (!documentIds || !Array.isArray(documentIds) || documentIds.length < 2) {
-            return res.status(400).json({ 
-                error: 'Pelo menos 2 IDs de documentos são obrigatórios' 
-            });
+        if (!summary || summary.userId !== req.userId) {
+            return res.status(404).json({ error: 'Resumo não encontrado' });
         }
 
-        if (!isConfigured()) {
-            return res.status(503).json({ 
-                error: 'API da OpenAI não está configurada. Por favor, defina OPENAI_API_KEY no ambiente.' 
-            });
+        const { title, content } = req.body;
+
+        if (title === undefined && content === undefined) {
+            return res.status(400).json({ error: 'Informe o título ou o conteúdo' });
         }
 
-        // Get documents
-        const documents = [];
-        for (const id of documentIds) {
-            const doc = db.findDocumentById(id);
-            if (doc && doc.userId === req.userId && doc.status === 'processed' && doc.extractedText) {
-                documents.push(doc);
-            }
+        if (title !== undefined && typeof title !== 'string') {
+            return res.status(400).json({ error: 'Título deve ser um texto' });
         }
 
-        if (documents.length < 2) {
-            return res.status(400).json({ 
-                error: 'Pelo menos 2 documentos processados com conteúdo de texto são obrigatórios' 
-            });
+        if (content !== undefined && typeof content !== 'string') {
+            return res.status(400).json({ error: 'Conteúdo deve ser um texto' });
+        }
+
+        if (title !== undefined && !title.trim()) {
+            return res.status(400).json({ error: 'Título não pode ser vazio' });
+        }
+
+        if (content !== undefined && !content.trim()) {
+            return res.status(400).json({ error: 'Conteúdo não pode ser vazio' });
+        }
+
+        if (title !== undefined && title.trim().length > MAX_TITLE_LENGTH) {
+            return res.status(400).json({ error: `Título muito longo (máximo ${MAX_TITLE_LENGTH} caracteres)` });
         }
 
-        console.log(`[Summary] Generating integrated summary for ${documents.length} documents`);
+        if (content !== undefined && content.trim().length > MAX_CONTENT_LENGTH) {
+            return res.status(400).json({ error: `Conteúdo muito longo (máximo ${MAX_CONTENT_LENGTH} caracteres)` });
+        }
+
+        const changes = {
+            title: title?.trim(),
+            content: content?.trim()
+        };
 
-        // Prepare documents for LangChain
-        const docsForSummary = documents.map(doc => ({
-            name: doc.originalName,
-            text: doc.extractedText
-        }));
+        if ((changes.title ?? summary.title) === summary.title && (changes.content ?? summary.content) === summary.content) {
+            return res.json({ message: 'Nenhuma alteração', summary: formatEditedSummary(summary) });
+        }
 
-        // Generate integrated summary using LangChain
-        const result = await generateMultipleSummary(docsForSummary, {
-            model: model || DEFAULT_MODEL
+        const updated = editSummary(summary, req.user, changes);
+
+        res.json({
+            message: 'Resumo atualizado com sucesso',
+            summary: formatEditedSummary(updated)
         });
+    } catch (error) {
+        console.error('Update summary error:', error);
+        res.status(500).json({ error: 'Falha ao atualizar resumo' });
+    }
+}
 
-        // Create summary record
-        const summary = db.createSummary({
-            id: uuidv4(),
-            userId: req.userId,
-            title: title || `Integrated Summary (${documents.length} documents)`,
-            content: result.summary,
-            type: 'multiple',
-            documentIds: JSON.stringify(documents.map(d => d.id)),
-            model: result.model,
-            tokensUsed: result.tokensUsed,
-            processingTime: result.processingTime,
-            method: result.method
+/**
+ * Manual revisions of a summary (revision 1 is the generated text)
+ * Empty until the first edit. ?includeContent=true adds each revision's content.
+ * GET /api/summaries/:id/revisions
+ */
+export async function getSummaryRevisions(req, res) {
+    try {
+        const summary = db.findSummaryById(req.params.id);
+
+        if (!summary || summary.userId !== req.userId) {
+            return res.status(404).json({ error: 'Resumo não encontrado' });
+        }
+
+        const includeContent = req.query.includeContent === 'true';
+
+        res.json({
+            summaryId: summary.id,
+            currentRevision: summary.currentRevision || null,
+            humanEdited: !!summary.humanEdited,
+            revisions: db.findSummaryRevisions(summary.id).map(r => ({
+                revision: r.revision,
+                title: r.title,
+                source: r.source,
+                restoredFrom: r.restoredFrom ?? null,
+                humanEdited: !!r.humanEdited,
+                authorId: r.authorId,
+                authorName: r.authorName,
+                ...(includeContent ? { content: r.content } : {}),
+                createdAt: r.createdAt
+            }))
         });
+    } catch (error) {
+        console.error('Get summary revisions error:', error);
+        res.status(500).json({ error: 'Falha ao obter revisões do resumo' });
+    }
+}
 
-        res.status(201).json({
-            message: 'Resumo integrado gerado com sucesso',
-            summary: {
-                id: summary.id,
-                title: summary.title,
-                content: summary.content,
-                type: summary.type,
-                documentIds: documents.map(d => d.id),
-                documentsIncluded: documents.map(d => ({
-                    id: d.id,
-                    name: d.originalName
-                })),
-                model: summary.model,
-                tokensUsed: summary.tokensUsed,
-                processingTime: summary.processingTime,
-                method: result.method,
-                createdAt: summary.createdAt
-            }
+/**
+ * Restore the title and content of an earlier revision (saved as a new revision)
+ * POST /api/summaries/:id/revisions/:revision/restore
+ */
+export async function restoreSummary(req, res) {
+    try {
+        const summary = db.findSummaryById(req.params.id);
+
+        if (!summary || summary.userId !== req.userId) {
+            return res.status(404).json({ error: 'Resumo não encontrado' });
+        }
+
+        const revision = Number(req.params.revision);
+        if (!Number.isInteger(revision) || revision < 1) {
+            return res.status(400).json({ error: 'Número da revisão inválido' });
+        }
+
+        const updated = restoreSummaryRevision(summary, req.user, revision);
+        if (!updated) {
+            return res.status(404).json({ error: 'Revisão não encontrada' });
+        }
+
+        res.json({
+            message: `Revisão ${revision} restaurada`,
+            summary: formatEditedSummary(updated)
         });
     } catch (error) {
-        console.error('Create multiple summary error:', error);
-        res.status(500).json({ error: error.message || 'Falha ao gerar resumo integrado' });
+        console.error('Restore summary error:', error);
+        res.status(500).json({ error: 'Falha ao restaurar revisão' });
+    }
+}
+
+/**
+ * Regenerate a summary as a new version linked to the original
+ * Settings not sent (model, style, language, promptTemplateId) are the summary's own.
+ * Always calls the model again (skips the summary cache).
+ * POST /api/summaries/:id/regenerate
+ */
+export async function regenerateSummary(req, res) {
+    try {
+        const summary = db.findSummaryById(req.params.id);
+
+        if (!summary || summary.userId !== req.userId) {
+            return res.status(404).json({ error: 'Resumo não encontrado' });
+        }
+
+        const model = req.body.model || summary.model || DEFAULT_MODEL;
+        const style = req.body.style || summary.style || DEFAULT_STYLE;
+        const language = req.body.language || summary.language || resolveLanguage(req);
+        const promptTemplateId = 'promptTemplateId' in req.body
+            ? req.body.promptTemplateId || null
+            : summary.promptTemplateId || null;
+
+        const validationError = validateModel(model) ||
+            validateStyle(style) ||
+            validateLanguage(language) ||
+            validatePromptTemplate(req, promptTemplateId);
+        if (validationError) {
+            return res.status(validationError.status).json({ error: validationError.error });
+        }
+
+        // Documents may have been deleted or reprocessed since the original
+        const documents = JSON.parse(summary.documentIds || '[]')
+            .map(docId => db.findDocumentById(docId))
+            .filter(doc => doc && doc.userId === req.userId && doc.status === 'processed' && doc.extractedText);
+
+        if (documents.length < (summary.type === 'single' ? 1 : 2)) {
+            return res.status(400).json({
+                error: summary.type === 'single'
+                    ? 'Documento não encontrado ou sem conteúdo de texto'
+                    : 'Pelo menos 2 documentos processados com conteúdo de texto são obrigatórios'
+            });
+        }
+
+        if (rejectOverQuota(req, res)) return;
+
+        const job = enqueueSummary(req.userId, {
+            type: summary.type,
+            documentIds: documents.map(d => d.id),
+            title: req.body.title,
+            model,
+            style,
+            language,
+            promptTemplateId,
+            fresh: true,
+            sourceSummaryId: summary.id
+        });
+
+        res.status(202).json({
+            message: 'Regeneração do resumo iniciada',
+            jobId: job.id,
+            job: formatSummaryJob(job)
+        });
+    } catch (error) {
+        console.error('Regenerate summary error:', error);
+        res.status(500).json({ error: error.message || 'Falha ao iniciar regeneração do resumo' });
+    }
+}
+
+/**
+ * Version history of a summary (the original and its regenerations)
+ * ?includeContent=true adds each version's content (for comparing versions)
+ * GET /api/summaries/:id/versions
+ */
+export async function getSummaryVersions(req, res) {
+    try {
+        const summary = db.findSummaryById(req.params.id);
+
+        if (!summary || summary.userId !== req.userId) {
+            return res.status(404).json({ error: 'Resumo não encontrado' });
+        }
+
+        const rootSummaryId = summary.rootSummaryId || summary.id;
+        const includeContent = req.query.includeContent === 'true';
+
+        const versions = db.findSummaryVersions(rootSummaryId)
+            .filter(v => v.userId === req.userId)
+            .map(v => ({
+                id: v.id,
+                version: v.version || 1,
+                title: v.title,
+                regeneratedFrom: v.regeneratedFrom || null,
+                model: v.model,
+                style: v.style,
+                language: v.language,
+                promptTemplateId: v.promptTemplateId,
+                promptTemplateVersion: v.promptTemplateVersion,
+                tokensUsed: v.tokensUsed,
+                estimatedCost: v.estimatedCost,
+                processingTime: v.processingTime,
+                method: v.method,
+                fromCache: !!v.fromCache,
+                ...(includeContent ? { content: v.content } : {}),
+                createdAt: v.createdAt
+            }));
+
+        // currentVersion is the latest in the chain, whichever version was requested
+        res.json({
+            rootSummaryId,
+            currentVersion: Math.max(...versions.map(v => v.version), summary.version || 1),
+            requestedVersion: summary.version || 1,
+            versions
+        });
+    } catch (error) {
+        console.error('Get summary versions error:', error);
+        res.status(500).json({ error: 'Falha ao obter versões do resumo' });
+    }
+}
+
+/**
+ * Get summary generation job state and progress
+ * GET /api/summaries/jobs/:id
+ */
+export async function getSummaryJob(req, res) {
+    try {
+        const job = db.findJobById(req.params.id);
+
+        if (!job || job.userId !== req.userId || job.type !== JOB_TYPES.GENERATE_SUMMARY) {
+            return res.status(404).json({ error: 'Job de resumo não encontrado' });
+        }
+
+        res.json({ job: formatSummaryJob(job) });
+    } catch (error) {
+        console.error('Get summary job error:', error);
+        res.status(500).json({ error: 'Falha ao obter job de resumo' });
     }
 }
 
@@ -199,9 +702,23 @@ export async function getSummaries(req, res) {
                 type: s.type,
                 documentIds: JSON.parse(s.documentIds || '[]'),
                 model: s.model,
+                style: s.style,
+                language: s.language,
+                promptTemplateId: s.promptTemplateId,
+                promptTemplateVersion: s.promptTemplateVersion,
                 tokensUsed: s.tokensUsed,
+                promptTokens: s.promptTokens,
+                completionTokens: s.completionTokens,
+                usageSource: s.usageSource,
+                estimatedCost: s.estimatedCost,
                 processingTime: s.processingTime,
                 method: s.method,
+                fromCache: !!s.fromCache,
+                rootSummaryId: s.rootSummaryId || null,
+                regeneratedFrom: s.regeneratedFrom || null,
+                version: s.version || 1,
+                humanEdited: !!s.humanEdited,
+                editedAt: s.editedAt || null,
                 createdAt: s.createdAt
             })),
             pagination: {
@@ -248,14 +765,31 @@ export async function getSummary(req, res) {
                 id: summary.id,
                 title: summary.title,
                 content: summary.content,
+                citations: summary.citations || [],
                 type: summary.type,
                 documentIds,
                 documents,
                 model: summary.model,
+                style: summary.style,
+                language: summary.language,
+                promptTemplateId: summary.promptTemplateId,
+                promptTemplateVersion: summary.promptTemplateVersion,
                 tokensUsed: summary.tokensUsed,
+                promptTokens: summary.promptTokens,
+                completionTokens: summary.completionTokens,
+                usageSource: summary.usageSource,
+                estimatedCost: summary.estimatedCost,
                 processingTime: summary.processingTime,
                 method: summary.method,
-                createdAt: summary.createdAt
+                fromCache: !!summary.fromCache,
+                rootSummaryId: summary.rootSummaryId || null,
+                regeneratedFrom: summary.regeneratedFrom || null,
+                version: summary.version || 1,
+                humanEdited: !!summary.humanEdited,
+                currentRevision: summary.currentRevision || null,
+                editedAt: summary.editedAt || null,
+                createdAt: summary.createdAt,
+                updatedAt: summary.updatedAt
             }
         });
     } catch (error) {
@@ -265,8 +799,8 @@ export async function getSummary(req, res) {
 }
 
 /**
- * Download summary as TXT file
- * GET /api/summaries/:id/download
+ * Download summary as a TXT, Markdown, HTML, PDF or DOCX file
+ * GET /api/summaries/:id/download?format=txt|md|html|pdf|docx
  */
 export async function downloadSummary(req, res) {
     try {
@@ -285,73 +819,19 @@ export async function downloadSummary(req, res) {
             .map(docId => db.findDocumentById(docId))
             .filter(Boolean);
 
-        // Build file content
-        let content = '';
-        const createdDate = new Date(summary.createdAt).toLocaleString('pt-BR');
-        
-        if (format === 'md') {
-            // Markdown format
-            content = `# ${summary.title}\n\n`;
-            content += `**Data:** ${createdDate}\n`;
-            content += `**Tipo:** ${summary.type === 'single' ? 'Resumo Individual' : 'Resumo Integrado'}\n`;
-            content += `**Modelo:** ${summary.model}\n`;
-            
-            if (documents.length > 0) {
-                content += `\n## Documentos Fonte\n\n`;
-                documents.forEach((doc, i) => {
-                    content += `${i + 1}. ${doc.originalName}\n`;
-                });
-            }
-            
-            content += `\n## Resumo\n\n`;
-            content += summary.content;
-            
-            if (summary.tokensUsed || summary.processingTime) {
-                content += `\n\n---\n\n`;
-                content += `**Metadados:**\n`;
-                if (summary.tokensUsed) content += `- Tokens utilizados: ${summary.tokensUsed}\n`;
-                if (summary.processingTime) content += `- Tempo de processamento: ${(summary.processingTime / 1000).toFixed(1)}s\n`;
-                if (summary.method) content += `- Método: ${summary.method}\n`;
-            }
-        } else {
-            // Plain text format
-            content = `${summary.title}\n`;
-            content += `${'='.repeat(summary.title.length)}\n\n`;
-            content += `Data: ${createdDate}\n`;
-            content += `Tipo: ${summary.type === 'single' ? 'Resumo Individual' : 'Resumo Integrado'}\n`;
-            content += `Modelo: ${summary.model}\n`;
-            
-            if (documents.length > 0) {
-                content += `\nDocumentos Fonte:\n`;
-                documents.forEach((doc, i) => {
-                    content += `  ${i + 1}. ${doc.originalName}\n`;
-                });
-            }
-            
-            content += `\n${'─'.repeat(50)}\n\n`;
-            content += `RESUMO:\n\n`;
-            content += summary.content;
-            
-            if (summary.tokensUsed || summary.processingTime) {
-                content += `\n\n${'─'.repeat(50)}\n\n`;
-                content += `Metadados:\n`;
-                if (summary.tokensUsed) content += `  - Tokens utilizados: ${summary.tokensUsed}\n`;
-                if (summary.processingTime) content += `  - Tempo de processamento: ${(summary.processingTime / 1000).toFixed(1)}s\n`;
-                if (summary.method) content += `  - Método: ${summary.method}\n`;
-            }
-        }
+        // Title, details, sources and metadata in the summary language
+        const exporter = EXPORT_FORMATS[format] || EXPORT_FORMATS.txt;
+        const content = await exporter.render(buildSummaryExport(summary, documents));
 
         // Generate filename
         const safeTitle = summary.title
             .replace(/[^a-zA-Z0-9\s\-_àáâãéêíóôõúüçÀÁÂÃÉÊÍÓÔÕÚÜÇ]/g, '')
             .replace(/\s+/g, '_')
             .substring(0, 50);
-        const extension = format === 'md' ? 'md' : 'txt';
-        const filename = `${safeTitle}_resumo.${extension}`;
+        const filename = `${safeTitle}_resumo.${exporter.extension}`;
 
         // Set headers for download
-        const contentType = format === 'md' ? 'text/markdown' : 'text/plain';
-        res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+        res.setHeader('Content-Type', exporter.contentType);
         res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
 
         // Send the content
@@ -387,12 +867,13 @@ export async function deleteSummary(req, res) {
 }
 
 /**
- * Check LangChain/OpenAI API status
+ * Check LangChain/LLM provider status
  * GET /api/summaries/status
  */
 export async function getApiStatus(req, res) {
     try {
         const configured = isConfigured();
+        const provider = getModelInfo(DEFAULT_MODEL)?.provider || null;
         
         let connectionTest = null;
         if (configured) {
@@ -403,7 +884,13 @@ export async function getApiStatus(req, res) {
             langchain: {
                 configured,
                 defaultModel: DEFAULT_MODEL,
-                message: configured ? 'LangChain/API da OpenAI está configurada' : 'Chave da API OpenAI não definida'
+                provider,
+                providers: Object.fromEntries(
+                    Object.entries(PROVIDERS).map(([name, p]) => [name, p.isConfigured()])
+                ),
+                message: configured
+                    ? `LangChain/${PROVIDERS[provider].label} está configurado`
+                    : getConfigurationError(DEFAULT_MODEL)
             },
             connectionTest
         });
@@ -413,12 +900,85 @@ export async function getApiStatus(req, res) {
     }
 }
 
+/**
+ * Summary cache settings and hit/miss counters
+ * GET /api/summaries/cache/stats
+ */
+export async function getCacheStatus(req, res) {
+    try {
+        res.json({ cache: getCacheStats() });
+    } catch (error) {
+        console.error('Get cache stats error:', error);
+        res.status(500).json({ error: 'Falha ao obter estatísticas do cache' });
+    }
+}
+
+/**
+ * List summary style presets
+ * GET /api/summaries/styles
+ */
+export async function getStyles(req, res) {
+    try {
+        res.json({
+            defaultStyle: DEFAULT_STYLE,
+            styles: listStyles()
+        });
+    } catch (error) {
+        console.error('Get styles error:', error);
+        res.status(500).json({ error: 'Falha ao listar estilos' });
+    }
+}
+
+/**
+ * List supported output languages
+ * GET /api/summaries/languages
+ */
+export async function getLanguages(req, res) {
+    try {
+        res.json({
+            defaultLanguage: req.user?.preferredLanguage || DEFAULT_LANGUAGE,
+            languages: Object.entries(LANGUAGES).map(([id, language]) => ({ id, label: language.label }))
+        });
+    } catch (error) {
+        console.error('Get languages error:', error);
+        res.status(500).json({ error: 'Falha ao listar idiomas' });
+    }
+}
+
+/**
+ * List models whose provider is configured
+ * GET /api/summaries/models
+ */
+export async function getModels(req, res) {
+    try {
+        res.json({
+            defaultModel: DEFAULT_MODEL,
+            models: getAvailableModels()
+        });
+    } catch (error) {
+        console.error('Get models error:', error);
+        res.status(500).json({ error: 'Falha ao listar modelos' });
+    }
+}
+
 export default {
     createSingleSummary,
     createMultipleSummary,
+    streamSingleSummary,
+    streamMultipleSummary,
+    getSummaryJob,
     getSummaries,
     getSummary,
+    updateSummary,
+    getSummaryRevisions,
+    restoreSummary,
+    regenerateSummary,
+    getSummaryVersions,
     downloadSummary,
     deleteSummary,
-    getApiStatus
+    getApiStatus,
+    getCacheStatus,
+    getModels,
+    getStyles,
+    getLanguages
 };
\ No newline at end of file
@@ -0,0 +1,41 @@
+import db from '../config/database.js';
+import { indexDocument } from '../services/vectorService.js';
+
+/**
+ * Job: dividir o texto extraído em trechos e gerar os embeddings
+ * Payload: { documentId }
+ */
+export async function embedDocument(job, { progress }) {
+    const { documentId } = job.payload;
+
+    const document = db.findDocumentById(documentId);
+    if (!document || document.status !== 'processed' || !document.extractedText) {
+        // Documento apagado ou reprocessado enquanto o job esperava na fila
+        console.log(`[Vector] Document ${documentId} not ready for indexing, skipping`);
+        return { skipped: true };
+    }
+
+    db.updateDocument(documentId, { embeddingStatus: 'indexing' });
+    progress({ phase: 'embedding', message: 'Gerando embeddings dos trechos' });
+
+    const { chunks, embeddingModel } = await indexDocument(document);
+
+    db.updateDocument(documentId, {
+        embeddingStatus: 'indexed',
+        embeddingModel,
+        chunkCount: chunks
+    });
+
+    return { chunks, embeddingModel };
+}
+
+/**
+ * Marca a indexação como erro depois da última tentativa
+ * (o documento continua disponível para resumos)
+ */
+export function onEmbedDocumentFailed(job, error) {
+    console.error(`[Vector] ❌ Error indexing document ${job.payload.documentId}:`, error.message);
+    db.updateDocument(job.payload.documentId, { embeddingStatus: 'error' });
+}
+
+export default { embedDocument, onEmbedDocumentFailed };
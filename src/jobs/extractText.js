@@ -0,0 +1,162 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../config/database.js';
+import { extractDocument } from '../services/loaderService.js';
+
+/**
+ * Versão do que a extração produz (texto, páginas, metadados, tabelas)
+ * Aumente ao mudar a extração: resultados de outra versão não são reaproveitados.
+ */
+export const EXTRACTION_VERSION = 1;
+
+// OCR que não rodou: vale extrair de novo, o servidor pode ter o OCR agora
+const INCOMPLETE_OCR = ['unavailable', 'failed'];
+
+/**
+ * Documento já extraído com o mesmo conteúdo (SHA-256), de qualquer usuário
+ */
+function findReusableExtraction(document) {
+    if (!document.contentHash) return null;
+
+    return db.findDocumentsByContentHash(document.contentHash).find(other =>
+        other.id !== document.id &&
+        other.status === 'processed' &&
+        other.extractionVersion === EXTRACTION_VERSION &&
+        !INCOMPLETE_OCR.includes(other.ocrStatus)
+    ) || null;
+}
+
+/**
+ * Copia o resultado da extração de outro documento com o mesmo conteúdo
+ */
+function reuseExtraction(document, source) {
+    db.replaceDocumentPages(document, db.findDocumentPages(source.id).map(page => ({
+        id: uuidv4(),
+        page: page.page,
+        text: page.text,
+        ocr: page.ocr,
+        ocrConfidence: page.ocrConfidence
+    })));
+
+    db.replaceDocumentTables(document, db.findDocumentTables(source.id).map(table => ({
+        id: uuidv4(),
+        page: table.page,
+        tableIndex: table.tableIndex,
+        rows: table.rows,
+        lines: table.lines,
+        rowCount: table.rowCount,
+        columnCount: table.columnCount
+    })));
+
+    db.updateDocument(document.id, {
+        extractedText: source.extractedText,
+        pageCount: source.pageCount,
+        pageOffsets: source.pageOffsets,
+        metadata: source.metadata,
+        outline: source.outline,
+        headings: source.headings,
+        tableCount: source.tableCount,
+        ocrStatus: source.ocrStatus,
+        ocrPageCount: source.ocrPageCount,
+        ocrConfidence: source.ocrConfidence,
+        extractionVersion: EXTRACTION_VERSION,
+        extractionReused: true,
+        status: 'processed',
+        errorMessage: null
+    });
+}
+
+/**
+ * Job: extrair texto de um documento usando LangChain
+ * O extrator depende do formato (ver services/loaderService.js); páginas
+ * digitalizadas de PDFs passam pelo OCR (ver services/ocrService.js).
+ * Arquivos idênticos a um já extraído reaproveitam o resultado, exceto
+ * no reprocessamento (reuse: false).
+ * Payload: { documentId, reuse }
+ */
+export async function extractText(job, { progress }) {
+    const { documentId, reuse = true } = job.payload;
+    console.log(`[PDF] Starting extraction for document ${documentId}`);
+
+    const document = db.findDocumentById(documentId);
+    if (!document) {
+        // Documento apagado enquanto o job esperava na fila
+        console.log(`[PDF] Document ${documentId} not found in database`);
+        return { skipped: true };
+    }
+
+    if (document.status !== 'processing') {
+        db.updateDocument(documentId, { status: 'processing', errorMessage: null });
+    }
+
+    const source = reuse ? findReusableExtraction(document) : null;
+    if (source) {
+        reuseExtraction(document, source);
+        console.log(`[PDF] ✅ Document ${documentId} reused the extraction of identical document ${source.id}`);
+        return { pages: source.pageCount, characters: source.extractedText?.length || 0, reused: true };
+    }
+
+    console.log(`[PDF] Extracting text using LangChain from: ${document.filePath}`);
+
+    const result = await extractDocument(document.filePath, document.mimeType, { onProgress: progress });
+
+    console.log(`[PDF] Extracted ${result.text.length} characters, ${result.pages ?? 'no'} pages`);
+
+    const ocrPages = new Map(result.ocr.pages.map(({ page, confidence }) => [page, confidence]));
+    const confidences = result.ocr.pages.map(p => p.confidence).filter(c => c !== null);
+
+    // Páginas e tabelas antes do status: quem reage ao "processed" já as encontra
+    // (formatos sem paginação não têm páginas; a lista vazia limpa as antigas)
+    db.replaceDocumentPages(document, result.pageTexts.map((text, index) => ({
+        id: uuidv4(),
+        page: index + 1,
+        text,
+        ocr: ocrPages.has(index + 1),
+        ocrConfidence: ocrPages.get(index + 1) ?? null
+    })));
+
+    db.replaceDocumentTables(document, result.tables.map((table, index) => ({
+        id: uuidv4(),
+        page: table.page,
+        tableIndex: index + 1,
+        rows: table.rows,
+        lines: table.lines,
+        rowCount: table.rowCount,
+        columnCount: table.columnCount
+    })));
+
+    db.updateDocument(documentId, {
+        extractedText: result.text,
+        pageCount: result.pages,
+        pageOffsets: result.pageOffsets,
+        metadata: result.metadata,
+        outline: result.outline,
+        headings: result.headings,
+        tableCount: result.tables.length,
+        extractionVersion: EXTRACTION_VERSION,
+        extractionReused: false,
+        ocrStatus: result.ocr.status,
+        ocrPageCount: ocrPages.size,
+        ocrConfidence: confidences.length > 0
+            ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length * 10) / 10
+            : null,
+        status: 'processed',
+        errorMessage: null
+    });
+
+    console.log(`[PDF] ✅ Document ${documentId} processed successfully`);
+
+    return { pages: result.pages, characters: result.text.length, ocrPages: ocrPages.size, tables: result.tables.length };
+}
+
+/**
+ * Marca o documento como erro depois da última tentativa
+ */
+export function onExtractTextFailed(job, error) {
+    console.error(`[PDF] ❌ Error processing document ${job.payload.documentId}:`, error.message);
+    db.updateDocument(job.payload.documentId, {
+        status: 'error',
+        errorMessage: error.message
+    });
+}
+
+export default { extractText, onExtractTextFailed };
@@ -0,0 +1,52 @@
+import db from '../config/database.js';
+import { summarizeDocuments, saveSummary } from '../services/summaryService.js';
+import { permanentError } from '../services/jobQueue.js';
+
+/**
+ * Job: gerar resumo (individual ou integrado) com LangChain
+ * Payload: { type: 'single' | 'multiple', documentIds, title, model, style, language, promptTemplateId, fresh, sourceSummaryId }
+ *   sourceSummaryId: resumo regerado (o novo vira a próxima versão dele)
+ * Resultado: { summaryId, fromCache }
+ */
+export async function generateSummary(job, { progress }) {
+    const { type, documentIds, title, model, style, language, promptTemplateId, fresh, sourceSummaryId } = job.payload;
+
+    // Documentos podem ter sido apagados ou reprocessados desde o pedido
+    const documents = documentIds
+        .map(id => db.findDocumentById(id))
+        .filter(doc => doc && doc.userId === job.userId && doc.status === 'processed' && doc.extractedText);
+
+    const minimum = type === 'single' ? 1 : 2;
+    if (documents.length < minimum) {
+        throw permanentError(type === 'single'
+            ? 'Documento não encontrado ou sem conteúdo de texto'
+            : 'Pelo menos 2 documentos processados com conteúdo de texto são obrigatórios');
+    }
+
+    let source = null;
+    if (sourceSummaryId) {
+        source = db.findSummaryById(sourceSummaryId);
+        if (!source || source.userId !== job.userId) {
+            throw permanentError('Resumo não encontrado');
+        }
+    }
+
+    // Usa a versão atual do template; a versão usada fica registrada no resumo
+    let template = null;
+    if (promptTemplateId) {
+        template = db.findPromptTemplateById(promptTemplateId);
+        if (!template || template.userId !== job.userId) {
+            throw permanentError('Template de prompt não encontrado');
+        }
+    }
+
+    const result = await summarizeDocuments(job.userId, type, documents, { model, style, language, template, fresh, onProgress: progress });
+
+    progress({ phase: 'saving', message: 'Salvando resumo' });
+
+    const summary = saveSummary(job.userId, type, documents, title, result, source);
+
+    return { summaryId: summary.id, fromCache: !!result.fromCache };
+}
+
+export default { generateSummary };
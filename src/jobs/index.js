@@ -0,0 +1,104 @@
+import db from '../config/database.js';
+import { registerHandler, enqueue, enqueueUnique, startQueue } from '../services/jobQueue.js';
+import { extractText, onExtractTextFailed } from './extractText.js';
+import { generateSummary } from './generateSummary.js';
+import { embedDocument, onEmbedDocumentFailed } from './embedDocument.js';
+import { isEmbeddingConfigured, getEmbeddingConfigurationError } from '../config/embeddings.js';
+
+/**
+ * Tipos de job da aplicação
+ */
+export const JOB_TYPES = {
+    EXTRACT_TEXT: 'extract-text',
+    GENERATE_SUMMARY: 'generate-summary',
+    EMBED_DOCUMENT: 'embed-document'
+};
+
+registerHandler(JOB_TYPES.EXTRACT_TEXT, extractText, { onFailed: onExtractTextFailed });
+registerHandler(JOB_TYPES.GENERATE_SUMMARY, generateSummary);
+registerHandler(JOB_TYPES.EMBED_DOCUMENT, embedDocument, { onFailed: onEmbedDocumentFailed });
+
+/**
+ * Enfileira a extração de texto de um documento
+ * Reaproveita o job se já houver um pendente para o mesmo documento.
+ * @param {object} [options] - { reuse } false extrai de novo mesmo havendo
+ *   outro documento com o mesmo conteúdo já extraído (reprocessamento)
+ */
+export function enqueueExtraction(document, options = {}) {
+    const { reuse = true } = options;
+    return enqueueUnique(JOB_TYPES.EXTRACT_TEXT, { documentId: document.id, reuse }, {
+        userId: document.userId,
+        resourceId: document.id
+    });
+}
+
+/**
+ * Enfileira a indexação vetorial (embeddings) de um documento
+ * Sem provider de embeddings configurado, o documento fica como `unavailable`.
+ */
+export function enqueueEmbedding(document) {
+    if (!isEmbeddingConfigured()) {
+        db.updateDocument(document.id, { embeddingStatus: 'unavailable' });
+        return null;
+    }
+
+    db.updateDocument(document.id, { embeddingStatus: 'pending' });
+    return enqueueUnique(JOB_TYPES.EMBED_DOCUMENT, { documentId: document.id }, {
+        userId: document.userId,
+        resourceId: document.id
+    });
+}
+
+// Texto extraído -> indexação vetorial
+db.events.on('document:status', ({ document }) => {
+    if (document.status === 'processed') {
+        enqueueEmbedding(document);
+    }
+});
+
+/**
+ * Enfileira a geração de um resumo
+ * @param {string} userId - Dono do resumo
+ * @param {object} request - { type: 'single' | 'multiple', documentIds, title, model, fresh }
+ */
+export function enqueueSummary(userId, request) {
+    return enqueue(JOB_TYPES.GENERATE_SUMMARY, request, {
+        userId,
+        resourceId: request.type === 'single' ? request.documentIds[0] : null
+    });
+}
+
+/**
+ * Inicia a fila e recupera documentos presos em `processing` sem job
+ * (ex.: enviados antes da fila existir)
+ */
+export function startJobs() {
+    startQueue();
+
+    const stuck = db.findDocumentsByStatus('processing')
+        .filter(doc => !db.findActiveJob(JOB_TYPES.EXTRACT_TEXT, doc.id));
+
+    for (const doc of stuck) {
+        enqueueExtraction(doc);
+    }
+    if (stuck.length > 0) {
+        console.log(`[Queue] Enqueued ${stuck.length} documents stuck in processing`);
+    }
+
+    // Documentos extraídos antes da indexação vetorial existir
+    if (isEmbeddingConfigured()) {
+        const unindexed = db.findDocumentsByStatus('processed')
+            .filter(doc => !doc.embeddingStatus || doc.embeddingStatus === 'unavailable');
+
+        for (const doc of unindexed) {
+            enqueueEmbedding(doc);
+        }
+        if (unindexed.length > 0) {
+            console.log(`[Queue] Enqueued embeddings for ${unindexed.length} documents`);
+        }
+    } else {
+        console.log(`[Queue] Embeddings disabled: ${getEmbeddingConfigurationError()}`);
+    }
+}
+
+export default { JOB_TYPES, enqueueExtraction, enqueueEmbedding, enqueueSummary, startJobs };
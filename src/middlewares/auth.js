@@ -47,6 +47,17 @@ export async function authenticate(req, res, next) {
     }
 }
 
+/**
+ * Authentication for Server-Sent Events
+ * EventSource cannot set headers, so the token is also accepted as ?token=
+ */
+export async function authenticateEventStream(req, res, next) {
+    if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    return authenticate(req, res, next);
+}
+
 /**
  * Generate JWT token for user
  */
@@ -82,4 +93,4 @@ export async function optionalAuth(req, res, next) {
     }
 }
 
-export default { authenticate, generateToken, optionalAuth };
+export default { authenticate, authenticateEventStream, generateToken, optionalAuth };
@@ -1,8 +1,10 @@
 import multer from 'multer';
+import crypto from 'crypto';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { getUploadLoader, SUPPORTED_FORMATS } from '../services/loaderService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,19 +30,16 @@ const storage = multer.diskStorage({
     }
 });
 
-// File filter - only allow PDFs
+// File filter - only allow formats with a registered loader
 const fileFilter = (req, file, cb) => {
-    const allowedMimes = ['application/pdf'];
-    const allowedExts = ['.pdf'];
-    
-    const ext = path.extname(file.originalname).toLowerCase();
-    const mimeOk = allowedMimes.includes(file.mimetype);
-    const extOk = allowedExts.includes(ext);
+    const loader = getUploadLoader(file.mimetype, file.originalname);
 
-    if (mimeOk && extOk) {
+    if (loader) {
+        // Store the loader's MIME type, not whatever the browser guessed
+        file.mimetype = loader.mimeTypes[0];
         cb(null, true);
     } else {
-        cb(new Error('Only PDF files are allowed'), false);
+        cb(new Error(`Only ${SUPPORTED_FORMATS.join(', ')} files are allowed`), false);
     }
 };
 
@@ -90,6 +89,17 @@ export function deleteFile(filePath) {
     });
 }
 
+// SHA-256 of a stored file (hex), used to detect duplicate uploads
+export function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
 export { uploadsDir };
 
-export default { upload, handleUploadError, deleteFile, uploadsDir };
+export default { upload, handleUploadError, deleteFile, hashFile, uploadsDir };
@@ -12,5 +12,6 @@ router.post('/login', authController.login);
 router.get('/profile', authenticate, authController.getProfile);
 router.put('/profile', authenticate, authController.updateProfile);
 router.put('/password', authenticate, authController.changePassword);
+router.get('/usage', authenticate, authController.getUserUsage);
 
 export default router;
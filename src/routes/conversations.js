@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import * as conversationController from '../controllers/conversationController.js';
+import { authenticate } from '../middlewares/auth.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// CRUD routes
+router.get('/', conversationController.getConversations);
+router.post('/', conversationController.createConversation);
+router.get('/:id', conversationController.getConversation);
+router.put('/:id', conversationController.updateConversation);
+router.delete('/:id', conversationController.deleteConversation);
+
+// Messages (question + answer)
+router.post('/:id/messages', conversationController.sendMessage);
+
+export default router;
@@ -12,12 +12,22 @@ router.use(authenticate);
 router.post('/upload', upload.single('file'), handleUploadError, documentController.uploadDocument);
 router.post('/upload-multiple', upload.array('files', 10), handleUploadError, documentController.uploadMultipleDocuments);
 
+// Question answering over the indexed chunks (RAG)
+router.post('/ask', documentController.askDocuments);
+
 // CRUD routes
 router.get('/', documentController.getDocuments);
 router.get('/:id', documentController.getDocument);
 router.delete('/:id', documentController.deleteDocument);
 router.delete('/', documentController.deleteMultipleDocuments);
 
+// Page text
+router.get('/:id/pages/:page', documentController.getDocumentPage);
+
+// Extracted tables (JSON, or ?format=json|csv to download)
+router.get('/:id/tables', documentController.getDocumentTables);
+router.get('/:id/tables/:number', documentController.getDocumentTable);
+
 // Download routes
 router.get('/:id/download', documentController.downloadDocument);
 router.get('/:id/download-text', documentController.downloadDocumentText);
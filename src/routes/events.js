@@ -0,0 +1,10 @@
+import { Router } from 'express';
+import * as eventController from '../controllers/eventController.js';
+import { authenticateEventStream } from '../middlewares/auth.js';
+
+const router = Router();
+
+// EventSource cannot send headers, so the token may come as ?token=
+router.get('/', authenticateEventStream, eventController.streamEvents);
+
+export default router;
@@ -0,0 +1,13 @@
+import { Router } from 'express';
+import * as jobController from '../controllers/jobController.js';
+import { authenticate } from '../middlewares/auth.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/', jobController.getJobs);
+router.get('/:id', jobController.getJob);
+
+export default router;
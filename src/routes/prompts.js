@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import * as promptController from '../controllers/promptController.js';
+import { authenticate } from '../middlewares/auth.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Steps and accepted variables
+router.get('/steps', promptController.getPromptSteps);
+
+// CRUD routes
+router.get('/', promptController.getPromptTemplates);
+router.post('/', promptController.createPromptTemplate);
+router.get('/:id', promptController.getPromptTemplate);
+router.put('/:id', promptController.updatePromptTemplate);
+router.delete('/:id', promptController.deletePromptTemplate);
+
+export default router;
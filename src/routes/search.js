@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import * as searchController from '../controllers/searchController.js';
+import { authenticate } from '../middlewares/auth.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/', searchController.search);
+
+export default router;
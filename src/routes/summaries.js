@@ -7,18 +7,36 @@ const router = Router();
 // All routes require authentication
 router.use(authenticate);
 
-// API status (check if LangChain/OpenAI is configured)
+// API status (check if the LLM provider is configured)
 router.get('/status', summaryController.getApiStatus);
+router.get('/models', summaryController.getModels);
+router.get('/styles', summaryController.getStyles);
+router.get('/languages', summaryController.getLanguages);
+router.get('/cache/stats', summaryController.getCacheStatus);
 
 // Summary generation
 router.post('/single', summaryController.createSingleSummary);
 router.post('/multiple', summaryController.createMultipleSummary);
+router.get('/jobs/:id', summaryController.getSummaryJob);
+
+// Token streaming (Server-Sent Events over POST)
+router.post('/single/stream', summaryController.streamSingleSummary);
+router.post('/multiple/stream', summaryController.streamMultipleSummary);
 
 // CRUD routes
 router.get('/', summaryController.getSummaries);
 router.get('/:id', summaryController.getSummary);
+router.put('/:id', summaryController.updateSummary);
 router.delete('/:id', summaryController.deleteSummary);
 
+// Manual edits (each one is a restorable revision)
+router.get('/:id/revisions', summaryController.getSummaryRevisions);
+router.post('/:id/revisions/:revision/restore', summaryController.restoreSummary);
+
+// Versions (regeneration keeps the original and links the new summary to it)
+router.post('/:id/regenerate', summaryController.regenerateSummary);
+router.get('/:id/versions', summaryController.getSummaryVersions);
+
 // Download route
 router.get('/:id/download', summaryController.downloadSummary);
 
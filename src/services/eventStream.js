@@ -0,0 +1,130 @@
+import db from '../config/database.js';
+
+/**
+ * Stream de eventos por usuário (Server-Sent Events)
+ * Traduz os eventos de mudança do banco (db.events) em mensagens SSE
+ * enviadas apenas às conexões do dono do recurso.
+ */
+
+// userId -> Set<res>
+const clients = new Map();
+
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Escreve um evento SSE em uma resposta aberta
+ */
+export function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Envia um evento para todas as conexões de um usuário
+ * @param {string} userId - Dono do evento
+ * @param {string} event - Nome do evento (ex.: document.status)
+ * @param {object} data - Payload JSON
+ */
+export function publish(userId, event, data) {
+    const connections = clients.get(userId);
+    if (!connections) return;
+
+    for (const res of connections) {
+        writeEvent(res, event, data);
+    }
+}
+
+/**
+ * Registra uma conexão SSE aberta para o usuário
+ * A conexão é removida quando o cliente desconecta.
+ */
+export function subscribe(userId, req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    writeEvent(res, 'ready', { userId, timestamp: new Date().toISOString() });
+
+    if (!clients.has(userId)) {
+        clients.set(userId, new Set());
+    }
+    clients.get(userId).add(res);
+
+    // Comentários periódicos mantêm proxies sem fechar a conexão
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const connections = clients.get(userId);
+        if (connections) {
+            connections.delete(res);
+            if (connections.size === 0) clients.delete(userId);
+        }
+    });
+}
+
+/**
+ * Número de conexões abertas (para debug)
+ */
+export function connectionCount() {
+    let total = 0;
+    for (const connections of clients.values()) total += connections.size;
+    return total;
+}
+
+// Eventos do banco -> SSE
+db.events.on('document:status', ({ userId, document, previousStatus }) => {
+    publish(userId, 'document.status', {
+        id: document.id,
+        status: document.status,
+        previousStatus,
+        pageCount: document.pageCount,
+        ocrStatus: document.ocrStatus || null,
+        errorMessage: document.errorMessage,
+        updatedAt: document.updatedAt
+    });
+});
+
+db.events.on('summary:created', ({ userId, summary }) => {
+    publish(userId, 'summary.created', {
+        id: summary.id,
+        title: summary.title,
+        type: summary.type,
+        documentIds: JSON.parse(summary.documentIds || '[]'),
+        model: summary.model,
+        style: summary.style,
+        language: summary.language,
+        promptTemplateId: summary.promptTemplateId,
+        promptTemplateVersion: summary.promptTemplateVersion,
+        tokensUsed: summary.tokensUsed,
+        promptTokens: summary.promptTokens,
+        completionTokens: summary.completionTokens,
+        usageSource: summary.usageSource,
+        estimatedCost: summary.estimatedCost,
+        processingTime: summary.processingTime,
+        method: summary.method,
+        fromCache: !!summary.fromCache,
+        rootSummaryId: summary.rootSummaryId || null,
+        version: summary.version || 1,
+        createdAt: summary.createdAt
+    });
+});
+
+db.events.on('summary:updated', ({ userId, summary }) => {
+    publish(userId, 'summary.updated', {
+        id: summary.id,
+        title: summary.title,
+        humanEdited: !!summary.humanEdited,
+        currentRevision: summary.currentRevision || null,
+        editedAt: summary.editedAt || null,
+        updatedAt: summary.updatedAt
+    });
+});
+
+db.events.on('summary:deleted', ({ userId, summaryId }) => {
+    publish(userId, 'summary.deleted', { id: summaryId });
+});
+
+export default { writeEvent, publish, subscribe, connectionCount };
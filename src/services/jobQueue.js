@@ -0,0 +1,236 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../config/database.js';
+
+/**
+ * Fila de jobs persistente
+ * Jobs ficam salvos no banco (coleção `jobs`), então sobrevivem a reinícios.
+ * Suporta concorrência configurável, retentativas com backoff exponencial
+ * e histórico de tentativas por job.
+ *
+ * Variáveis de ambiente:
+ * - JOB_CONCURRENCY: jobs executados em paralelo (padrão 2)
+ * - JOB_MAX_ATTEMPTS: tentativas por job (padrão 3)
+ * - JOB_BACKOFF_MS: atraso base entre tentativas (padrão 5000, dobra a cada falha)
+ * - JOB_POLL_INTERVAL_MS: intervalo de verificação da fila (padrão 1000)
+ */
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const config = {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    backoffMs: parseInt(process.env.JOB_BACKOFF_MS) || 5000,
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000
+};
+
+// type -> { run, onFailed }
+const handlers = new Map();
+
+let activeCount = 0;
+let pollTimer = null;
+let tickScheduled = false;
+
+/**
+ * Cria um erro que encerra o job sem novas tentativas
+ * (ex.: documento removido, dados inválidos)
+ */
+export function permanentError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+/**
+ * Registra o handler de um tipo de job
+ * @param {string} type - Tipo do job
+ * @param {Function} run - async (job, { progress }) => result; lançar erro dispara retentativa
+ * @param {object} options - { onFailed(job, error) } chamado após a última tentativa
+ */
+export function registerHandler(type, run, options = {}) {
+    handlers.set(type, { run, onFailed: options.onFailed });
+}
+
+/**
+ * Adiciona um job à fila
+ * @param {string} type - Tipo do job (precisa de handler registrado)
+ * @param {object} payload - Dados passados ao handler
+ * @param {object} options - { userId, resourceId, maxAttempts, delayMs }
+ * @returns {object} Job criado
+ */
+export function enqueue(type, payload = {}, options = {}) {
+    if (!handlers.has(type)) {
+        throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const job = db.createJob({
+        id: uuidv4(),
+        type,
+        userId: options.userId || null,
+        resourceId: options.resourceId || null,
+        payload,
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        maxAttempts: options.maxAttempts || config.maxAttempts,
+        runAt: new Date(Date.now() + (options.delayMs || 0)).toISOString(),
+        lastError: null,
+        progress: null,
+        history: [],
+        result: null
+    });
+
+    console.log(`[Queue] Enqueued ${type} job ${job.id}`);
+    scheduleTick();
+
+    return job;
+}
+
+/**
+ * Retorna o job ativo (queued/running) de um recurso ou cria um novo
+ */
+export function enqueueUnique(type, payload, options = {}) {
+    const existing = options.resourceId && db.findActiveJob(type, options.resourceId);
+    return existing || enqueue(type, payload, options);
+}
+
+/**
+ * Inicia o processamento da fila
+ * Jobs que estavam em execução quando o servidor parou voltam para a fila.
+ */
+export function startQueue() {
+    if (pollTimer) return;
+
+    const interrupted = db.findJobsByStatus(JOB_STATUS.RUNNING);
+    for (const job of interrupted) {
+        db.updateJob(job.id, {
+            status: JOB_STATUS.QUEUED,
+            runAt: new Date().toISOString(),
+            history: [
+                ...(job.history || []),
+                { attempt: job.attempts, status: 'interrupted', finishedAt: new Date().toISOString() }
+            ]
+        });
+    }
+    if (interrupted.length > 0) {
+        console.log(`[Queue] Requeued ${interrupted.length} interrupted jobs`);
+    }
+
+    pollTimer = setInterval(tick, config.pollIntervalMs);
+    pollTimer.unref();
+    scheduleTick();
+
+    console.log(`[Queue] Started (concurrency: ${config.concurrency})`);
+}
+
+/**
+ * Para de buscar novos jobs (jobs em execução terminam normalmente)
+ */
+export function stopQueue() {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+}
+
+function scheduleTick() {
+    if (!pollTimer || tickScheduled) return;
+    tickScheduled = true;
+    setImmediate(() => {
+        tickScheduled = false;
+        tick();
+    });
+}
+
+/**
+ * Inicia jobs prontos até atingir o limite de concorrência
+ */
+function tick() {
+    if (activeCount >= config.concurrency) return;
+
+    const now = new Date().toISOString();
+    const ready = db.findJobsByStatus(JOB_STATUS.QUEUED)
+        .filter(job => job.runAt <= now)
+        .slice(0, config.concurrency - activeCount);
+
+    for (const job of ready) {
+        runJob(job);
+    }
+}
+
+async function runJob(job) {
+    const handler = handlers.get(job.type);
+    const attempt = job.attempts + 1;
+    const startedAt = new Date().toISOString();
+
+    activeCount++;
+    const running = db.updateJob(job.id, {
+        status: JOB_STATUS.RUNNING,
+        attempts: attempt,
+        progress: null
+    });
+
+    try {
+        if (!handler) {
+            throw new Error(`No handler registered for job type "${job.type}"`);
+        }
+
+        console.log(`[Queue] Running ${job.type} job ${job.id} (attempt ${attempt}/${job.maxAttempts})`);
+        const result = await handler.run(running, {
+            progress: (progress) => db.updateJob(job.id, { progress })
+        });
+
+        db.updateJob(job.id, {
+            status: JOB_STATUS.COMPLETED,
+            result: result ?? null,
+            lastError: null,
+            history: [
+                ...(job.history || []),
+                { attempt, status: JOB_STATUS.COMPLETED, startedAt, finishedAt: new Date().toISOString() }
+            ]
+        });
+        console.log(`[Queue] ✅ ${job.type} job ${job.id} completed`);
+    } catch (error) {
+        const willRetry = handler && !error.permanent && attempt < job.maxAttempts;
+        const delayMs = config.backoffMs * Math.pow(2, attempt - 1);
+
+        const failed = db.updateJob(job.id, {
+            status: willRetry ? JOB_STATUS.QUEUED : JOB_STATUS.FAILED,
+            runAt: willRetry ? new Date(Date.now() + delayMs).toISOString() : job.runAt,
+            lastError: error.message,
+            history: [
+                ...(job.history || []),
+                { attempt, status: JOB_STATUS.FAILED, startedAt, finishedAt: new Date().toISOString(), error: error.message }
+            ]
+        });
+
+        if (willRetry) {
+            console.warn(`[Queue] ⚠️ ${job.type} job ${job.id} failed, retrying in ${delayMs}ms: ${error.message}`);
+        } else {
+            console.error(`[Queue] ❌ ${job.type} job ${job.id} failed permanently: ${error.message}`);
+            if (handler?.onFailed) {
+                try {
+                    await handler.onFailed(failed, error);
+                } catch (hookError) {
+                    console.error(`[Queue] onFailed hook error for job ${job.id}:`, hookError.message);
+                }
+            }
+        }
+    } finally {
+        activeCount--;
+        scheduleTick();
+    }
+}
+
+export default {
+    JOB_STATUS,
+    permanentError,
+    registerHandler,
+    enqueue,
+    enqueueUnique,
+    startQueue,
+    stopQueue
+};
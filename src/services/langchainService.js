@@ -1,120 +1,335 @@
-import { ChatOpenAI } from '@langchain/openai';
 import { PromptTemplate } from '@langchain/core/prompts';
 import { StringOutputParser } from '@langchain/core/output_parsers';
 import { RunnableSequence } from '@langchain/core/runnables';
 import { loadSummarizationChain } from '@langchain/classic/chains';
 import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
 import { Document } from '@langchain/core/documents';
-import { isConfigured, DEFAULT_MODEL } from '../config/langchain.js';
+import {
+    isConfigured,
+    getConfigurationError,
+    createChatModel,
+    countTokens,
+    estimateCost,
+    DEFAULT_MODEL
+} from '../config/langchain.js';
+import { getStyle, DEFAULT_STYLE } from '../config/summaryStyles.js';
+import { getLanguage, DEFAULT_LANGUAGE } from '../config/languages.js';
+
+// Temperatura padrão dos resumos
+export const SUMMARY_TEMPERATURE = 0.3;
 
 /**
- * Prompts para sumarização em português
+ * Versão dos prompts embutidos (SUMMARY_PROMPTS e estilos em config/summaryStyles.js)
+ * Aumente ao mudar os prompts: resumos em cache de outra versão não são usados.
+ */
+export const PROMPT_VERSION = 1;
+
+/**
+ * Prompts para sumarização
+ * As instruções de cada estilo (stuff, map, combine) ficam em config/summaryStyles.js;
+ * o idioma de saída entra em todas as etapas pela variável {language}.
+ * Um template do usuário (services/promptTemplateService.js) substitui as etapas que define.
  */
 const SUMMARY_PROMPTS = {
     single: {
-        system: `Você é um especialista em análise e síntese de documentos. 
-Sua tarefa é criar resumos claros, concisos e abrangentes.
-
-Diretrizes:
-- Escreva o resumo em português
-- Capture os pontos principais e informações-chave
-- Mantenha a estrutura lógica do conteúdo original
-- Seja objetivo e preciso
-- Mantenha o resumo informativo mas conciso`,
-        
-        human: `Por favor, forneça um resumo abrangente do seguinte documento:
+        human: `Por favor, resuma o seguinte documento:
 
-{text}
-
-RESUMO:`
+{text}`
     },
-    
-    multiple: {
-        system: `Você é um analista de documentos especializado em síntese integrada.
-Sua tarefa é analisar múltiplos documentos e criar um resumo integrado.
 
-Diretrizes:
-- Escreva o resumo em português
+    multiple: {
+        guidelines: `Como são múltiplos documentos, também:
 - Identifique temas comuns e conexões entre os documentos
 - Destaque diferenças ou contradições importantes
 - Sintetize as informações em uma narrativa coerente
 - Referencie qual documento contém cada informação quando relevante`,
-        
+
         human: `Analise os seguintes {count} documentos e forneça um resumo integrado que sintetize as informações principais:
 
-{documents}
+{documents}`
+    },
 
-RESUMO INTEGRADO:`
+    // Citações de página: o texto chega com marcadores [p. N] / [Doc K, p. N]
+    citations: {
+        guideline: '- Indique a página de origem de cada informação repetindo o marcador de página do texto, ex.: [p. 3]',
+        keep: 'Mantenha os marcadores de página (ex.: [p. 3]) junto das informações de cada página.'
     },
 
-    // Prompts para MapReduce chain (documentos muito grandes)
-    mapPrompt: `Escreva um resumo conciso do seguinte trecho:
+    // Combinação dos resumos individuais (sumarização hierárquica)
+    hierarchical: (count, style, citePages) => `Você recebeu resumos de ${count} documentos diferentes.
+Crie um resumo integrado final que:
+- Sintetize as informações principais de todos os documentos
+- Identifique temas e pontos em comum
+- Destaque diferenças importantes
+- Siga este formato: ${style.format}
+- Seja escrito em {language}${citePages ? '\n- Mantenha os marcadores de página dos resumos, ex.: [Doc 2, p. 3]' : ''}
 
-"{text}"
+Resumos dos documentos:
 
-RESUMO CONCISO:`,
+{summaries}
 
-    combinePrompt: `Os seguintes são resumos de diferentes partes de um documento:
+${style.outputLabel} (INTEGRADO):`,
 
-{text}
+    // Resposta a perguntas com os trechos recuperados (RAG)
+    question: `Você é um assistente que responde perguntas sobre os documentos do usuário.
+Use apenas os trechos abaixo, cada um identificado por um número entre colchetes.
 
-Combine esses resumos em um resumo final consolidado e coerente em português.
-RESUMO FINAL:`
+Diretrizes:
+- Responda em {language}
+- Cite a fonte de cada afirmação com o número do trecho, ex.: [1] ou [2][3]
+- Se os trechos não trouxerem a resposta, diga que os documentos não contêm essa informação
+- Não use conhecimento externo aos trechos
+- Use a conversa anterior, quando houver, só para entender a pergunta
+- Seja direto e objetivo
+
+Trechos:
+
+{context}
+
+{history}Pergunta: {question}
+
+RESPOSTA:`
 };
 
 /**
- * Cria uma instância do ChatOpenAI
+ * Monta o prompt "stuff" (uma única chamada) do estilo
  */
-function createModel(options = {}) {
-    const {
-        model = DEFAULT_MODEL,
-        temperature = 0.3,
-        maxTokens = 2000,
-    } = options;
+function buildStuffPrompt(style, type, citePages = false) {
+    let system = type === 'multiple'
+        ? `${style.stuff}\n\n${SUMMARY_PROMPTS.multiple.guidelines}`
+        : style.stuff;
+
+    if (citePages) {
+        system += `\n${SUMMARY_PROMPTS.citations.guideline}`;
+    }
+
+    return PromptTemplate.fromTemplate(
+        `${system}\n\n${SUMMARY_PROMPTS[type].human}\n\n${style.outputLabel}:`
+    );
+}
+
+/**
+ * Pede ao prompt map/combine do estilo que mantenha os marcadores de página
+ * (a instrução entra antes da última linha, o rótulo da resposta)
+ */
+function withPageCitations(prompt, citePages) {
+    if (!citePages) return prompt;
+
+    const lines = prompt.split('\n');
+    return [...lines.slice(0, -1), SUMMARY_PROMPTS.citations.keep, lines[lines.length - 1]].join('\n');
+}
+
+// Marcadores de página inseridos no texto (ver services/pageService.js)
+const PAGE_MARKER_PATTERN = /\[(?:Doc \d+, )?p\. \d+\]/g;
+const LEADING_PAGE_MARKER = /^\[(?:Doc \d+, )?p\. \d+\]/;
 
-    return new ChatOpenAI({
-        model: model,
-        temperature,
-        maxTokens,
-        apiKey: process.env.OPENAI_API_KEY,
+/**
+ * Faz cada trecho começar com o marcador da página onde ele começa
+ * Sem isso, um trecho que começa no meio de uma página não saberia citá-la.
+ */
+function carryPageMarkers(text, chunks) {
+    const markers = [...text.matchAll(PAGE_MARKER_PATTERN)].map(match => ({ index: match.index, marker: match[0] }));
+    if (markers.length === 0) return chunks;
+
+    let searchFrom = 0;
+    return chunks.map(chunk => {
+        const position = text.indexOf(chunk, searchFrom);
+        if (position === -1) return chunk;
+        searchFrom = position + 1;
+
+        if (LEADING_PAGE_MARKER.test(chunk)) return chunk;
+
+        const current = markers.findLast(({ index }) => index <= position);
+        return current ? `${current.marker} ${chunk}` : chunk;
     });
 }
 
+/**
+ * Template do usuário usado na geração (registrado no resumo)
+ */
+function templateResult(template) {
+    return {
+        promptTemplateId: template?.id || null,
+        promptTemplateVersion: template?.version ?? null
+    };
+}
+
+/**
+ * Cria o ChatModel do provider configurado para o modelo
+ */
+function createModel(options = {}) {
+    return createChatModel(options);
+}
+
+/**
+ * Notifica progresso, se houver callback
+ * @param {Function} [onProgress] - Callback recebido nas opções
+ * @param {object} progress - { phase, current, total, message }
+ */
+function reportProgress(onProgress, progress) {
+    if (typeof onProgress === 'function') {
+        onProgress(progress);
+    }
+}
+
+function contentText(content) {
+    if (typeof content === 'string') return content;
+    return (content || []).map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+}
+
+/**
+ * Uso informado pelo provedor em uma chamada (usage_metadata ou tokenUsage)
+ * @returns {{promptTokens: number, completionTokens: number} | null}
+ */
+function reportedUsage(output) {
+    let promptTokens = 0;
+    let completionTokens = 0;
+
+    for (const generation of output.generations.flat()) {
+        const usage = generation.message?.usage_metadata;
+        if (usage) {
+            promptTokens += usage.input_tokens || 0;
+            completionTokens += usage.output_tokens || 0;
+        }
+    }
+
+    if (promptTokens + completionTokens === 0 && output.llmOutput?.tokenUsage) {
+        promptTokens = output.llmOutput.tokenUsage.promptTokens || 0;
+        completionTokens = output.llmOutput.tokenUsage.completionTokens || 0;
+    }
+
+    // Alguns servidores locais devolvem zeros em vez de omitir o uso
+    return promptTokens + completionTokens > 0 ? { promptTokens, completionTokens } : null;
+}
+
+/**
+ * Acumula o uso de tokens das chamadas ao LLM
+ * Usa o que o provedor informa; quando ele não informa, conta o prompt e a
+ * resposta com o tokenizer do modelo e marca o uso como estimado.
+ * onUsage recebe o uso de cada chamada assim que ela termina, para que as
+ * cotas contem também os tokens de gerações que falham no meio.
+ */
+function createUsageTracker(model, onUsage) {
+    const usage = { promptTokens: 0, completionTokens: 0, source: 'provider' };
+    const promptTokensByRun = new Map();
+
+    const handler = {
+        handleChatModelStart(llm, messages, runId) {
+            const prompt = messages.flat().map(m => contentText(m.content)).join('\n');
+            promptTokensByRun.set(runId, countTokens(prompt, model));
+        },
+        handleLLMEnd(output, runId) {
+            let call = reportedUsage(output);
+
+            if (!call) {
+                const completion = output.generations.flat().map(g => g.text).join('');
+                call = {
+                    promptTokens: promptTokensByRun.get(runId) || 0,
+                    completionTokens: countTokens(completion, model)
+                };
+                usage.source = 'estimated';
+            }
+
+            usage.promptTokens += call.promptTokens;
+            usage.completionTokens += call.completionTokens;
+            promptTokensByRun.delete(runId);
+
+            if (typeof onUsage === 'function') {
+                onUsage({ ...call, estimatedCost: estimateCost(model, call) });
+            }
+        }
+    };
+
+    // Soma o uso de um resultado já gerado (ex.: resumos individuais)
+    const add = (result) => {
+        usage.promptTokens += result.promptTokens || 0;
+        usage.completionTokens += result.completionTokens || 0;
+        if (result.usageSource === 'estimated') usage.source = 'estimated';
+    };
+
+    return { handler, add, usage };
+}
+
+/**
+ * Campos de uso e custo incluídos no resultado de cada geração
+ */
+function usageResult(tracker, model) {
+    const { promptTokens, completionTokens, source } = tracker.usage;
+    return {
+        tokensUsed: promptTokens + completionTokens,
+        promptTokens,
+        completionTokens,
+        usageSource: source,
+        estimatedCost: estimateCost(model, { promptTokens, completionTokens })
+    };
+}
+
+/**
+ * Executa a chain; com onToken usa .stream() e repassa cada trecho gerado
+ * @param {Array} [callbacks] - Handlers do LangChain (ex.: contagem de uso)
+ * @returns {Promise<string>} Texto completo
+ */
+async function runChain(chain, input, onToken, callbacks = []) {
+    if (typeof onToken !== 'function') {
+        return chain.invoke(input, { callbacks });
+    }
+
+    let output = '';
+    const stream = await chain.stream(input, { callbacks });
+    for await (const token of stream) {
+        if (!token) continue;
+        output += token;
+        onToken(token);
+    }
+    return output;
+}
+
 /**
  * Gera resumo de um único documento
  * @param {string} text - Texto do documento
- * @param {object} options - Opções
- * @returns {Promise<{summary: string, tokensUsed: number, model: string}>}
+ * @param {object} options - Opções (model, style, language, template, citePages, temperature, maxTokens, onProgress, onToken, onUsage)
+ *   citePages: o texto tem marcadores de página ([p. N]) que o resumo deve citar
+ *   onUsage: recebe { promptTokens, completionTokens, estimatedCost } de cada chamada ao LLM
+ * @returns {Promise<{summary: string, tokensUsed: number, promptTokens: number, completionTokens: number, estimatedCost: number, model: string, style: string, language: string, promptTemplateId: string|null, promptTemplateVersion: number|null}>}
  */
 export async function generateSingleSummary(text, options = {}) {
-    if (!isConfigured()) {
-        throw new Error('OpenAI API key is not configured');
-    }
-
     const {
         model = DEFAULT_MODEL,
-        temperature = 0.3,
+        style = DEFAULT_STYLE,
+        language = DEFAULT_LANGUAGE,
+        template = null,
+        citePages = false,
+        temperature = SUMMARY_TEMPERATURE,
         maxTokens = 2000,
+        onProgress,
+        onToken,
+        onUsage,
     } = options;
 
-    console.log(`[LangChain] Generating single summary with ${model}`);
+    if (!isConfigured(model)) {
+        throw new Error(getConfigurationError(model));
+    }
+
+    console.log(`[LangChain] Generating single summary with ${model} (style: ${style}, language: ${language})`);
     const startTime = Date.now();
 
     try {
         // Para textos muito grandes, usar MapReduce
-        const estimatedTokens = Math.ceil(text.length / 4);
+        const textTokens = countTokens(text, model);
         
-        if (estimatedTokens > 12000) {
-            console.log(`[LangChain] Text too long (${estimatedTokens} tokens), using MapReduce`);
-            return await generateMapReduceSummary(text, { model, temperature, maxTokens });
+        if (textTokens > 12000) {
+            console.log(`[LangChain] Text too long (${textTokens} tokens), using MapReduce`);
+            return await generateMapReduceSummary(text, { model, style, language, template, citePages, temperature, maxTokens, onProgress, onToken, onUsage });
         }
 
+        reportProgress(onProgress, { phase: 'summarizing', message: 'Gerando resumo' });
+
         // Chain simples para textos menores
         const llm = createModel({ model, temperature, maxTokens });
         
-        const prompt = PromptTemplate.fromTemplate(
-            SUMMARY_PROMPTS.single.system + '\n\n' + SUMMARY_PROMPTS.single.human
-        );
+        const prompt = template?.single
+            ? PromptTemplate.fromTemplate(template.single)
+            : buildStuffPrompt(getStyle(style), 'single', citePages);
 
         const chain = RunnableSequence.from([
             prompt,
@@ -122,15 +337,22 @@ export async function generateSingleSummary(text, options = {}) {
             new StringOutputParser(),
         ]);
 
-        const summary = await chain.invoke({ text });
+        const usage = createUsageTracker(model, onUsage);
+        const summary = await runChain(chain, {
+            text,
+            language: getLanguage(language).promptName
+        }, onToken, [usage.handler]);
 
         const duration = Date.now() - startTime;
         console.log(`[LangChain] Summary generated in ${duration}ms`);
 
         return {
             summary: summary.trim(),
-            tokensUsed: estimatedTokens + Math.ceil(summary.length / 4),
+            ...usageResult(usage, model),
             model,
+            style,
+            language,
+            ...templateResult(template),
             processingTime: duration,
             method: 'stuff'
         };
@@ -146,8 +368,15 @@ export async function generateSingleSummary(text, options = {}) {
 async function generateMapReduceSummary(text, options = {}) {
     const {
         model = DEFAULT_MODEL,
-        temperature = 0.3,
+        style = DEFAULT_STYLE,
+        language = DEFAULT_LANGUAGE,
+        template = null,
+        citePages = false,
+        temperature = SUMMARY_TEMPERATURE,
         maxTokens = 2000,
+        onProgress,
+        onToken,
+        onUsage,
     } = options;
 
     console.log(`[LangChain] Using MapReduce chain`);
@@ -159,7 +388,8 @@ async function generateMapReduceSummary(text, options = {}) {
         chunkOverlap: 200,
     });
 
-    const chunks = await splitter.splitText(text);
+    const pieces = await splitter.splitText(text);
+    const chunks = citePages ? carryPageMarkers(text, pieces) : pieces;
     console.log(`[LangChain] Split into ${chunks.length} chunks`);
 
     // Criar documentos LangChain
@@ -168,16 +398,52 @@ async function generateMapReduceSummary(text, options = {}) {
         metadata: { chunk: i + 1 }
     }));
 
-    const llm = createModel({ model, temperature, maxTokens });
+    const llm = createModel({ model, temperature, maxTokens, streaming: typeof onToken === 'function' });
 
     // Usar loadSummarizationChain com tipo map_reduce
+    // A chain só repassa {text}; o idioma é fixado antes
+    const preset = getStyle(style);
+    const languageName = getLanguage(language).promptName;
     const chain = loadSummarizationChain(llm, {
         type: 'map_reduce',
+        combineMapPrompt: await PromptTemplate.fromTemplate(template?.map || withPageCitations(preset.map, citePages)).partial({ language: languageName }),
+        combinePrompt: await PromptTemplate.fromTemplate(template?.combine || withPageCitations(preset.combine, citePages)).partial({ language: languageName }),
         verbose: process.env.NODE_ENV === 'development',
     });
 
+    const usage = createUsageTracker(model, onUsage);
+
+    // Cada chamada ao LLM conclui um trecho (map); as seguintes são a combinação
+    let completedCalls = 0;
+    const reportChunk = () => {
+        if (completedCalls < chunks.length) {
+            reportProgress(onProgress, {
+                phase: 'map',
+                current: completedCalls + 1,
+                total: chunks.length,
+                message: `Resumindo trecho ${completedCalls + 1} de ${chunks.length}`
+            });
+        } else {
+            reportProgress(onProgress, { phase: 'combine', message: 'Combinando resumos dos trechos' });
+        }
+    };
+    reportChunk();
+
     const result = await chain.invoke({
         input_documents: docs,
+    }, {
+        callbacks: [usage.handler, {
+            handleLLMEnd() {
+                completedCalls++;
+                reportChunk();
+            },
+            // Só os tokens da combinação final fazem parte do resumo
+            handleLLMNewToken(token) {
+                if (token && completedCalls >= chunks.length && typeof onToken === 'function') {
+                    onToken(token);
+                }
+            }
+        }]
     });
 
     const duration = Date.now() - startTime;
@@ -185,8 +451,11 @@ async function generateMapReduceSummary(text, options = {}) {
 
     return {
         summary: result.text.trim(),
-        tokensUsed: Math.ceil(text.length / 4) + Math.ceil(result.text.length / 4),
+        ...usageResult(usage, model),
         model,
+        style,
+        language,
+        ...templateResult(template),
         processingTime: duration,
         method: 'map_reduce',
         chunks: chunks.length
@@ -196,24 +465,32 @@ async function generateMapReduceSummary(text, options = {}) {
 /**
  * Gera resumo integrado de múltiplos documentos
  * @param {Array<{name: string, text: string}>} documents - Array de documentos
- * @param {object} options - Opções
+ * @param {object} options - Opções (model, style, language, template, citePages, temperature, maxTokens, onProgress, onToken, onUsage)
+ *   citePages: os textos têm marcadores [Doc K, p. N] que o resumo deve citar
  * @returns {Promise<{summary: string, tokensUsed: number, model: string}>}
  */
 export async function generateMultipleSummary(documents, options = {}) {
-    if (!isConfigured()) {
-        throw new Error('OpenAI API key is not configured');
+    const {
+        model = DEFAULT_MODEL,
+        style = DEFAULT_STYLE,
+        language = DEFAULT_LANGUAGE,
+        template = null,
+        citePages = false,
+        temperature = SUMMARY_TEMPERATURE,
+        maxTokens = 3000,
+        onProgress,
+        onToken,
+        onUsage,
+    } = options;
+
+    if (!isConfigured(model)) {
+        throw new Error(getConfigurationError(model));
     }
 
     if (!documents || documents.length === 0) {
         throw new Error('No documents provided');
     }
 
-    const {
-        model = DEFAULT_MODEL,
-        temperature = 0.3,
-        maxTokens = 3000,
-    } = options;
-
     console.log(`[LangChain] Generating integrated summary for ${documents.length} documents`);
     const startTime = Date.now();
 
@@ -223,7 +500,7 @@ export async function generateMultipleSummary(documents, options = {}) {
             .map((doc, index) => `--- Documento ${index + 1}: ${doc.name} ---\n${doc.text}`)
             .join('\n\n');
 
-        const totalTokens = Math.ceil(documentsText.length / 4);
+        const totalTokens = countTokens(documentsText, model);
 
         // Se muito grande, sumarizar cada documento primeiro
         if (totalTokens > 12000) {
@@ -231,11 +508,13 @@ export async function generateMultipleSummary(documents, options = {}) {
             return await generateHierarchicalSummary(documents, options);
         }
 
+        reportProgress(onProgress, { phase: 'summarizing', message: 'Gerando resumo integrado' });
+
         const llm = createModel({ model, temperature, maxTokens });
 
-        const prompt = PromptTemplate.fromTemplate(
-            SUMMARY_PROMPTS.multiple.system + '\n\n' + SUMMARY_PROMPTS.multiple.human
-        );
+        const prompt = template?.multiple
+            ? PromptTemplate.fromTemplate(template.multiple)
+            : buildStuffPrompt(getStyle(style), 'multiple', citePages);
 
         const chain = RunnableSequence.from([
             prompt,
@@ -243,18 +522,23 @@ export async function generateMultipleSummary(documents, options = {}) {
             new StringOutputParser(),
         ]);
 
-        const summary = await chain.invoke({ 
+        const usage = createUsageTracker(model, onUsage);
+        const summary = await runChain(chain, { 
             count: documents.length,
-            documents: documentsText 
-        });
+            documents: documentsText,
+            language: getLanguage(language).promptName
+        }, onToken, [usage.handler]);
 
         const duration = Date.now() - startTime;
         console.log(`[LangChain] Integrated summary generated in ${duration}ms`);
 
         return {
             summary: summary.trim(),
-            tokensUsed: totalTokens + Math.ceil(summary.length / 4),
+            ...usageResult(usage, model),
             model,
+            style,
+            language,
+            ...templateResult(template),
             processingTime: duration,
             method: 'stuff',
             documentsCount: documents.length
@@ -272,19 +556,48 @@ export async function generateMultipleSummary(documents, options = {}) {
 async function generateHierarchicalSummary(documents, options = {}) {
     const {
         model = DEFAULT_MODEL,
-        temperature = 0.3,
+        style = DEFAULT_STYLE,
+        language = DEFAULT_LANGUAGE,
+        template = null,
+        citePages = false,
+        temperature = SUMMARY_TEMPERATURE,
         maxTokens = 2000,
+        onProgress,
+        onToken,
+        onUsage,
     } = options;
 
     console.log(`[LangChain] Using hierarchical summarization`);
     const startTime = Date.now();
 
+    const usage = createUsageTracker(model, onUsage);
+
     // Primeiro passo: sumarizar cada documento individualmente
     const individualSummaries = [];
     
-    for (const doc of documents) {
+    for (const [index, doc] of documents.entries()) {
         console.log(`[LangChain] Summarizing: ${doc.name}`);
-        const result = await generateSingleSummary(doc.text, { model, temperature, maxTokens: 1000 });
+        const documentProgress = {
+            phase: 'documents',
+            current: index + 1,
+            total: documents.length,
+            message: `Resumindo documento ${index + 1} de ${documents.length}: ${doc.name}`
+        };
+        reportProgress(onProgress, documentProgress);
+
+        const result = await generateSingleSummary(doc.text, {
+            model,
+            style,
+            language,
+            template,
+            citePages,
+            temperature,
+            maxTokens: 1000,
+            onUsage,
+            // Progresso interno (trechos) fica aninhado no do documento
+            onProgress: (inner) => reportProgress(onProgress, { ...documentProgress, step: inner })
+        });
+        usage.add(result);
         individualSummaries.push({
             name: doc.name,
             summary: result.summary
@@ -298,19 +611,9 @@ async function generateHierarchicalSummary(documents, options = {}) {
         .map((s, i) => `--- Resumo do Documento ${i + 1}: ${s.name} ---\n${s.summary}`)
         .join('\n\n');
 
+    // O prompt "multiple" do template recebe os resumos individuais como {documents}
     const combinePrompt = PromptTemplate.fromTemplate(
-        `Você recebeu resumos de ${documents.length} documentos diferentes.
-Crie um resumo integrado final que:
-- Sintetize as informações principais de todos os documentos
-- Identifique temas e pontos em comum
-- Destaque diferenças importantes
-- Seja coerente e bem estruturado
-
-Resumos dos documentos:
-
-{summaries}
-
-RESUMO INTEGRADO FINAL:`
+        template?.multiple || SUMMARY_PROMPTS.hierarchical(documents.length, getStyle(style), citePages)
     );
 
     const chain = RunnableSequence.from([
@@ -319,35 +622,127 @@ RESUMO INTEGRADO FINAL:`
         new StringOutputParser(),
     ]);
 
-    const finalSummary = await chain.invoke({ summaries: combinedText });
+    reportProgress(onProgress, { phase: 'combine', message: 'Combinando resumos dos documentos' });
+
+    const finalSummary = await runChain(chain, {
+        summaries: combinedText,
+        documents: combinedText,
+        count: documents.length,
+        language: getLanguage(language).promptName
+    }, onToken, [usage.handler]);
 
     const duration = Date.now() - startTime;
     console.log(`[LangChain] Hierarchical summary completed in ${duration}ms`);
 
     return {
         summary: finalSummary.trim(),
-        tokensUsed: Math.ceil(combinedText.length / 4) + Math.ceil(finalSummary.length / 4),
+        ...usageResult(usage, model),
         model,
+        style,
+        language,
+        ...templateResult(template),
         processingTime: duration,
         method: 'hierarchical',
         documentsCount: documents.length
     };
 }
 
+/**
+ * Responde uma pergunta a partir de trechos dos documentos (RAG)
+ * @param {string} question - Pergunta do usuário
+ * @param {Array<{documentName: string, page: number|null, text: string}>} sources - Trechos recuperados, na ordem de citação
+ * @param {object} options - Opções (model, language, history, temperature, maxTokens, onToken, onUsage)
+ *   history: mensagens anteriores da conversa [{ role: 'user'|'assistant', content }]
+ * @returns {Promise<{answer: string, citations: Array<{source: number, count: number}>, tokensUsed: number, model: string, language: string}>}
+ */
+export async function answerQuestion(question, sources, options = {}) {
+    const {
+        model = DEFAULT_MODEL,
+        language = DEFAULT_LANGUAGE,
+        history = [],
+        temperature = 0.2,
+        maxTokens = 1000,
+        onToken,
+        onUsage,
+    } = options;
+
+    if (!isConfigured(model)) {
+        throw new Error(getConfigurationError(model));
+    }
+
+    console.log(`[LangChain] Answering question with ${sources.length} sources and ${history.length} previous messages using ${model}`);
+    const startTime = Date.now();
+
+    try {
+        const context = sources
+            .map((source, index) => {
+                const page = source.page ? `, página ${source.page}` : '';
+                return `[${index + 1}] ${source.documentName}${page}\n${source.text}`;
+            })
+            .join('\n\n');
+
+        const conversation = history.length > 0
+            ? `Conversa anterior:\n\n${history
+                .map(message => `${message.role === 'user' ? 'Usuário' : 'Assistente'}: ${message.content}`)
+                .join('\n\n')}\n\n`
+            : '';
+
+        const chain = RunnableSequence.from([
+            PromptTemplate.fromTemplate(SUMMARY_PROMPTS.question),
+            createModel({ model, temperature, maxTokens }),
+            new StringOutputParser(),
+        ]);
+
+        const usage = createUsageTracker(model, onUsage);
+        const answer = await runChain(chain, {
+            context,
+            history: conversation,
+            question,
+            language: getLanguage(language).promptName
+        }, onToken, [usage.handler]);
+
+        // Trechos citados na resposta ([n]), na ordem do número
+        const counts = new Map();
+        for (const match of answer.matchAll(/\[(\d+)\]/g)) {
+            const source = parseInt(match[1]);
+            if (source >= 1 && source <= sources.length) {
+                counts.set(source, (counts.get(source) || 0) + 1);
+            }
+        }
+
+        const duration = Date.now() - startTime;
+        console.log(`[LangChain] Answer generated in ${duration}ms`);
+
+        return {
+            answer: answer.trim(),
+            citations: [...counts]
+                .sort(([a], [b]) => a - b)
+                .map(([source, count]) => ({ source, count })),
+            ...usageResult(usage, model),
+            model,
+            language,
+            processingTime: duration
+        };
+    } catch (error) {
+        console.error('[LangChain] Error answering question:', error);
+        throw new Error(`Failed to answer question: ${error.message}`);
+    }
+}
+
 /**
  * Testa conexão com a API
  */
-export async function testConnection() {
-    if (!isConfigured()) {
-        return { success: false, error: 'API key not configured' };
+export async function testConnection(model = DEFAULT_MODEL) {
+    if (!isConfigured(model)) {
+        return { success: false, error: getConfigurationError(model) };
     }
 
     try {
-        const llm = createModel({ maxTokens: 10 });
+        const llm = createModel({ model, maxTokens: 10 });
         const result = await llm.invoke('Hello');
         return { 
             success: true, 
-            model: DEFAULT_MODEL,
+            model,
             response: result.content.substring(0, 50)
         };
     } catch (error) {
@@ -358,6 +753,7 @@ export async function testConnection() {
 export default {
     generateSingleSummary,
     generateMultipleSummary,
+    answerQuestion,
     testConnection,
     isConfigured
 };
\ No newline at end of file
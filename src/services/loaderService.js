@@ -0,0 +1,282 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DocxLoader } from '@langchain/community/document_loaders/fs/docx';
+import { EPubLoader } from '@langchain/community/document_loaders/fs/epub';
+import { htmlToText } from 'html-to-text';
+import { loadAndExtractPDF, cleanText } from './pdfService.js';
+import { normalizeMetadata } from './pdfStructureService.js';
+
+/**
+ * Extração de texto por formato de arquivo
+ * Cada formato tem um extrator registrado pelo tipo MIME e todos devolvem o
+ * mesmo formato: { text, pages, pageTexts, pageOffsets, ocr, metadata,
+ * outline, headings, tables } (tabelas só nos PDFs). Os metadados têm os mesmos campos em todos os formatos
+ * (ver METADATA_FIELDS em services/pdfStructureService.js).
+ *
+ * Só PDF e EPUB têm páginas (no EPUB, cada capítulo conta como uma página).
+ * DOCX, TXT, Markdown e HTML não têm paginação: pages é null, nenhuma página
+ * é salva e resumos, buscas e perguntas usam o texto inteiro, sem citações
+ * de página.
+ */
+
+// Tipos que navegadores e clientes mandam quando não reconhecem o arquivo;
+// nesses casos vale a extensão
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'application/zip', 'binary/octet-stream'];
+
+const NO_OCR = { status: null, pages: [] };
+
+/**
+ * Resultado de um formato com páginas
+ */
+function paginated(pageTexts, structure = {}) {
+    const pageOffsets = [];
+    let offset = 0;
+    for (const pageText of pageTexts) {
+        pageOffsets.push(offset);
+        offset += pageText.length + 2;
+    }
+
+    return {
+        text: pageTexts.join('\n\n'),
+        pages: pageTexts.length,
+        pageTexts,
+        pageOffsets,
+        ocr: NO_OCR,
+        metadata: normalizeMetadata(structure.metadata),
+        outline: structure.outline || [],
+        headings: structure.headings || [],
+        tables: []
+    };
+}
+
+/**
+ * Resultado de um formato sem páginas
+ */
+function unpaginated(text, structure = {}) {
+    return {
+        text,
+        pages: null,
+        pageTexts: [],
+        pageOffsets: null,
+        ocr: NO_OCR,
+        metadata: normalizeMetadata(structure.metadata),
+        outline: [],
+        headings: structure.headings || [],
+        tables: []
+    };
+}
+
+/**
+ * Lê um arquivo de texto em UTF-8; se não for UTF-8 válido, em Latin-1
+ */
+async function readTextFile(filePath) {
+    const buffer = await fs.readFile(filePath);
+
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch {
+        text = new TextDecoder('latin1').decode(buffer);
+    }
+
+    return text.replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Limpa linhas em branco e espaços finais sem mexer na indentação (listas e código do Markdown)
+ */
+function normalizeLines(text) {
+    return text
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Texto de um trecho de HTML sem as tags
+ */
+function stripTags(html) {
+    return htmlToText(html, { wordwrap: false, selectors: [{ selector: 'a', options: { ignoreHref: true } }] })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+async function loadDocx(filePath) {
+    const docs = await new DocxLoader(filePath).load();
+    return unpaginated(cleanText(docs.map(doc => doc.pageContent).join('\n\n')));
+}
+
+async function loadText(filePath) {
+    return unpaginated(cleanText(await readTextFile(filePath)));
+}
+
+async function loadMarkdown(filePath) {
+    const text = normalizeLines(await readTextFile(filePath));
+
+    // Títulos ATX (# Título), fora dos blocos de código
+    const headings = [];
+    let inCode = false;
+    for (const line of text.split('\n')) {
+        if (/^\s*(```|~~~)/.test(line)) inCode = !inCode;
+        const match = !inCode && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (match) headings.push({ level: match[1].length, text: match[2], page: null });
+    }
+
+    return unpaginated(text, {
+        metadata: { title: headings.find(h => h.level === 1)?.text },
+        headings
+    });
+}
+
+async function loadHtml(filePath) {
+    const html = await readTextFile(filePath);
+    const metaTag = (name) => html.match(new RegExp(`<meta[^>]+name=["']${name}["'][^>]*content=["']([^"']*)["']`, 'i'))?.[1];
+
+    const headings = [...html.matchAll(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi)]
+        .map(([, level, inner]) => ({ level: Number(level), text: stripTags(inner), page: null }))
+        .filter(({ text }) => text);
+
+    const text = htmlToText(html, {
+        wordwrap: false,
+        selectors: [
+            { selector: 'a', options: { ignoreHref: true } },
+            { selector: 'img', format: 'skip' },
+            { selector: 'nav', format: 'skip' },
+            { selector: 'h1', options: { uppercase: false } },
+            { selector: 'h2', options: { uppercase: false } },
+            { selector: 'h3', options: { uppercase: false } },
+            { selector: 'h4', options: { uppercase: false } },
+            { selector: 'h5', options: { uppercase: false } },
+            { selector: 'h6', options: { uppercase: false } },
+            { selector: 'table', format: 'dataTable', options: { uppercaseHeaderCells: false } }
+        ]
+    });
+
+    return unpaginated(cleanText(text), {
+        metadata: {
+            title: stripTags(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || ''),
+            author: metaTag('author'),
+            subject: metaTag('description'),
+            keywords: metaTag('keywords'),
+            creator: metaTag('generator'),
+            language: html.match(/<html[^>]+lang=["']([^"']+)["']/i)?.[1]
+        },
+        headings
+    });
+}
+
+async function loadEpub(filePath) {
+    const docs = await new EPubLoader(filePath, { splitChapters: true }).load();
+
+    // Capítulos vazios (capa, sumário em imagem) não viram páginas
+    const chapters = docs
+        .map(doc => ({ title: doc.metadata.chapter || null, text: cleanText(doc.pageContent) }))
+        .filter(({ text }) => text);
+
+    // O sumário são os capítulos com título (cada capítulo é uma página)
+    return paginated(chapters.map(({ text }) => text), {
+        outline: chapters
+            .map(({ title }, index) => ({ title, page: index + 1, items: [] }))
+            .filter(({ title }) => title)
+    });
+}
+
+/**
+ * Formatos aceitos, pelo tipo MIME (o primeiro de mimeTypes é o salvo no documento)
+ */
+export const LOADERS = {
+    'application/pdf': {
+        label: 'PDF',
+        mimeTypes: ['application/pdf'],
+        extensions: ['.pdf'],
+        load: loadAndExtractPDF
+    },
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+        label: 'DOCX',
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        extensions: ['.docx'],
+        load: loadDocx
+    },
+    'text/plain': {
+        label: 'TXT',
+        mimeTypes: ['text/plain'],
+        extensions: ['.txt'],
+        load: loadText
+    },
+    'text/markdown': {
+        label: 'Markdown',
+        mimeTypes: ['text/markdown', 'text/x-markdown', 'text/plain'],
+        extensions: ['.md', '.markdown'],
+        load: loadMarkdown
+    },
+    'text/html': {
+        label: 'HTML',
+        mimeTypes: ['text/html', 'application/xhtml+xml'],
+        extensions: ['.html', '.htm', '.xhtml'],
+        load: loadHtml
+    },
+    'application/epub+zip': {
+        label: 'EPUB',
+        mimeTypes: ['application/epub+zip'],
+        extensions: ['.epub'],
+        load: loadEpub
+    }
+};
+
+export const SUPPORTED_EXTENSIONS = Object.values(LOADERS).flatMap(loader => loader.extensions);
+
+export const SUPPORTED_FORMATS = Object.values(LOADERS).map(loader => loader.label);
+
+function findByExtension(fileName) {
+    const ext = path.extname(fileName || '').toLowerCase();
+    return Object.values(LOADERS).find(loader => loader.extensions.includes(ext)) || null;
+}
+
+/**
+ * Extrator de um arquivo enviado
+ * A extensão escolhe o formato; o tipo MIME informado precisa ser compatível
+ * com ele (ou genérico, quando o cliente não reconhece o arquivo).
+ * @returns {object|null} null quando o formato não é aceito
+ */
+export function getUploadLoader(mimeType, fileName) {
+    const loader = findByExtension(fileName);
+    if (!loader) return null;
+
+    const mime = (mimeType || '').toLowerCase();
+    return loader.mimeTypes.includes(mime) || GENERIC_MIME_TYPES.includes(mime) ? loader : null;
+}
+
+/**
+ * Extrator de um documento salvo
+ * Documentos antigos podem ter o tipo MIME do navegador; nesse caso vale a extensão.
+ */
+export function getLoader(mimeType, fileName) {
+    return LOADERS[mimeType] || findByExtension(fileName);
+}
+
+/**
+ * Extrai o texto de um documento no formato do seu tipo MIME
+ * @param {string} filePath - Caminho do arquivo
+ * @param {string} mimeType - Tipo MIME salvo no documento
+ * @param {object} [options] - { onProgress } (progresso do OCR de PDFs)
+ * @returns {Promise<{ text: string, pages: number|null, pageTexts: string[], pageOffsets: number[]|null, ocr: object, metadata: object, outline: Array, headings: Array, tables: Array }>}
+ */
+export async function extractDocument(filePath, mimeType, options = {}) {
+    const loader = getLoader(mimeType, filePath);
+    if (!loader) {
+        throw new Error(`Unsupported file type: ${mimeType || path.extname(filePath)}`);
+    }
+
+    console.log(`[Loader] Loading ${loader.label}: ${filePath}`);
+
+    try {
+        return await loader.load(filePath, options);
+    } catch (error) {
+        // O PDF já traz a mensagem própria
+        if (loader.load === loadAndExtractPDF) throw error;
+        console.error(`[Loader] Error loading ${loader.label}:`, error.message);
+        throw new Error(`Failed to load ${loader.label}: ${error.message}`);
+    }
+}
+
+export default { LOADERS, SUPPORTED_EXTENSIONS, SUPPORTED_FORMATS, getUploadLoader, getLoader, extractDocument };
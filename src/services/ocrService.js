@@ -0,0 +1,198 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * OCR local (offline) para páginas sem camada de texto (PDFs digitalizados)
+ * Cada página é renderizada como imagem pelo pdftoppm (poppler-utils) e lida
+ * pelo Tesseract, ambos pela linha de comando. A saída TSV do Tesseract traz
+ * a confiança de cada palavra, usada para a confiança média da página.
+ *
+ * Variáveis de ambiente:
+ * - OCR_ENABLED: 'false' desliga o OCR (padrão: ligado quando os programas existem)
+ * - OCR_LANGUAGES: idiomas do Tesseract (padrão 'por+eng')
+ * - OCR_DPI: resolução da imagem da página (padrão 300)
+ * - OCR_MIN_PAGE_CHARS: páginas com menos caracteres que isso passam pelo OCR (padrão 20; 0 = nenhuma)
+ * - OCR_TIMEOUT_MS: limite de cada etapa por página (padrão 120000; 0 = sem limite)
+ * - TESSERACT_PATH / PDFTOPPM_PATH: caminho dos executáveis
+ */
+
+const TESSERACT_PATH = process.env.TESSERACT_PATH || 'tesseract';
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || 'pdftoppm';
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'por+eng';
+
+// Só valores inválidos ou abaixo do mínimo caem no padrão (0 é aceito onde faz sentido)
+const envInteger = (value, fallback, min = 0) => {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) || parsed < min ? fallback : parsed;
+};
+
+const OCR_DPI = envInteger(process.env.OCR_DPI, 300, 1);
+const OCR_MIN_PAGE_CHARS = envInteger(process.env.OCR_MIN_PAGE_CHARS, 20);
+const OCR_TIMEOUT_MS = envInteger(process.env.OCR_TIMEOUT_MS, 120000);
+
+// Verificação dos executáveis (feita uma vez)
+let availability = null;
+
+/**
+ * Verifica se o OCR está habilitado e os executáveis respondem
+ * @returns {Promise<boolean>}
+ */
+export function isOcrAvailable() {
+    if (process.env.OCR_ENABLED === 'false') {
+        return Promise.resolve(false);
+    }
+
+    if (!availability) {
+        availability = Promise.all([
+            execFileAsync(TESSERACT_PATH, ['--version'], { timeout: 10000 }),
+            execFileAsync(PDFTOPPM_PATH, ['-v'], { timeout: 10000 })
+        ]).then(
+            () => true,
+            (error) => {
+                console.warn(`[OCR] Unavailable (install tesseract-ocr and poppler-utils): ${error.message}`);
+                return false;
+            }
+        );
+    }
+
+    return availability;
+}
+
+/**
+ * Página com pouco ou nenhum texto extraído
+ */
+export function needsOcr(text) {
+    return (text || '').replace(/\s/g, '').length < OCR_MIN_PAGE_CHARS;
+}
+
+/**
+ * Converte a saída TSV do Tesseract em texto e confiança média (0-100)
+ * Colunas: level page_num block_num par_num line_num word_num left top width height conf text
+ * Linhas de nível 5 são palavras; parágrafos ficam separados por linha em branco.
+ */
+export function parseTesseractTsv(tsv) {
+    const paragraphs = [];
+    const confidences = [];
+    let paragraphKey = null;
+    let lineKey = null;
+
+    for (const row of tsv.split('\n').slice(1)) {
+        const columns = row.split('\t');
+        if (columns.length < 12 || columns[0] !== '5') continue;
+
+        const word = columns[11].trim();
+        if (!word) continue;
+
+        const confidence = parseFloat(columns[10]);
+        if (confidence >= 0) confidences.push(confidence);
+
+        const [, , block, paragraph, line] = columns;
+        if (`${block}:${paragraph}` !== paragraphKey) {
+            paragraphKey = `${block}:${paragraph}`;
+            lineKey = null;
+            paragraphs.push([]);
+        }
+
+        const lines = paragraphs[paragraphs.length - 1];
+        if (line !== lineKey) {
+            lineKey = line;
+            lines.push([]);
+        }
+        lines[lines.length - 1].push(word);
+    }
+
+    const text = paragraphs
+        .map(lines => lines.map(words => words.join(' ')).join('\n'))
+        .join('\n\n');
+
+    const confidence = confidences.length > 0
+        ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length * 10) / 10
+        : null;
+
+    return { text, confidence, words: confidences.length };
+}
+
+/**
+ * Reconhece o texto de uma página do PDF
+ * @param {string} filePath - Caminho do PDF
+ * @param {number} page - Número da página (1-based)
+ * @returns {Promise<{ text: string, confidence: number|null, words: number }>}
+ */
+export async function recognizePage(filePath, page) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-'));
+
+    try {
+        const image = path.join(dir, 'page');
+        await execFileAsync(PDFTOPPM_PATH, [
+            '-f', String(page), '-l', String(page),
+            '-r', String(OCR_DPI), '-gray', '-png', '-singlefile',
+            filePath, image
+        ], { timeout: OCR_TIMEOUT_MS });
+
+        const { stdout } = await execFileAsync(TESSERACT_PATH, [
+            `${image}.png`, 'stdout', '-l', OCR_LANGUAGES, 'tsv'
+        ], { timeout: OCR_TIMEOUT_MS, maxBuffer: 32 * 1024 * 1024 });
+
+        return parseTesseractTsv(stdout);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Passa pelo OCR as páginas com pouco texto, uma de cada vez
+ * status: null (nenhuma página precisou), 'applied' (ao menos uma reconhecida),
+ * 'unavailable' (OCR desligado ou não instalado) ou 'failed' (todas falharam)
+ * @param {string} filePath - Caminho do PDF
+ * @param {string[]} pageTexts - Texto extraído de cada página (índice = página - 1)
+ * @param {object} [options] - { onProgress }
+ * @returns {Promise<{ status: string|null, pages: Array<{ page: number, text: string, confidence: number|null }> }>}
+ */
+export async function recognizeMissingPages(filePath, pageTexts, options = {}) {
+    const { onProgress } = options;
+
+    const missing = pageTexts
+        .map((text, index) => ({ page: index + 1, text }))
+        .filter(({ text }) => needsOcr(text))
+        .map(({ page }) => page);
+
+    if (missing.length === 0) {
+        return { status: null, pages: [] };
+    }
+
+    if (!await isOcrAvailable()) {
+        console.log(`[OCR] ${missing.length} pages without text, OCR unavailable`);
+        return { status: 'unavailable', pages: [] };
+    }
+
+    console.log(`[OCR] Recognizing ${missing.length} pages without text`);
+    const pages = [];
+
+    for (const [index, page] of missing.entries()) {
+        if (typeof onProgress === 'function') {
+            onProgress({
+                phase: 'ocr',
+                current: index + 1,
+                total: missing.length,
+                message: `OCR da página ${page} (${index + 1} de ${missing.length})`
+            });
+        }
+
+        try {
+            const result = await recognizePage(filePath, page);
+            pages.push({ page, text: result.text, confidence: result.confidence });
+            console.log(`[OCR] Page ${page}: ${result.words} words, confidence ${result.confidence ?? 'n/a'}`);
+        } catch (error) {
+            console.error(`[OCR] Page ${page} failed:`, error.message);
+        }
+    }
+
+    return { status: pages.length > 0 ? 'applied' : 'failed', pages };
+}
+
+export default { isOcrAvailable, needsOcr, parseTesseractTsv, recognizePage, recognizeMissingPages };
@@ -0,0 +1,120 @@
+import db from '../config/database.js';
+import { withMarkdownTables } from './tableService.js';
+
+/**
+ * Páginas dos documentos e citações de página nos resumos
+ * O texto de cada página é salvo na extração (coleção `documentPages`).
+ * Para resumir, cada página recebe um marcador [p. N] (ou [Doc K, p. N] no
+ * resumo integrado); o modelo repete os marcadores junto das informações e
+ * as citações do resumo apontam de volta para as páginas de origem.
+ * Tabelas detectadas entram no texto como tabelas Markdown.
+ */
+
+// [p. 3], [p. 3-4], [pp. 3, 5], [Doc 2, p. 3]
+const CITATION_PATTERN = /\[(?:Doc\.?\s*(\d+),\s*)?pp?\.\s*(\d+(?:\s*[-–,]\s*\d+)*)\]/gi;
+
+// Intervalos maiores que isso contam só as páginas das pontas
+const MAX_RANGE_PAGES = 20;
+
+/**
+ * Texto de cada página do documento
+ * Documentos extraídos antes de salvar as páginas usam as posições no texto
+ * (pageOffsets); os mais antigos viram uma única "página" sem número.
+ * @returns {Array<{ page: number|null, text: string }>}
+ */
+export function getDocumentPages(document) {
+    const stored = db.findDocumentPages(document.id);
+    if (stored.length > 0) {
+        return stored.map(({ page, text }) => ({ page, text }));
+    }
+
+    const text = document.extractedText || '';
+    const offsets = document.pageOffsets;
+
+    if (!Array.isArray(offsets) || offsets.length === 0) {
+        return [{ page: null, text }];
+    }
+
+    return offsets.map((start, index) => ({
+        page: index + 1,
+        text: text.slice(start, offsets[index + 1] ?? text.length).trim()
+    }));
+}
+
+/**
+ * Marcador de página usado no texto enviado ao modelo
+ * @param {number} [documentNumber] - Posição do documento no resumo integrado
+ */
+export function pageMarker(page, documentNumber) {
+    return documentNumber ? `[Doc ${documentNumber}, p. ${page}]` : `[p. ${page}]`;
+}
+
+/**
+ * Texto do documento com o marcador no início de cada página
+ * e as tabelas da página em Markdown
+ * @returns {string|null} null quando o documento não tem páginas numeradas
+ */
+export function markPages(document, documentNumber) {
+    const pages = getDocumentPages(document).filter(({ text }) => text);
+    if (pages.length === 0 || pages[0].page === null) return null;
+
+    const tables = new Map();
+    for (const table of db.findDocumentTables(document.id)) {
+        if (!tables.has(table.page)) tables.set(table.page, []);
+        tables.get(table.page).push(table);
+    }
+
+    return pages
+        .map(({ page, text }) => `${pageMarker(page, documentNumber)} ${withMarkdownTables(text, tables.get(page))}`)
+        .join('\n\n');
+}
+
+function citedPages(list) {
+    const pages = [];
+    for (const part of list.split(',')) {
+        const [start, end = start] = part.split(/[-–]/).map(value => parseInt(value));
+        if (end >= start && end - start < MAX_RANGE_PAGES) {
+            for (let page = start; page <= end; page++) pages.push(page);
+        } else {
+            pages.push(start, end);
+        }
+    }
+    return pages;
+}
+
+/**
+ * Citações de página ([p. N], [Doc K, p. N]) de um texto gerado
+ * @param {string} content - Resumo gerado
+ * @param {Array} documents - Documentos resumidos, na ordem usada nos marcadores
+ * @returns {Array<{ documentId, documentName, page, count }>}
+ */
+export function parsePageCitations(content, documents) {
+    const counts = new Map();
+
+    for (const match of content.matchAll(CITATION_PATTERN)) {
+        const documentIndex = match[1] ? parseInt(match[1]) - 1 : 0;
+        const document = documents[documentIndex];
+        if (!document) continue;
+
+        for (const page of citedPages(match[2])) {
+            if (page < 1 || (document.pageCount && page > document.pageCount)) continue;
+            const key = `${documentIndex}:${page}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+
+    return [...counts]
+        .map(([key, count]) => {
+            const [documentIndex, page] = key.split(':').map(Number);
+            return { documentIndex, page, count };
+        })
+        .sort((a, b) => a.documentIndex - b.documentIndex || a.page - b.page)
+        .map(({ documentIndex, page, count }) => ({
+            documentId: documents[documentIndex].id,
+            documentName: documents[documentIndex].originalName,
+            page,
+            count
+        }));
+}
+
+export default { getDocumentPages, pageMarker, markPages, parsePageCitations };
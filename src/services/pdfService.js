@@ -1,18 +1,47 @@
 import { PDFLoader } from '@langchain/community/document_loaders/fs/pdf';
 import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
+import { countTokens } from '../config/langchain.js';
+import { recognizeMissingPages } from './ocrService.js';
+import { readPageItems, extractPdfStructure } from './pdfStructureService.js';
+import { detectTables } from './tableService.js';
+
+/**
+ * pdf.js usado pelo PDFLoader (a mesma build do padrão), guardando o
+ * documento aberto para ler metadados e estrutura sem abrir o arquivo de novo
+ */
+function pdfjsWithCapture(onOpen) {
+    return async () => {
+        const { default: pdfjs } = await import('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+        return {
+            version: pdfjs.version,
+            getDocument: (params) => {
+                const task = pdfjs.getDocument(params);
+                task.promise.then(pdf => onOpen(pdf, params.data), () => {});
+                return task;
+            }
+        };
+    };
+}
 
 /**
  * Carrega e extrai texto de um PDF usando LangChain PDFLoader
+ * Páginas sem camada de texto (digitalizadas) passam pelo OCR local.
+ * Metadados, sumário e títulos vêm de services/pdfStructureService.js e as
+ * tabelas, de services/tableService.js.
  * @param {string} filePath - Caminho do arquivo PDF
- * @returns {Promise<{text: string, pages: number, documents: Array, metadata: object}>}
+ * @param {object} [options] - { onProgress } (progresso do OCR)
+ * @returns {Promise<{text: string, pages: number, pageTexts: string[], pageOffsets: number[], ocr: {status: string|null, pages: Array<{page: number, confidence: number|null}>}, documents: Array, metadata: object, outline: Array, headings: Array, tables: Array}>}
  */
-export async function loadAndExtractPDF(filePath) {
+export async function loadAndExtractPDF(filePath, options = {}) {
     console.log(`[PDFService] Loading PDF: ${filePath}`);
     
     try {
+        let opened = null;
+
         // Usar PDFLoader do LangChain
         const loader = new PDFLoader(filePath, {
             splitPages: true,  // Divide por páginas
+            pdfjs: pdfjsWithCapture((pdf, data) => { opened = { pdf, data }; })
         });
 
         // Carregar documentos
@@ -20,20 +49,59 @@ export async function loadAndExtractPDF(filePath) {
         
         console.log(`[PDFService] Loaded ${docs.length} pages`);
 
-        // Combinar texto de todas as páginas
-        const fullText = docs.map(doc => doc.pageContent).join('\n\n');
-        
-        // Extrair metadados do primeiro documento
-        const metadata = docs[0]?.metadata || {};
+        // Metadados, estrutura e tabelas: uma falha aqui não impede a extração do texto
+        let structure = null;
+        let tables = [];
+        if (opened) {
+            try {
+                const pageItems = await readPageItems(opened.pdf);
+                structure = await extractPdfStructure(opened.pdf, pageItems, opened.data);
+                tables = detectTables(pageItems);
+                console.log(`[PDFService] Detected ${tables.length} tables`);
+            } catch (error) {
+                console.error(`[PDFService] Error reading PDF structure:`, error.message);
+            }
+            opened.pdf.destroy();
+        }
+
+        // Texto de cada página pelo número real: o loader pula páginas sem
+        // texto, que ficam vazias para a numeração não se deslocar
+        const totalPages = Math.max(docs[0]?.metadata?.pdf?.totalPages || 0, docs.length);
+        const pageTexts = new Array(totalPages).fill('');
+        docs.forEach((doc, index) => {
+            const pageNumber = doc.metadata?.loc?.pageNumber || index + 1;
+            pageTexts[pageNumber - 1] = cleanText(doc.pageContent);
+        });
 
+        // Páginas com pouco ou nenhum texto: OCR
+        const ocr = await recognizeMissingPages(filePath, pageTexts, { onProgress: options.onProgress });
+        for (const { page, text } of ocr.pages) {
+            const recognized = cleanText(text);
+            if (recognized) pageTexts[page - 1] = recognized;
+        }
+
+        // Combinar texto de todas as páginas, guardando onde cada uma começa
+        const pageOffsets = [];
+        let offset = 0;
+        for (const pageText of pageTexts) {
+            pageOffsets.push(offset);
+            offset += pageText.length + 2;
+        }
+        
         return {
-            text: cleanText(fullText),
-            pages: docs.length,
+            text: pageTexts.join('\n\n'),
+            pages: totalPages,
+            pageTexts,
+            pageOffsets,
+            ocr: {
+                status: ocr.status,
+                pages: ocr.pages.map(({ page, confidence }) => ({ page, confidence }))
+            },
             documents: docs,
-            metadata: {
-                source: metadata.source,
-                pdf: metadata.pdf,
-            }
+            metadata: structure?.metadata || {},
+            outline: structure?.outline || [],
+            headings: structure?.headings || [],
+            tables
         };
     } catch (error) {
         console.error(`[PDFService] Error loading PDF:`, error.message);
@@ -135,14 +203,14 @@ export function truncateText(text, maxLength = 100000) {
 }
 
 /**
- * Estima o número de tokens em um texto
- * Aproximação: ~4 caracteres por token para português/inglês
- * @param {string} text - Texto para estimar
+ * Conta o número de tokens em um texto com o tokenizer do modelo
+ * @param {string} text - Texto para contar
+ * @param {string} [model] - Modelo (padrão: DEFAULT_MODEL)
  * @returns {number}
  */
-export function estimateTokens(text) {
+export function estimateTokens(text, model) {
     if (!text) return 0;
-    return Math.ceil(text.length / 4);
+    return countTokens(text, model);
 }
 
 export default {
@@ -0,0 +1,284 @@
+/**
+ * Metadados e estrutura de PDFs
+ * Lê do documento já aberto pelo pdf.js: propriedades (autor, título, datas,
+ * produtor, idioma), o sumário (outline/bookmarks) e os títulos detectados
+ * pelo tamanho da fonte. Também normaliza os metadados dos outros formatos,
+ * para todos os documentos terem os mesmos campos.
+ */
+
+// Limites do que é salvo no documento
+const MAX_OUTLINE_ITEMS = 500;
+const MAX_OUTLINE_DEPTH = 6;
+const MAX_HEADINGS = 300;
+const MAX_HEADING_LENGTH = 150;
+const MAX_FIELD_LENGTH = 500;
+
+// Linha é título quando a fonte é ao menos 15% maior que a do corpo do texto
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LEVELS = 3;
+
+export const METADATA_FIELDS = [
+    'title', 'author', 'subject', 'keywords', 'creator', 'producer',
+    'creationDate', 'modificationDate', 'language'
+];
+
+function cleanField(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.replace(/\0/g, '').replace(/\s+/g, ' ').trim();
+    return text ? text.slice(0, MAX_FIELD_LENGTH) : null;
+}
+
+function isoDate(value) {
+    const date = new Date(value);
+    return value && !isNaN(date) ? date.toISOString() : null;
+}
+
+/**
+ * Converte datas do PDF (D:AAAAMMDDHHmmSS+HH'mm') para ISO
+ * @returns {string|null}
+ */
+export function parsePdfDate(value) {
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(
+        /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?\s*([Zz+-])?\s*(\d{2})?'?(\d{2})?'?/
+    );
+    if (!match) return isoDate(value);
+
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHour = '00', offsetMinute = '00'] = match;
+    const utc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+    const offset = sign === '+' || sign === '-'
+        ? (sign === '+' ? 1 : -1) * (+offsetHour * 60 + +offsetMinute) * 60000
+        : 0;
+
+    return isNaN(utc) ? null : new Date(utc - offset).toISOString();
+}
+
+/**
+ * Mantém só os campos conhecidos, com texto limpo e datas em ISO
+ */
+export function normalizeMetadata(values = {}) {
+    const metadata = {};
+    for (const field of METADATA_FIELDS) {
+        const value = field.endsWith('Date') ? isoDate(values[field]) : cleanField(values[field]);
+        if (value) metadata[field] = value;
+    }
+    return metadata;
+}
+
+/**
+ * Idioma declarado no catálogo do PDF (/Lang)
+ * O pdf.js 1.x não expõe o catálogo; quando o catálogo está comprimido em
+ * um object stream, o idioma não é encontrado.
+ */
+function catalogLanguage(data) {
+    if (!data) return null;
+    const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    const index = buffer.indexOf('/Lang');
+    if (index === -1) return null;
+
+    const match = buffer.toString('latin1', index, index + 64).match(/^\/Lang\s*\(([^)]{1,35})\)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Metadados do PDF: dicionário Info, com o XMP e o catálogo como reserva
+ */
+async function readMetadata(pdf, data) {
+    const meta = await pdf.getMetadata().catch(() => null);
+    const info = meta?.info || {};
+    const xmp = meta?.metadata?.getAll?.() || {};
+    const xmpValue = (...keys) => keys.map(key => xmp[key]).find(value => typeof value === 'string') || null;
+
+    return normalizeMetadata({
+        title: info.Title || xmpValue('dc:title'),
+        author: info.Author || xmpValue('dc:creator'),
+        subject: info.Subject || xmpValue('dc:description'),
+        keywords: info.Keywords || xmpValue('pdf:keywords'),
+        creator: info.Creator || xmpValue('xmp:creatortool', 'xap:creatortool'),
+        producer: info.Producer || xmpValue('pdf:producer'),
+        creationDate: parsePdfDate(info.CreationDate) || xmpValue('xmp:createdate', 'xap:createdate'),
+        modificationDate: parsePdfDate(info.ModDate) || xmpValue('xmp:modifydate', 'xap:modifydate'),
+        language: info.Language || xmpValue('dc:language') || catalogLanguage(data)
+    });
+}
+
+/**
+ * Página de destino de um item do sumário (destino nomeado ou explícito)
+ */
+async function destinationPage(pdf, dest) {
+    try {
+        const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+        const target = Array.isArray(explicit) ? explicit[0] : null;
+
+        if (target && typeof target === 'object') return await pdf.getPageIndex(target) + 1;
+        if (Number.isInteger(target)) return target + 1;
+    } catch {
+        // Destino quebrado: o item fica sem página
+    }
+    return null;
+}
+
+/**
+ * Sumário (bookmarks) do PDF como árvore { title, page, items }
+ */
+async function readOutline(pdf) {
+    const outline = await pdf.getOutline().catch(() => null);
+    if (!outline?.length) return [];
+
+    let count = 0;
+    const walk = async (items, depth) => {
+        const nodes = [];
+        for (const item of items) {
+            if (count >= MAX_OUTLINE_ITEMS) break;
+            const title = cleanField(item.title);
+            if (!title) continue;
+
+            count++;
+            nodes.push({
+                title,
+                page: await destinationPage(pdf, item.dest),
+                items: depth < MAX_OUTLINE_DEPTH && item.items?.length ? await walk(item.items, depth + 1) : []
+            });
+        }
+        return nodes;
+    };
+
+    return walk(outline, 1);
+}
+
+/**
+ * Itens de texto de cada página com posição e tamanho da fonte
+ * Lidos uma vez e usados pelos títulos e pela detecção de tabelas.
+ * @returns {Promise<Array<Array<{ str: string, x: number, y: number, width: number, size: number }>>>}
+ */
+export async function readPageItems(pdf) {
+    const pages = [];
+
+    for (let number = 1; number <= pdf.numPages; number++) {
+        const content = await pdf.getPage(number)
+            .then(page => page.getTextContent())
+            .catch(() => ({ items: [] }));
+
+        pages.push(content.items.filter(item => 'str' in item).map(item => ({
+            str: item.str,
+            x: item.transform[4],
+            y: item.transform[5],
+            width: item.width || 0,
+            size: Math.round((item.height || Math.hypot(item.transform[2], item.transform[3])) * 10) / 10
+        })));
+    }
+
+    return pages;
+}
+
+/**
+ * Linhas de uma página como o PDFLoader as monta: na ordem do conteúdo,
+ * com uma linha nova a cada mudança de altura (y)
+ * text é a linha como fica no texto extraído (ver cleanText)
+ * @returns {Array<{ y: number, size: number, text: string, items: Array }>}
+ */
+export function pageLines(items) {
+    const lines = [];
+    let current = null;
+
+    for (const item of items) {
+        if (!current || current.y !== item.y) {
+            current = { y: item.y, size: item.size, raw: '', items: [] };
+            lines.push(current);
+        }
+        current.raw += item.str;
+        current.size = Math.max(current.size, item.size);
+        current.items.push(item);
+    }
+
+    return lines
+        .map(({ raw, ...line }) => ({ ...line, text: raw.replace(/\s+/g, ' ').trim() }))
+        .filter(line => line.text);
+}
+
+function looksLikeHeading(text) {
+    return text.length >= 2
+        && text.length <= MAX_HEADING_LENGTH
+        && /\p{L}/u.test(text)
+        && !/[.,;]$/.test(text)
+        && text.split(' ').length <= 20;
+}
+
+/**
+ * Títulos detectados: linhas curtas com fonte maior que a do corpo do texto
+ * O nível vem da posição do tamanho entre os tamanhos de título (maior = 1).
+ * Textos repetidos em mais da metade das páginas (cabeçalhos) são ignorados.
+ */
+function detectHeadings(pageItems) {
+    const pages = [];
+    const sizeChars = new Map();
+
+    pageItems.forEach((items, index) => {
+        const lines = pageLines(items);
+        pages.push({ number: index + 1, lines });
+        for (const { size, text } of lines) {
+            sizeChars.set(size, (sizeChars.get(size) || 0) + text.length);
+        }
+    });
+
+    // Tamanho do corpo: o que tem mais caracteres
+    const bodySize = [...sizeChars].sort((a, b) => b[1] - a[1])[0]?.[0];
+    if (!bodySize) return [];
+
+    const candidates = [];
+    for (const { number, lines } of pages) {
+        let previous = null;
+        for (const { size, text } of lines) {
+            if (size < bodySize * HEADING_SIZE_RATIO || !looksLikeHeading(text)) {
+                previous = null;
+                continue;
+            }
+
+            // Título quebrado em várias linhas com a mesma fonte
+            if (previous && previous.size === size && previous.text.length + text.length < MAX_HEADING_LENGTH) {
+                previous.text += ` ${text}`;
+                continue;
+            }
+
+            previous = { page: number, size, text };
+            candidates.push(previous);
+        }
+    }
+
+    const pagesByText = new Map();
+    for (const { page, text } of candidates) {
+        if (!pagesByText.has(text)) pagesByText.set(text, new Set());
+        pagesByText.get(text).add(page);
+    }
+    const repeated = (text) => pages.length >= 4 && pagesByText.get(text).size > pages.length / 2;
+
+    const sizes = [...new Set(candidates.map(c => c.size))].sort((a, b) => b - a);
+
+    return candidates
+        .filter(({ text }) => !repeated(text))
+        .slice(0, MAX_HEADINGS)
+        .map(({ page, size, text }) => ({
+            level: Math.min(sizes.indexOf(size) + 1, MAX_HEADING_LEVELS),
+            text,
+            page
+        }));
+}
+
+/**
+ * Metadados, sumário e títulos de um PDF aberto pelo pdf.js
+ * @param {object} pdf - PDFDocumentProxy
+ * @param {Array} pageItems - Itens de texto de cada página (readPageItems)
+ * @param {Uint8Array} [data] - Bytes do arquivo (para o idioma do catálogo)
+ * @returns {Promise<{ metadata: object, outline: Array, headings: Array }>}
+ */
+export async function extractPdfStructure(pdf, pageItems, data) {
+    const [metadata, outline] = await Promise.all([
+        readMetadata(pdf, data),
+        readOutline(pdf)
+    ]);
+
+    return { metadata, outline, headings: detectHeadings(pageItems) };
+}
+
+export default { METADATA_FIELDS, parsePdfDate, normalizeMetadata, readPageItems, pageLines, extractPdfStructure };
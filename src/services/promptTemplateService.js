@@ -0,0 +1,155 @@
+import { parseFString } from '@langchain/core/prompts';
+
+/**
+ * Templates de prompt personalizados
+ * Cada usuário pode salvar prompts próprios para as etapas da sumarização.
+ * Etapas não preenchidas continuam usando os prompts do estilo escolhido.
+ *
+ * Os prompts usam a sintaxe f-string do LangChain: {variavel}; para chaves
+ * literais use {{ e }}.
+ */
+
+export const PROMPT_STEPS = {
+    single: {
+        description: 'Resumo de um documento em uma única chamada',
+        required: ['text'],
+        optional: ['language']
+    },
+    multiple: {
+        description: 'Resumo integrado de vários documentos (na sumarização hierárquica, recebe os resumos individuais)',
+        required: ['documents'],
+        optional: ['count', 'language']
+    },
+    map: {
+        description: 'Resumo de cada trecho de um documento grande (MapReduce)',
+        required: ['text'],
+        optional: ['language']
+    },
+    combine: {
+        description: 'Combinação dos resumos dos trechos (MapReduce)',
+        required: ['text'],
+        optional: ['language']
+    }
+};
+
+export const MAX_NAME_LENGTH = 100;
+export const MAX_DESCRIPTION_LENGTH = 500;
+export const MAX_PROMPT_LENGTH = 20000;
+
+/**
+ * Variáveis usadas em um prompt
+ * @throws {Error} Se as chaves estiverem desbalanceadas
+ */
+function templateVariables(prompt) {
+    return [...new Set(
+        parseFString(prompt)
+            .filter(node => node.type === 'variable')
+            .map(node => node.name)
+    )];
+}
+
+/**
+ * Valida o prompt de uma etapa
+ * @returns {string|null} Mensagem de erro
+ */
+export function validateStepPrompt(step, prompt) {
+    const { required, optional } = PROMPT_STEPS[step];
+
+    if (typeof prompt !== 'string' || prompt.trim().length === 0) {
+        return `Prompt da etapa ${step} deve ser um texto não vazio`;
+    }
+
+    if (prompt.length > MAX_PROMPT_LENGTH) {
+        return `Prompt da etapa ${step} excede ${MAX_PROMPT_LENGTH} caracteres`;
+    }
+
+    let variables;
+    try {
+        variables = templateVariables(prompt);
+    } catch (error) {
+        return `Prompt da etapa ${step} inválido: ${error.message} Use {{ e }} para chaves literais.`;
+    }
+
+    const missing = required.filter(name => !variables.includes(name));
+    if (missing.length > 0) {
+        return `Prompt da etapa ${step} deve conter ${missing.map(name => `{${name}}`).join(', ')}`;
+    }
+
+    const allowed = [...required, ...optional];
+    const unknown = variables.filter(name => !allowed.includes(name));
+    if (unknown.length > 0) {
+        return `Variáveis não suportadas na etapa ${step}: ${unknown.map(name => `{${name}}`).join(', ')}. ` +
+            `Permitidas: ${allowed.map(name => `{${name}}`).join(', ')}`;
+    }
+
+    return null;
+}
+
+/**
+ * Valida os campos de criação/atualização de um template
+ * Etapas com valor null ou '' são removidas do template.
+ * @param {object} input - { name, description, single, multiple, map, combine }
+ * @param {object} [current] - Template existente (atualização parcial)
+ * @returns {{ fields: object } | { error: string }}
+ */
+export function validatePromptTemplate(input, current = null) {
+    const fields = {};
+
+    if (input.name !== undefined || !current) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name) {
+            return { error: 'Nome do template é obrigatório' };
+        }
+        if (name.length > MAX_NAME_LENGTH) {
+            return { error: `Nome do template excede ${MAX_NAME_LENGTH} caracteres` };
+        }
+        fields.name = name;
+    }
+
+    if (input.description !== undefined) {
+        if (input.description !== null && typeof input.description !== 'string') {
+            return { error: 'Descrição do template deve ser um texto' };
+        }
+        const description = input.description?.trim() || null;
+        if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: `Descrição do template excede ${MAX_DESCRIPTION_LENGTH} caracteres` };
+        }
+        fields.description = description;
+    }
+
+    for (const step of Object.keys(PROMPT_STEPS)) {
+        const prompt = input[step];
+        if (prompt === undefined) continue;
+
+        if (prompt === null || prompt === '') {
+            fields[step] = null;
+            continue;
+        }
+
+        const error = validateStepPrompt(step, prompt);
+        if (error) {
+            return { error };
+        }
+        fields[step] = prompt;
+    }
+
+    const steps = Object.keys(PROMPT_STEPS).filter(step =>
+        fields[step] !== undefined ? fields[step] : current?.[step]
+    );
+    if (steps.length === 0) {
+        return { error: `Informe o prompt de pelo menos uma etapa: ${Object.keys(PROMPT_STEPS).join(', ')}` };
+    }
+
+    return { fields };
+}
+
+/**
+ * Indica se a atualização altera algum prompt (e, portanto, a versão)
+ */
+export function changesPrompts(current, fields) {
+    return Object.keys(PROMPT_STEPS).some(step =>
+        fields[step] !== undefined && (fields[step] || null) !== (current[step] || null)
+    );
+}
+
+export default { PROMPT_STEPS, MAX_NAME_LENGTH, MAX_DESCRIPTION_LENGTH, MAX_PROMPT_LENGTH, validateStepPrompt, validatePromptTemplate, changesPrompts };
@@ -0,0 +1,85 @@
+import db from '../config/database.js';
+import { searchSimilar } from './vectorService.js';
+import { answerQuestion } from './langchainService.js';
+import { USAGE_KINDS, meterUsage } from './quotaService.js';
+import { DEFAULT_MODEL } from '../config/langchain.js';
+
+/**
+ * Perguntas sobre os documentos (RAG)
+ * Recupera os trechos mais parecidos com a pergunta, numera-os como fontes
+ * e gera a resposta citando-as. Usado pelas perguntas avulsas
+ * (POST /api/documents/ask) e pelas conversas (/api/conversations).
+ * Os tokens da resposta entram na cota mensal do usuário (ver services/quotaService.js).
+ */
+
+export const MAX_QUESTION_LENGTH = 2000;
+
+// Limite de trechos (k) por pergunta
+export const MAX_SOURCES = 20;
+
+/**
+ * Texto usado na busca dos trechos
+ * Em uma conversa, perguntas de acompanhamento ("e o prazo?") dependem da
+ * anterior, então a última pergunta do usuário entra junto na busca.
+ */
+function retrievalQuery(question, history) {
+    const previous = history.findLast(message => message.role === 'user');
+    return previous ? `${previous.content}\n${question}` : question;
+}
+
+/**
+ * Responde a pergunta com os trechos dos documentos do usuário
+ * @param {string} userId - Dono dos documentos
+ * @param {string} question - Pergunta (já validada)
+ * @param {object} [options] - { documentIds, k, model, language, history, kind }
+ *   kind: tipo de uso registrado nas cotas (USAGE_KINDS; padrão: pergunta avulsa)
+ * @returns {Promise<object|null>} Resposta com citações e fontes, ou null se não houver trechos indexados
+ */
+export async function askQuestion(userId, question, options = {}) {
+    const { documentIds, k = 5, model = DEFAULT_MODEL, language, history = [], kind = USAGE_KINDS.QUESTION } = options;
+
+    const chunks = await searchSimilar(userId, retrievalQuery(question, history), { k, documentIds });
+    if (chunks.length === 0) return null;
+
+    const names = new Map();
+    const sources = chunks.map((chunk, index) => {
+        if (!names.has(chunk.documentId)) {
+            names.set(chunk.documentId, db.findDocumentById(chunk.documentId)?.originalName || 'Documento removido');
+        }
+        return { source: index + 1, documentName: names.get(chunk.documentId), ...chunk };
+    });
+
+    const result = await meterUsage(userId, kind, model, (onUsage) =>
+        answerQuestion(question, sources, { model, language, history, onUsage })
+    );
+
+    return {
+        answer: result.answer,
+        citations: result.citations.map(({ source, count }) => ({
+            source,
+            documentId: sources[source - 1].documentId,
+            documentName: sources[source - 1].documentName,
+            page: sources[source - 1].page,
+            count
+        })),
+        sources: sources.map(s => ({
+            source: s.source,
+            documentId: s.documentId,
+            documentName: s.documentName,
+            page: s.page,
+            chunkIndex: s.chunkIndex,
+            score: s.score,
+            text: s.text
+        })),
+        model: result.model,
+        language: result.language,
+        tokensUsed: result.tokensUsed,
+        promptTokens: result.promptTokens,
+        completionTokens: result.completionTokens,
+        usageSource: result.usageSource,
+        estimatedCost: result.estimatedCost,
+        processingTime: result.processingTime
+    };
+}
+
+export default { MAX_QUESTION_LENGTH, MAX_SOURCES, askQuestion };
@@ -0,0 +1,232 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../config/database.js';
+import { JOB_TYPES } from '../jobs/index.js';
+
+/**
+ * Cotas de uso por usuário
+ * Limita o uso do provedor de LLM para controlar o custo: os resumos têm as
+ * três cotas; as perguntas sobre os documentos (avulsas ou em conversas) só
+ * a de tokens por mês, mas os tokens delas também entram nela. Um limite 0 desativa a cota correspondente.
+ *
+ * O uso vem do registro de uso (coleção `usageLedger`), que só recebe
+ * inserções: cada geração grava uma entrada, inclusive as que falham (com os
+ * tokens gastos até a falha), e apagar resumos não devolve a cota.
+ *
+ * Variáveis de ambiente:
+ * - QUOTA_SUMMARIES_PER_DAY: resumos por dia, UTC (padrão 50)
+ * - QUOTA_TOKENS_PER_MONTH: tokens por mês, UTC (padrão 500000)
+ * - QUOTA_CONCURRENT_JOBS: gerações simultâneas, jobs + streams (padrão 2)
+ */
+
+const envLimit = (value, fallback) => {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+export const QUOTA_LIMITS = {
+    summariesPerDay: envLimit(process.env.QUOTA_SUMMARIES_PER_DAY, 50),
+    tokensPerMonth: envLimit(process.env.QUOTA_TOKENS_PER_MONTH, 500000),
+    concurrentJobs: envLimit(process.env.QUOTA_CONCURRENT_JOBS, 2)
+};
+
+// Tipos de uso registrados
+export const USAGE_KINDS = {
+    SUMMARY: 'summary',
+    QUESTION: 'question',
+    CONVERSATION: 'conversation'
+};
+
+// Streams não viram jobs, então são contados em memória: userId -> quantidade
+const activeStreams = new Map();
+
+function startOfDay(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function startOfMonth(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+/**
+ * Uso atual do usuário e os limites configurados
+ * @param {string} userId - Usuário
+ */
+export function getUsage(userId) {
+    const now = new Date();
+    const dayStart = startOfDay(now);
+    const monthStart = startOfMonth(now);
+
+    const monthUsage = db.findUsageByUserIdSince(userId, monthStart.toISOString());
+    const todaySummaries = monthUsage.filter(entry =>
+        entry.kind === USAGE_KINDS.SUMMARY &&
+        entry.status === 'completed' &&
+        entry.createdAt >= dayStart.toISOString()
+    );
+
+    // Gerações em andamento também contam para a cota diária, senão seria possível enfileirar sem limite
+    const { total: activeJobs } = db.findJobsByUserId(userId, {
+        type: JOB_TYPES.GENERATE_SUMMARY,
+        status: ['queued', 'running']
+    });
+    const streams = activeStreams.get(userId) || 0;
+
+    return {
+        summariesToday: todaySummaries.length + activeJobs + streams,
+        tokensThisMonth: monthUsage.reduce((sum, entry) => sum + (entry.tokensUsed || 0), 0),
+        costThisMonth: Math.round(
+            monthUsage.reduce((sum, entry) => sum + (entry.estimatedCost || 0), 0) * 1_000_000
+        ) / 1_000_000,
+        concurrentJobs: activeJobs + streams,
+        limits: { ...QUOTA_LIMITS },
+        resets: {
+            daily: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000).toISOString(),
+            monthly: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+        }
+    };
+}
+
+/**
+ * Verifica se o usuário pode iniciar uma nova geração
+ * @param {string} userId - Usuário
+ * @param {string} [kind] - Tipo de uso (USAGE_KINDS); só resumos têm cota diária e de simultâneos
+ * @returns {null | { quota: string, limit: number, used: number, resetAt: string|null, error: string }}
+ */
+export function checkQuota(userId, kind = USAGE_KINDS.SUMMARY) {
+    const usage = getUsage(userId);
+    const { limits } = usage;
+    const summary = kind === USAGE_KINDS.SUMMARY;
+
+    if (summary && limits.concurrentJobs > 0 && usage.concurrentJobs >= limits.concurrentJobs) {
+        return {
+            quota: 'concurrentJobs',
+            limit: limits.concurrentJobs,
+            used: usage.concurrentJobs,
+            resetAt: null,
+            error: `Limite de ${limits.concurrentJobs} resumos simultâneos atingido. Aguarde a conclusão dos resumos em andamento.`
+        };
+    }
+
+    if (summary && limits.summariesPerDay > 0 && usage.summariesToday >= limits.summariesPerDay) {
+        return {
+            quota: 'summariesPerDay',
+            limit: limits.summariesPerDay,
+            used: usage.summariesToday,
+            resetAt: usage.resets.daily,
+            error: `Limite diário de ${limits.summariesPerDay} resumos atingido. Tente novamente amanhã.`
+        };
+    }
+
+    if (limits.tokensPerMonth > 0 && usage.tokensThisMonth >= limits.tokensPerMonth) {
+        return {
+            quota: 'tokensPerMonth',
+            limit: limits.tokensPerMonth,
+            used: usage.tokensThisMonth,
+            resetAt: usage.resets.monthly,
+            error: `Limite mensal de ${limits.tokensPerMonth} tokens atingido.`
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Responde 429 quando o usuário passou de uma das cotas
+ * @param {string} [kind] - Tipo de uso (USAGE_KINDS)
+ * @returns {boolean} true quando a resposta foi enviada
+ */
+export function rejectOverQuota(req, res, kind = USAGE_KINDS.SUMMARY) {
+    const exceeded = checkQuota(req.userId, kind);
+    if (!exceeded) return false;
+
+    if (exceeded.resetAt) {
+        const seconds = Math.ceil((new Date(exceeded.resetAt) - Date.now()) / 1000);
+        res.set('Retry-After', String(Math.max(seconds, 1)));
+    }
+
+    res.status(429).json({
+        error: exceeded.error,
+        quota: exceeded.quota,
+        limit: exceeded.limit,
+        used: exceeded.used,
+        resetAt: exceeded.resetAt
+    });
+    return true;
+}
+
+/**
+ * Grava uma entrada no registro de uso
+ * @param {string} userId - Usuário
+ * @param {string} kind - Tipo de uso (USAGE_KINDS)
+ * @param {object} usage - { model, promptTokens, completionTokens, tokensUsed, estimatedCost }
+ * @param {string} status - 'completed' ou 'failed'
+ */
+export function recordUsage(userId, kind, usage, status = 'completed') {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+
+    return db.recordUsage({
+        id: uuidv4(),
+        userId,
+        kind,
+        status,
+        model: usage.model || null,
+        tokensUsed: usage.tokensUsed ?? promptTokens + completionTokens,
+        promptTokens,
+        completionTokens,
+        estimatedCost: usage.estimatedCost || 0
+    });
+}
+
+/**
+ * Executa uma geração registrando o uso, com sucesso ou falha
+ * Na falha, grava os tokens das chamadas que terminaram antes dela.
+ * @param {string} userId - Usuário
+ * @param {string} kind - Tipo de uso (USAGE_KINDS)
+ * @param {string} model - Modelo usado
+ * @param {Function} run - Recebe onUsage (repassar ao langchainService) e devolve o resultado
+ * @returns {Promise<object>} Retorno de run
+ */
+export async function meterUsage(userId, kind, model, run) {
+    const spent = { model, promptTokens: 0, completionTokens: 0, estimatedCost: 0 };
+    const onUsage = (call) => {
+        spent.promptTokens += call.promptTokens || 0;
+        spent.completionTokens += call.completionTokens || 0;
+        spent.estimatedCost += call.estimatedCost || 0;
+    };
+
+    let result;
+    try {
+        result = await run(onUsage);
+    } catch (error) {
+        if (spent.promptTokens + spent.completionTokens > 0) {
+            recordUsage(userId, kind, spent, 'failed');
+        }
+        throw error;
+    }
+
+    recordUsage(userId, kind, { ...result, model: result.model || model });
+    return result;
+}
+
+/**
+ * Registra um stream de resumo em andamento
+ * @returns {Function} Libera a vaga quando o stream termina
+ */
+export function trackStream(userId) {
+    activeStreams.set(userId, (activeStreams.get(userId) || 0) + 1);
+
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+
+        const remaining = (activeStreams.get(userId) || 1) - 1;
+        if (remaining > 0) {
+            activeStreams.set(userId, remaining);
+        } else {
+            activeStreams.delete(userId);
+        }
+    };
+}
+
+export default { QUOTA_LIMITS, USAGE_KINDS, getUsage, checkQuota, rejectOverQuota, recordUsage, meterUsage, trackStream };
@@ -0,0 +1,399 @@
+import db from '../config/database.js';
+
+/**
+ * Busca textual em documentos e resumos
+ * Índice invertido em memória por usuário: montado na primeira busca e
+ * mantido em dia pelos eventos do banco (db.events).
+ *
+ * Campos indexados: nome e texto extraído dos documentos, conteúdo dos resumos.
+ * A comparação ignora acentos e maiúsculas ("ação" encontra "ACAO").
+ * Consulta: termos soltos e frases entre aspas; todos precisam aparecer no item.
+ *
+ * Só os índices dos usuários que buscaram por último ficam em memória; o
+ * menos recente é descartado e remontado do banco se voltar a buscar.
+ *
+ * Variáveis de ambiente:
+ * - SEARCH_INDEX_MAX_USERS: índices mantidos em memória (padrão 100)
+ */
+
+export const MAX_QUERY_LENGTH = 200;
+
+// Ocorrências no nome do documento valem mais que no texto
+const FIELD_WEIGHTS = { originalName: 3, extractedText: 1, content: 1 };
+
+const SNIPPET_RADIUS = 80;
+const MAX_SNIPPETS = 3;
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+const envLimit = (value, fallback) => {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+};
+
+export const MAX_INDEXED_USERS = envLimit(process.env.SEARCH_INDEX_MAX_USERS, 100);
+
+// userId -> { entries: Map<chave, entrada>, postings: Map<termo, Map<chave, posições>> }
+// A ordem de inserção do Map é a ordem de uso: o primeiro é o menos recente
+const indexes = new Map();
+
+/**
+ * Remove acentos e converte para minúsculas
+ */
+export function normalize(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Palavras do texto com a posição (em caracteres) no texto original
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const match of text.matchAll(WORD_PATTERN)) {
+        tokens.push({
+            term: normalize(match[0]),
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return tokens;
+}
+
+/**
+ * Separa a consulta em termos soltos e frases ("...")
+ * @returns {{ terms: string[], phrases: string[][] }}
+ */
+export function parseQuery(query) {
+    const phrases = [];
+    const rest = query.replace(/"([^"]*)"?/g, (_, phrase) => {
+        const terms = tokenize(phrase).map(token => token.term);
+        if (terms.length > 1) phrases.push(terms);
+        else if (terms.length === 1) return ` ${terms[0]} `;
+        return ' ';
+    });
+
+    const terms = [...new Set(tokenize(rest).map(token => token.term))];
+    return { terms, phrases };
+}
+
+function addEntry(index, item, field, text, pageOffsets = null) {
+    if (!text) return;
+
+    const key = `${item.type}:${item.id}:${field}`;
+    const tokens = tokenize(text);
+    const terms = new Set();
+
+    tokens.forEach((token, position) => {
+        let postings = index.postings.get(token.term);
+        if (!postings) {
+            postings = new Map();
+            index.postings.set(token.term, postings);
+        }
+
+        let positions = postings.get(key);
+        if (!positions) {
+            positions = [];
+            postings.set(key, positions);
+        }
+        positions.push(position);
+        terms.add(token.term);
+    });
+
+    index.entries.set(key, {
+        item,
+        field,
+        text,
+        pageOffsets,
+        starts: Int32Array.from(tokens, token => token.start),
+        ends: Int32Array.from(tokens, token => token.end),
+        terms: [...terms]
+    });
+}
+
+function removeItem(index, type, id) {
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+        const key = `${type}:${id}:${field}`;
+        const entry = index.entries.get(key);
+        if (!entry) continue;
+
+        for (const term of entry.terms) {
+            const postings = index.postings.get(term);
+            postings.delete(key);
+            if (postings.size === 0) index.postings.delete(term);
+        }
+        index.entries.delete(key);
+    }
+}
+
+function indexDocument(index, document) {
+    const item = { type: 'document', id: document.id, title: document.originalName, createdAt: document.createdAt };
+    addEntry(index, item, 'originalName', document.originalName);
+    addEntry(index, item, 'extractedText', document.extractedText, document.pageOffsets);
+}
+
+function indexSummary(index, summary) {
+    const item = { type: 'summary', id: summary.id, title: summary.title, createdAt: summary.createdAt };
+    addEntry(index, item, 'content', summary.content);
+}
+
+/**
+ * Índice do usuário (montado a partir do banco na primeira busca)
+ */
+function getIndex(userId) {
+    let index = indexes.get(userId);
+    if (index) {
+        // Move para o fim (mais recente)
+        indexes.delete(userId);
+        indexes.set(userId, index);
+        return index;
+    }
+
+    const startTime = Date.now();
+    index = { entries: new Map(), postings: new Map() };
+
+    const { documents } = db.findDocumentsByUserId(userId, { status: 'processed' });
+    documents.forEach(document => indexDocument(index, document));
+
+    const { summaries } = db.findSummariesByUserId(userId);
+    summaries.forEach(summary => indexSummary(index, summary));
+
+    indexes.set(userId, index);
+    for (const oldest of indexes.keys()) {
+        if (indexes.size <= MAX_INDEXED_USERS) break;
+        indexes.delete(oldest);
+    }
+    console.log(`[Search] Indexed ${documents.length} documents and ${summaries.length} summaries for user ${userId} in ${Date.now() - startTime}ms`);
+
+    return index;
+}
+
+/**
+ * Posições (índice da palavra inicial) onde a frase ocorre, por entrada
+ * @param {string[]} phrase - Termos normalizados (um termo = palavra solta)
+ * @returns {Map<string, number[]>}
+ */
+function findPhrase(index, phrase) {
+    const matches = new Map();
+    const first = index.postings.get(phrase[0]);
+    if (!first) return matches;
+
+    const rest = phrase.slice(1).map(term => index.postings.get(term));
+    if (rest.some(postings => !postings)) return matches;
+
+    for (const [key, positions] of first) {
+        const following = rest.map(postings => postings.get(key));
+        if (following.some(list => !list)) continue;
+
+        const sets = following.map(list => new Set(list));
+        const starts = positions.filter(position =>
+            sets.every((set, offset) => set.has(position + offset + 1))
+        );
+        if (starts.length > 0) matches.set(key, starts);
+    }
+
+    return matches;
+}
+
+/**
+ * Página (1-based) de uma posição no texto, a partir do início de cada página
+ */
+function pageAt(pageOffsets, offset) {
+    if (!Array.isArray(pageOffsets) || pageOffsets.length === 0) return null;
+
+    let low = 0;
+    let high = pageOffsets.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (pageOffsets[middle] <= offset) low = middle;
+        else high = middle - 1;
+    }
+    return low + 1;
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Trechos ao redor das ocorrências, com os termos marcados em <mark>
+ * @param {Array<{start: number, end: number}>} ranges - Ocorrências ordenadas
+ */
+function buildSnippets(entry, ranges) {
+    const snippets = [];
+    let coveredUntil = -1;
+
+    for (const range of ranges) {
+        if (snippets.length >= MAX_SNIPPETS) break;
+        if (range.start < coveredUntil) continue;
+
+        let start = Math.max(0, range.start - SNIPPET_RADIUS);
+        let end = Math.min(entry.text.length, range.end + SNIPPET_RADIUS);
+
+        // Não cortar palavras no meio
+        if (start > 0) {
+            const space = entry.text.indexOf(' ', start);
+            if (space !== -1 && space < range.start) start = space + 1;
+        }
+        if (end < entry.text.length) {
+            const space = entry.text.lastIndexOf(' ', end);
+            if (space > range.end) end = space;
+        }
+
+        let html = start > 0 ? '…' : '';
+        let cursor = start;
+        for (const highlight of ranges) {
+            if (highlight.start < cursor || highlight.end > end) continue;
+            html += escapeHtml(entry.text.slice(cursor, highlight.start));
+            html += `<mark>${escapeHtml(entry.text.slice(highlight.start, highlight.end))}</mark>`;
+            cursor = highlight.end;
+        }
+        html += escapeHtml(entry.text.slice(cursor, end));
+        if (end < entry.text.length) html += '…';
+
+        snippets.push({
+            field: entry.field,
+            page: pageAt(entry.pageOffsets, range.start),
+            html: html.replace(/\s+/g, ' ')
+        });
+        // Uma ocorrência cortada no fim do trecho ganha o próprio trecho
+        coveredUntil = cursor;
+    }
+
+    return snippets;
+}
+
+/**
+ * Busca nos documentos e resumos do usuário
+ * @param {string} userId - Dono dos itens
+ * @param {string} query - Termos e/ou frases entre aspas
+ * @param {object} [options] - { type: 'document'|'summary', limit, offset }
+ * @returns {{ terms: string[], phrases: string[][], total: number, results: Array }}
+ */
+export function search(userId, query, options = {}) {
+    const { type, limit = 20, offset = 0 } = options;
+    const { terms, phrases } = parseQuery(query);
+    const clauses = [...terms.map(term => [term]), ...phrases];
+
+    if (clauses.length === 0) {
+        return { terms, phrases, total: 0, results: [] };
+    }
+
+    const index = getIndex(userId);
+
+    // item -> { item, clauses: Set, fields: Map<chave, ocorrências> }
+    const candidates = new Map();
+
+    clauses.forEach((clause, clauseIndex) => {
+        const matches = findPhrase(index, clause);
+        // Peso maior para termos raros (idf por entrada)
+        const idf = Math.log(1 + index.entries.size / Math.max(matches.size, 1));
+
+        for (const [key, starts] of matches) {
+            const entry = index.entries.get(key);
+            if (type && entry.item.type !== type) continue;
+
+            const itemKey = `${entry.item.type}:${entry.item.id}`;
+            let candidate = candidates.get(itemKey);
+            if (!candidate) {
+                candidate = { item: entry.item, clauses: new Set(), score: 0, fields: new Map() };
+                candidates.set(itemKey, candidate);
+            }
+
+            candidate.clauses.add(clauseIndex);
+            candidate.score += starts.length * FIELD_WEIGHTS[entry.field] * idf;
+
+            const occurrences = candidate.fields.get(key) || [];
+            for (const start of starts) {
+                occurrences.push({ start: entry.starts[start], end: entry.ends[start + clause.length - 1] });
+            }
+            candidate.fields.set(key, occurrences);
+        }
+    });
+
+    const matching = [...candidates.values()]
+        .filter(candidate => candidate.clauses.size === clauses.length)
+        .sort((a, b) => b.score - a.score || b.item.createdAt.localeCompare(a.item.createdAt));
+
+    const results = matching.slice(offset, offset + limit).map(candidate => {
+        const matches = {};
+        const pages = new Map();
+        let snippets = [];
+
+        // Trechos do texto primeiro; o nome só aparece se não houver outro
+        const fields = [...candidate.fields].sort(([a], [b]) =>
+            (a.endsWith(':originalName') ? 1 : 0) - (b.endsWith(':originalName') ? 1 : 0)
+        );
+
+        for (const [key, occurrences] of fields) {
+            const entry = index.entries.get(key);
+            occurrences.sort((a, b) => a.start - b.start);
+            matches[entry.field] = occurrences.length;
+
+            if (entry.pageOffsets) {
+                for (const occurrence of occurrences) {
+                    const page = pageAt(entry.pageOffsets, occurrence.start);
+                    pages.set(page, (pages.get(page) || 0) + 1);
+                }
+            }
+
+            if (snippets.length === 0) {
+                snippets = buildSnippets(entry, occurrences);
+            }
+        }
+
+        return {
+            type: candidate.item.type,
+            id: candidate.item.id,
+            title: candidate.item.title,
+            score: Math.round(candidate.score * 1000) / 1000,
+            matches,
+            pages: [...pages]
+                .sort(([a], [b]) => a - b)
+                .map(([page, hits]) => ({ page, hits })),
+            snippets,
+            createdAt: candidate.item.createdAt
+        };
+    });
+
+    return { terms, phrases, total: matching.length, results };
+}
+
+// Eventos do banco -> índice (só para usuários com índice já montado)
+db.events.on('document:status', ({ userId, document }) => {
+    const index = indexes.get(userId);
+    if (!index) return;
+
+    removeItem(index, 'document', document.id);
+    if (document.status === 'processed') {
+        indexDocument(index, document);
+    }
+});
+
+db.events.on('document:deleted', ({ userId, documentId }) => {
+    const index = indexes.get(userId);
+    if (index) removeItem(index, 'document', documentId);
+});
+
+db.events.on('summary:created', ({ userId, summary }) => {
+    const index = indexes.get(userId);
+    if (index) indexSummary(index, summary);
+});
+
+db.events.on('summary:updated', ({ userId, summary }) => {
+    const index = indexes.get(userId);
+    if (!index) return;
+
+    removeItem(index, 'summary', summary.id);
+    indexSummary(index, summary);
+});
+
+db.events.on('summary:deleted', ({ userId, summaryId }) => {
+    const index = indexes.get(userId);
+    if (index) removeItem(index, 'summary', summaryId);
+});
+
+export default { MAX_QUERY_LENGTH, MAX_INDEXED_USERS, normalize, parseQuery, search };
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../config/database.js';
+import { PROMPT_VERSION, SUMMARY_TEMPERATURE } from './langchainService.js';
+
+/**
+ * Cache dos resultados de geração de resumo
+ * Pedir o mesmo resumo duas vezes não chama o LLM de novo: a chave combina o
+ * hash do texto enviado ao modelo (com marcadores de página e tabelas), o
+ * modelo, a temperatura, o estilo, o idioma e a versão do prompt (embutido ou
+ * template do usuário). Como a chave depende só do conteúdo, o cache vale entre
+ * usuários, como a extração de arquivos idênticos.
+ *
+ * Resultados em cache continuam virando registros de resumo, com
+ * fromCache: true e sem tokens nem custo (o LLM não foi chamado).
+ *
+ * Variáveis de ambiente:
+ * - SUMMARY_CACHE_TTL_SECONDS: validade das entradas (padrão 604800, 7 dias; 0 desliga o cache)
+ */
+
+const envSeconds = (value, fallback) => {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+export const CACHE_TTL_SECONDS = envSeconds(process.env.SUMMARY_CACHE_TTL_SECONDS, 7 * 24 * 60 * 60);
+
+// Contadores desde o início do processo
+const stats = { hits: 0, misses: 0, bypassed: 0, since: new Date().toISOString() };
+
+export function isCacheEnabled() {
+    return CACHE_TTL_SECONDS > 0;
+}
+
+/**
+ * Chave do cache para uma geração
+ * @param {string|Array<{name: string, text: string}>} input - Texto (individual) ou documentos (integrado)
+ * @param {object} options - { model, style, language, template, citePages, temperature }
+ */
+export function summaryCacheKey(input, options = {}) {
+    const { model, style, language, template, citePages, temperature = SUMMARY_TEMPERATURE } = options;
+
+    const contentHash = crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+    const parts = {
+        contentHash,
+        type: Array.isArray(input) ? 'multiple' : 'single',
+        model,
+        temperature,
+        style,
+        language,
+        citePages: !!citePages,
+        prompt: template ? `template:${template.id}:${template.version}` : `builtin:${PROMPT_VERSION}`
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Resultado em cache ou gerado agora (e guardado)
+ * @param {string} key - Chave (summaryCacheKey)
+ * @param {Function} generate - Gera o resumo quando não há entrada válida
+ * @param {object} [options] - { fresh, onToken }
+ *   fresh: ignora a entrada existente e gera de novo (o resultado novo a substitui)
+ *   onToken: recebe o resumo em cache de uma vez, para quem acompanha o streaming
+ * @returns {Promise<object>} Retorno de generate, com fromCache
+ */
+export async function cachedSummary(key, generate, options = {}) {
+    const { fresh = false, onToken } = options;
+
+    if (!isCacheEnabled()) {
+        return { ...await generate(), fromCache: false };
+    }
+
+    const startTime = Date.now();
+    const entry = fresh ? null : db.findSummaryCacheEntry(key);
+
+    if (entry && entry.expiresAt > new Date().toISOString()) {
+        stats.hits++;
+        db.updateSummaryCacheEntry(entry.id, { hits: (entry.hits || 0) + 1 });
+        console.log(`[SummaryCache] Hit ${key.slice(0, 12)} (cached at ${entry.createdAt})`);
+
+        if (typeof onToken === 'function') onToken(entry.result.summary);
+
+        return {
+            ...entry.result,
+            tokensUsed: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            usageSource: 'cache',
+            estimatedCost: 0,
+            processingTime: Date.now() - startTime,
+            fromCache: true
+        };
+    }
+
+    if (fresh) {
+        stats.bypassed++;
+    } else {
+        stats.misses++;
+    }
+
+    const result = await generate();
+
+    db.removeExpiredSummaryCache();
+    db.saveSummaryCacheEntry({
+        id: uuidv4(),
+        key,
+        result,
+        hits: 0,
+        expiresAt: new Date(Date.now() + CACHE_TTL_SECONDS * 1000).toISOString()
+    });
+
+    return { ...result, fromCache: false };
+}
+
+/**
+ * Estatísticas do cache (contadores desde o início do processo)
+ */
+export function getCacheStats() {
+    const lookups = stats.hits + stats.misses;
+
+    return {
+        enabled: isCacheEnabled(),
+        ttlSeconds: CACHE_TTL_SECONDS,
+        entries: db.countSummaryCacheEntries(),
+        hits: stats.hits,
+        misses: stats.misses,
+        bypassed: stats.bypassed,
+        hitRate: lookups > 0 ? Math.round(stats.hits / lookups * 1000) / 1000 : null,
+        since: stats.since
+    };
+}
+
+export default { CACHE_TTL_SECONDS, isCacheEnabled, summaryCacheKey, cachedSummary, getCacheStats };
@@ -0,0 +1,645 @@
+import { Marked } from 'marked';
+import PDFDocument from 'pdfkit';
+import {
+    AlignmentType,
+    BorderStyle,
+    Document,
+    HeadingLevel,
+    LevelFormat,
+    Packer,
+    Paragraph,
+    Table,
+    TableCell,
+    TableRow,
+    TextRun,
+    WidthType
+} from 'docx';
+import { LANGUAGES, getLanguage } from '../config/languages.js';
+
+/**
+ * Exportação de resumos para download
+ * O cabeçalho (título, detalhes, documentos fonte), o conteúdo e o bloco de
+ * metadados são montados uma vez (buildSummaryExport) e cada formato os
+ * desenha: TXT e Markdown como texto; HTML, PDF (pdfkit) e DOCX (docx)
+ * convertendo o Markdown do resumo (marked). Quebras de linha simples do
+ * resumo viram quebras de linha, como no dashboard.
+ *
+ * O PDF usa as fontes padrão (Helvetica/Courier), que cobrem os idiomas
+ * suportados (pt, en, es); símbolos fora do Latin-1 podem não aparecer.
+ */
+
+const markdown = new Marked({ gfm: true, breaks: true });
+
+// Links só para estes protocolos; os demais (javascript:, data:...) viram texto
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+function isSafeLink(href) {
+    try {
+        return SAFE_LINK_PROTOCOLS.includes(new URL(href).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// O conteúdo vem de edições do usuário ou do LLM (guiado pelo texto dos
+// documentos), então o HTML exportado não pode executar nem carregar nada:
+// HTML cru aparece como texto, links perigosos perdem o href e imagens viram
+// o texto alternativo (imagens remotas seriam carregadas ao abrir o arquivo)
+markdown.use({
+    renderer: {
+        html: ({ text }) => escapeHtml(text),
+        link(token) {
+            if (isSafeLink(token.href)) return false;
+            return this.parser.parseInline(token.tokens);
+        },
+        image: ({ text }) => escapeHtml(text)
+    }
+});
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Partes do arquivo exportado, com os rótulos no idioma do resumo
+ * @param {object} summary - Resumo
+ * @param {Array} documents - Documentos fonte ainda existentes
+ */
+export function buildSummaryExport(summary, documents) {
+    const { locale, labels } = getLanguage(summary.language);
+    const styleLabel = summary.style && (labels.styles[summary.style] || summary.style);
+    const languageLabel = summary.language && LANGUAGES[summary.language]?.label;
+
+    const details = [
+        [labels.date, new Date(summary.createdAt).toLocaleString(locale)],
+        [labels.type, summary.type === 'single' ? labels.single : labels.multiple],
+        [labels.model, summary.model]
+    ];
+    if (styleLabel) details.push([labels.style, styleLabel]);
+    if (languageLabel) details.push([labels.language, languageLabel]);
+
+    const metadata = [];
+    if (summary.tokensUsed || summary.processingTime) {
+        if (summary.tokensUsed) metadata.push([labels.tokensUsed, String(summary.tokensUsed)]);
+        if (summary.promptTokens || summary.completionTokens) metadata.push([labels.tokensInOut, `${summary.promptTokens || 0} / ${summary.completionTokens || 0}`]);
+        if (summary.estimatedCost != null) metadata.push([labels.estimatedCost, `US$ ${summary.estimatedCost.toFixed(4)}`]);
+        if (summary.processingTime) metadata.push([labels.processingTime, `${(summary.processingTime / 1000).toFixed(1)}s`]);
+        if (summary.method) metadata.push([labels.method, summary.method]);
+    }
+
+    return {
+        title: summary.title,
+        language: summary.language,
+        labels,
+        details,
+        documents: documents.map(doc => doc.originalName),
+        content: summary.content,
+        metadata
+    };
+}
+
+function renderText(data) {
+    const { title, labels, details, documents, content, metadata } = data;
+
+    let text = `${title}\n`;
+    text += `${'='.repeat(title.length)}\n\n`;
+    text += details.map(([label, value]) => `${label}: ${value}\n`).join('');
+
+    if (documents.length > 0) {
+        text += `\n${labels.sourceDocuments}:\n`;
+        text += documents.map((name, i) => `  ${i + 1}. ${name}\n`).join('');
+    }
+
+    text += `\n${'─'.repeat(50)}\n\n`;
+    text += `${labels.summary.toUpperCase()}:\n\n`;
+    text += content;
+
+    if (metadata.length > 0) {
+        text += `\n\n${'─'.repeat(50)}\n\n`;
+        text += `${labels.metadata}:\n`;
+        text += metadata.map(([label, value]) => `  - ${label}: ${value}\n`).join('');
+    }
+
+    return text;
+}
+
+function renderMarkdown(data) {
+    const { title, labels, details, documents, content, metadata } = data;
+
+    let text = `# ${title}\n\n`;
+    text += details.map(([label, value]) => `**${label}:** ${value}\n`).join('');
+
+    if (documents.length > 0) {
+        text += `\n## ${labels.sourceDocuments}\n\n`;
+        text += documents.map((name, i) => `${i + 1}. ${name}\n`).join('');
+    }
+
+    text += `\n## ${labels.summary}\n\n`;
+    text += content;
+
+    if (metadata.length > 0) {
+        text += `\n\n---\n\n`;
+        text += `**${labels.metadata}:**\n`;
+        text += metadata.map(([label, value]) => `- ${label}: ${value}\n`).join('');
+    }
+
+    return text;
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #1e293b; line-height: 1.6; max-width: 800px; margin: 2rem auto; padding: 0 1.5rem; }
+h1 { font-size: 1.75rem; margin-bottom: 0.5rem; }
+h2 { font-size: 1.25rem; border-bottom: 1px solid #e2e8f0; padding-bottom: 0.25rem; margin-top: 2rem; }
+.details, .metadata { color: #64748b; font-size: 0.9rem; }
+.details p { margin: 0.1rem 0; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border: 1px solid #cbd5e1; padding: 0.35rem 0.6rem; text-align: left; }
+th { background: #f1f5f9; }
+pre, code { font-family: Consolas, 'Courier New', monospace; background: #f1f5f9; }
+pre { padding: 0.75rem; overflow-x: auto; }
+blockquote { border-left: 3px solid #cbd5e1; margin-left: 0; padding-left: 1rem; color: #475569; }
+hr { border: none; border-top: 1px solid #e2e8f0; margin: 2rem 0; }
+`;
+
+function renderHtml(data) {
+    const { title, language, labels, details, documents, content, metadata } = data;
+
+    const sources = documents.length > 0
+        ? `<h2>${escapeHtml(labels.sourceDocuments)}</h2>\n<ol>\n${documents.map(name => `<li>${escapeHtml(name)}</li>`).join('\n')}\n</ol>\n`
+        : '';
+
+    const metadataBlock = metadata.length > 0
+        ? `<hr>\n<div class="metadata">\n<strong>${escapeHtml(labels.metadata)}:</strong>\n<ul>\n${metadata.map(([label, value]) => `<li>${escapeHtml(label)}: ${escapeHtml(value)}</li>`).join('\n')}\n</ul>\n</div>\n`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(language || 'pt')}">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="details">
+${details.map(([label, value]) => `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join('\n')}
+</div>
+${sources}<h2>${escapeHtml(labels.summary)}</h2>
+<div class="summary">
+${markdown.parse(content || '')}</div>
+${metadataBlock}</body>
+</html>
+`;
+}
+
+/**
+ * Trechos de texto com formatação a partir dos tokens inline do Markdown
+ * @returns {Array<{ text: string, bold: boolean, italic: boolean, code: boolean, strike: boolean }>}
+ */
+function inlineRuns(tokens = [], format = {}) {
+    const runs = [];
+
+    for (const token of tokens) {
+        switch (token.type) {
+            case 'strong':
+                runs.push(...inlineRuns(token.tokens, { ...format, bold: true }));
+                break;
+            case 'em':
+                runs.push(...inlineRuns(token.tokens, { ...format, italic: true }));
+                break;
+            case 'del':
+                runs.push(...inlineRuns(token.tokens, { ...format, strike: true }));
+                break;
+            case 'link':
+                runs.push(...inlineRuns(token.tokens, format));
+                break;
+            case 'codespan':
+                runs.push({ ...format, code: true, text: token.text });
+                break;
+            case 'br':
+                runs.push({ ...format, text: '\n' });
+                break;
+            case 'image':
+                runs.push({ ...format, text: token.text || '' });
+                break;
+            default:
+                if (token.tokens) {
+                    runs.push(...inlineRuns(token.tokens, format));
+                } else {
+                    runs.push({ ...format, text: token.text ?? token.raw ?? '' });
+                }
+        }
+    }
+
+    return runs.filter(run => run.text);
+}
+
+// ===== PDF =====
+
+const PDF_FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    italic: 'Helvetica-Oblique',
+    boldItalic: 'Helvetica-BoldOblique',
+    code: 'Courier'
+};
+
+const PDF_BODY_SIZE = 11;
+const PDF_HEADING_SIZES = { 1: 16, 2: 14, 3: 12.5 };
+const PDF_MUTED = '#64748b';
+const PDF_TEXT = '#1e293b';
+const PDF_LINE = '#cbd5e1';
+
+function pdfFont(run) {
+    if (run.code) return PDF_FONTS.code;
+    if (run.bold && run.italic) return PDF_FONTS.boldItalic;
+    if (run.bold) return PDF_FONTS.bold;
+    if (run.italic) return PDF_FONTS.italic;
+    return PDF_FONTS.regular;
+}
+
+/**
+ * Trechos separados por linha (o pdfkit não quebra a linha no meio de um texto "continued")
+ */
+function splitLines(runs) {
+    const lines = [[]];
+    for (const run of runs) {
+        run.text.split('\n').forEach((text, index) => {
+            if (index > 0) lines.push([]);
+            if (text) lines[lines.length - 1].push({ ...run, text });
+        });
+    }
+    return lines;
+}
+
+/**
+ * Escreve trechos formatados em sequência a partir da margem + recuo
+ */
+function pdfRuns(doc, runs, { indent = 0, size = PDF_BODY_SIZE, color = PDF_TEXT, ...base } = {}) {
+    if (runs.length === 0) return;
+
+    const left = doc.page.margins.left + indent;
+    const width = doc.page.width - doc.page.margins.right - left;
+
+    doc.fillColor(color).fontSize(size);
+    for (const line of splitLines(runs)) {
+        if (line.length === 0) {
+            doc.moveDown(1);
+            continue;
+        }
+
+        line.forEach((run, index) => {
+            doc.font(pdfFont({ ...base, ...run }));
+            const options = { width, strike: !!run.strike, continued: index < line.length - 1 };
+            if (index === 0) {
+                doc.text(run.text, left, doc.y, options);
+            } else {
+                doc.text(run.text, options);
+            }
+        });
+    }
+    doc.x = doc.page.margins.left;
+}
+
+function pdfTable(doc, token) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.right - left;
+    const columnWidth = width / token.header.length;
+    const padding = 4;
+    const size = PDF_BODY_SIZE - 1.5;
+
+    const cellText = (cell) => inlineRuns(cell.tokens).map(run => run.text).join('');
+
+    const drawRow = (cells, header) => {
+        const font = header ? PDF_FONTS.bold : PDF_FONTS.regular;
+        doc.font(font).fontSize(size);
+        const texts = cells.map(cellText);
+        const height = Math.max(...texts.map(text => doc.heightOfString(text, { width: columnWidth - padding * 2 }))) + padding * 2;
+
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+
+        const top = doc.y;
+        texts.forEach((text, index) => {
+            const x = left + index * columnWidth;
+            if (header) doc.rect(x, top, columnWidth, height).fill('#f1f5f9');
+            doc.rect(x, top, columnWidth, height).strokeColor(PDF_LINE).lineWidth(0.5).stroke();
+            doc.fillColor(PDF_TEXT).font(font).fontSize(size)
+                .text(text, x + padding, top + padding, { width: columnWidth - padding * 2 });
+        });
+
+        doc.x = left;
+        doc.y = top + height;
+    };
+
+    drawRow(token.header, true);
+    token.rows.forEach(row => drawRow(row, false));
+    doc.moveDown(0.6);
+}
+
+function pdfBlocks(doc, tokens, { indent = 0, italic = false } = {}) {
+    for (const token of tokens) {
+        switch (token.type) {
+            case 'heading':
+                doc.moveDown(0.3);
+                pdfRuns(doc, inlineRuns(token.tokens), {
+                    indent,
+                    size: PDF_HEADING_SIZES[token.depth] || PDF_BODY_SIZE + 0.5,
+                    bold: true
+                });
+                doc.moveDown(0.3);
+                break;
+
+            case 'paragraph':
+            case 'text':
+                pdfRuns(doc, token.tokens ? inlineRuns(token.tokens) : [{ text: token.text }], { indent, italic });
+                doc.moveDown(0.5);
+                break;
+
+            case 'list': {
+                const start = Number(token.start) || 1;
+                token.items.forEach((item, index) => {
+                    const marker = token.ordered ? `${start + index}. ` : '• ';
+                    const [first, ...rest] = item.tokens;
+                    const firstRuns = first && (first.type === 'text' || first.type === 'paragraph')
+                        ? inlineRuns(first.tokens || [{ type: 'text', text: first.text }])
+                        : [];
+
+                    pdfRuns(doc, [{ text: marker }, ...firstRuns], { indent: indent + 12, italic });
+                    pdfBlocks(doc, firstRuns.length > 0 ? rest : item.tokens, { indent: indent + 24, italic });
+                });
+                doc.moveDown(0.4);
+                break;
+            }
+
+            case 'blockquote':
+                pdfBlocks(doc, token.tokens, { indent: indent + 18, italic: true });
+                break;
+
+            case 'code':
+                pdfRuns(doc, [{ text: token.text, code: true }], { indent: indent + 12, size: PDF_BODY_SIZE - 1.5 });
+                doc.moveDown(0.5);
+                break;
+
+            case 'table':
+                pdfTable(doc, token);
+                break;
+
+            case 'hr': {
+                const y = doc.y + 4;
+                doc.moveTo(doc.page.margins.left, y)
+                    .lineTo(doc.page.width - doc.page.margins.right, y)
+                    .strokeColor(PDF_LINE).lineWidth(0.5).stroke();
+                doc.y = y + 8;
+                break;
+            }
+
+            case 'html':
+                pdfRuns(doc, [{ text: token.text }], { indent, italic });
+                doc.moveDown(0.5);
+                break;
+
+            default:
+                break;
+        }
+    }
+}
+
+function renderPdf(data) {
+    const { title, labels, details, documents, content, metadata } = data;
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: title } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        pdfRuns(doc, [{ text: title, bold: true }], { size: 20 });
+        doc.moveDown(0.5);
+
+        for (const [label, value] of details) {
+            pdfRuns(doc, [{ text: `${label}: `, bold: true }, { text: value }], { size: PDF_BODY_SIZE - 1, color: PDF_MUTED });
+        }
+
+        if (documents.length > 0) {
+            doc.moveDown(0.8);
+            pdfRuns(doc, [{ text: labels.sourceDocuments, bold: true }], { size: PDF_HEADING_SIZES[2] });
+            doc.moveDown(0.3);
+            documents.forEach((name, i) => pdfRuns(doc, [{ text: `${i + 1}. ${name}` }], { indent: 12 }));
+        }
+
+        doc.moveDown(0.8);
+        pdfRuns(doc, [{ text: labels.summary, bold: true }], { size: PDF_HEADING_SIZES[2] });
+        doc.moveDown(0.3);
+        pdfBlocks(doc, markdown.lexer(content || ''));
+
+        if (metadata.length > 0) {
+            pdfBlocks(doc, [{ type: 'hr' }]);
+            pdfRuns(doc, [{ text: `${labels.metadata}:`, bold: true }], { size: PDF_BODY_SIZE - 1, color: PDF_MUTED });
+            for (const [label, value] of metadata) {
+                pdfRuns(doc, [{ text: `- ${label}: ${value}` }], { size: PDF_BODY_SIZE - 1, color: PDF_MUTED });
+            }
+        }
+
+        doc.end();
+    });
+}
+
+// ===== DOCX =====
+
+const DOCX_HEADINGS = {
+    1: HeadingLevel.HEADING_2,
+    2: HeadingLevel.HEADING_3,
+    3: HeadingLevel.HEADING_4
+};
+
+const DOCX_CODE_FONT = 'Courier New';
+
+// Listas numeradas: cada lista usa uma instância própria, para recomeçar do 1
+const DOCX_NUMBERING = {
+    config: [{
+        reference: 'ordered',
+        levels: [0, 1, 2, 3].map(level => ({
+            level,
+            format: LevelFormat.DECIMAL,
+            text: `%${level + 1}.`,
+            alignment: AlignmentType.START,
+            style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+        }))
+    }]
+};
+
+function docxRuns(runs, base = {}) {
+    return runs.flatMap(run => {
+        const format = {
+            bold: !!(base.bold || run.bold),
+            italics: !!(base.italic || run.italic),
+            strike: !!run.strike,
+            ...(run.code ? { font: DOCX_CODE_FONT } : {}),
+            ...(base.color ? { color: base.color } : {})
+        };
+
+        // Quebras de linha dentro do trecho viram quebras do Word
+        return run.text.split('\n').map((line, index) => new TextRun({ ...format, text: line, break: index > 0 ? 1 : 0 }));
+    });
+}
+
+function docxTable(token) {
+    const cell = (value, header) => new TableCell({
+        children: [new Paragraph({ children: docxRuns(inlineRuns(value.tokens), { bold: header }) })],
+        ...(header ? { shading: { fill: 'F1F5F9' } } : {})
+    });
+
+    const border = { style: BorderStyle.SINGLE, size: 4, color: 'CBD5E1' };
+
+    return new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        borders: { top: border, bottom: border, left: border, right: border, insideHorizontal: border, insideVertical: border },
+        rows: [
+            new TableRow({ tableHeader: true, children: token.header.map(value => cell(value, true)) }),
+            ...token.rows.map(row => new TableRow({ children: row.map(value => cell(value, false)) }))
+        ]
+    });
+}
+
+function docxBlocks(tokens, context, { level = 0, italic = false, indent = 0 } = {}) {
+    const blocks = [];
+    const paragraphIndent = indent ? { indent: { left: indent } } : {};
+
+    for (const token of tokens) {
+        switch (token.type) {
+            case 'heading':
+                blocks.push(new Paragraph({
+                    heading: DOCX_HEADINGS[token.depth] || HeadingLevel.HEADING_5,
+                    children: docxRuns(inlineRuns(token.tokens))
+                }));
+                break;
+
+            case 'paragraph':
+            case 'text':
+                blocks.push(new Paragraph({
+                    ...paragraphIndent,
+                    children: docxRuns(token.tokens ? inlineRuns(token.tokens) : [{ text: token.text }], { italic })
+                }));
+                break;
+
+            case 'list': {
+                const instance = token.ordered ? ++context.lists : null;
+                for (const item of token.items) {
+                    const [first, ...rest] = item.tokens;
+                    const inline = first && (first.type === 'text' || first.type === 'paragraph');
+
+                    blocks.push(new Paragraph({
+                        children: inline ? docxRuns(inlineRuns(first.tokens || [{ type: 'text', text: first.text }]), { italic }) : [],
+                        ...(token.ordered
+                            ? { numbering: { reference: 'ordered', level: Math.min(level, 3), instance } }
+                            : { bullet: { level: Math.min(level, 3) } })
+                    }));
+                    blocks.push(...docxBlocks(inline ? rest : item.tokens, context, { level: level + 1, italic }));
+                }
+                break;
+            }
+
+            case 'blockquote':
+                blocks.push(...docxBlocks(token.tokens, context, { level, italic: true, indent: indent + 720 }));
+                break;
+
+            case 'code':
+                blocks.push(new Paragraph({
+                    ...paragraphIndent,
+                    shading: { fill: 'F1F5F9' },
+                    children: docxRuns([{ text: token.text, code: true }])
+                }));
+                break;
+
+            case 'table':
+                blocks.push(docxTable(token), new Paragraph({ children: [] }));
+                break;
+
+            case 'hr':
+                blocks.push(new Paragraph({ thematicBreak: true, children: [] }));
+                break;
+
+            case 'html':
+                blocks.push(new Paragraph({ ...paragraphIndent, children: docxRuns([{ text: token.text }], { italic }) }));
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    return blocks;
+}
+
+function renderDocx(data) {
+    const { title, labels, details, documents, content, metadata } = data;
+    const muted = { color: '64748B' };
+
+    const children = [
+        new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(title)] }),
+        ...details.map(([label, value]) => new Paragraph({
+            children: docxRuns([{ text: `${label}: `, bold: true }, { text: value }], muted)
+        }))
+    ];
+
+    if (documents.length > 0) {
+        children.push(
+            new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(labels.sourceDocuments)] }),
+            ...documents.map(name => new Paragraph({
+                numbering: { reference: 'ordered', level: 0, instance: 0 },
+                children: [new TextRun(name)]
+            }))
+        );
+    }
+
+    children.push(
+        new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(labels.summary)] }),
+        ...docxBlocks(markdown.lexer(content || ''), { lists: 0 })
+    );
+
+    if (metadata.length > 0) {
+        children.push(
+            new Paragraph({ thematicBreak: true, children: [] }),
+            new Paragraph({ children: docxRuns([{ text: `${labels.metadata}:`, bold: true }], muted) }),
+            ...metadata.map(([label, value]) => new Paragraph({
+                bullet: { level: 0 },
+                children: docxRuns([{ text: `${label}: ${value}` }], muted)
+            }))
+        );
+    }
+
+    const doc = new Document({
+        title,
+        creator: 'document-summary-app',
+        numbering: DOCX_NUMBERING,
+        sections: [{ children }]
+    });
+
+    return Packer.toBuffer(doc);
+}
+
+/**
+ * Formatos de download do resumo
+ * render recebe o retorno de buildSummaryExport e devolve texto ou Buffer
+ */
+export const EXPORT_FORMATS = {
+    txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8', render: renderText },
+    md: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8', render: renderHtml },
+    pdf: { extension: 'pdf', contentType: 'application/pdf', render: renderPdf },
+    docx: {
+        extension: 'docx',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        render: renderDocx
+    }
+};
+
+export default { EXPORT_FORMATS, buildSummaryExport };
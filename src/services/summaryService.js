@@ -0,0 +1,242 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../config/database.js';
+import { generateSingleSummary, generateMultipleSummary } from './langchainService.js';
+import { markPages, parsePageCitations } from './pageService.js';
+import { summaryCacheKey, cachedSummary } from './summaryCacheService.js';
+import { USAGE_KINDS, meterUsage } from './quotaService.js';
+import { DEFAULT_MODEL } from '../config/langchain.js';
+
+/**
+ * Gera o resumo (individual ou integrado) dos documentos informados
+ * O texto vai com marcadores de página ([p. N] / [Doc K, p. N]) para o resumo
+ * citar as páginas de origem; documentos sem páginas numeradas vão sem eles.
+ * O mesmo pedido com o mesmo texto vem do cache (ver services/summaryCacheService.js).
+ * O uso fica no registro das cotas em nome do usuário (ver services/quotaService.js).
+ * @param {string} userId - Usuário que pediu o resumo
+ * @param {'single'|'multiple'} type - Tipo do resumo
+ * @param {Array} documents - Registros de documentos já validados
+ * @param {object} options - { model, style, language, template, fresh, onProgress, onToken }
+ *   fresh: gera de novo mesmo com o resultado em cache
+ */
+export async function summarizeDocuments(userId, type, documents, options = {}) {
+    const model = options.model || DEFAULT_MODEL;
+    return meterUsage(userId, USAGE_KINDS.SUMMARY, model, (onUsage) =>
+        generateSummary(type, documents, { ...options, model, onUsage })
+    );
+}
+
+// Geração (ou cache) do resumo; onUsage recebe o uso de cada chamada ao LLM
+async function generateSummary(type, documents, options) {
+    const { model, style, language, template, fresh, onProgress, onToken, onUsage } = options;
+
+    if (type === 'single') {
+        const [document] = documents;
+        console.log(`[Summary] Generating single summary for document ${document.id}`);
+
+        const markedText = markPages(document);
+        const text = markedText || document.extractedText;
+        const generateOptions = {
+            model,
+            style,
+            language,
+            template,
+            citePages: !!markedText
+        };
+
+        return cachedSummary(
+            summaryCacheKey(text, generateOptions),
+            () => generateSingleSummary(text, { ...generateOptions, onProgress, onToken, onUsage }),
+            { fresh, onToken }
+        );
+    }
+
+    console.log(`[Summary] Generating integrated summary for ${documents.length} documents`);
+
+    // Prepare documents for LangChain
+    const markedTexts = documents.map((doc, index) => markPages(doc, index + 1));
+    const docsForSummary = documents.map((doc, index) => ({
+        name: doc.originalName,
+        text: markedTexts[index] || doc.extractedText
+    }));
+
+    const generateOptions = {
+        model,
+        style,
+        language,
+        template,
+        citePages: markedTexts.some(Boolean)
+    };
+
+    return cachedSummary(
+        summaryCacheKey(docsForSummary, generateOptions),
+        () => generateMultipleSummary(docsForSummary, { ...generateOptions, onProgress, onToken, onUsage }),
+        { fresh, onToken }
+    );
+}
+
+/**
+ * Próxima versão de um resumo regerado
+ * Todas as versões apontam para o original (rootSummaryId); resumos
+ * anteriores ao versionamento contam como versão 1.
+ */
+function nextVersion(source) {
+    const rootSummaryId = source.rootSummaryId || source.id;
+    const versions = db.findSummaryVersions(rootSummaryId);
+    const version = Math.max(1, ...versions.map(v => v.version || 1)) + 1;
+
+    return { rootSummaryId, regeneratedFrom: source.id, version };
+}
+
+/**
+ * Salva o resultado da geração como registro de resumo
+ * @param {string} userId - Dono do resumo
+ * @param {'single'|'multiple'} type - Tipo do resumo
+ * @param {Array} documents - Documentos resumidos
+ * @param {string} [title] - Título informado pelo usuário
+ * @param {object} result - Retorno de summarizeDocuments
+ * @param {object} [source] - Resumo regerado; o novo vira a próxima versão dele
+ */
+export function saveSummary(userId, type, documents, title, result, source = null) {
+    const defaultTitle = source?.title || (type === 'single'
+        ? `Summary of ${documents[0].originalName}`
+        : `Integrated Summary (${documents.length} documents)`);
+
+    const versioning = source
+        ? nextVersion(source)
+        : { rootSummaryId: null, regeneratedFrom: null, version: 1 };
+
+    return db.createSummary({
+        id: uuidv4(),
+        userId,
+        title: title || defaultTitle,
+        content: result.summary,
+        citations: parsePageCitations(result.summary, documents),
+        type,
+        documentIds: JSON.stringify(documents.map(d => d.id)),
+        model: result.model,
+        style: result.style,
+        language: result.language,
+        promptTemplateId: result.promptTemplateId,
+        promptTemplateVersion: result.promptTemplateVersion,
+        tokensUsed: result.tokensUsed,
+        promptTokens: result.promptTokens,
+        completionTokens: result.completionTokens,
+        usageSource: result.usageSource,
+        estimatedCost: result.estimatedCost,
+        processingTime: result.processingTime,
+        method: result.method,
+        fromCache: !!result.fromCache,
+        ...versioning
+    });
+}
+
+// Limites da edição manual
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_CONTENT_LENGTH = 100000;
+
+/**
+ * Documentos do resumo na ordem dos marcadores [Doc K, p. N]
+ * Documentos apagados ficam como null (as citações deles são ignoradas).
+ */
+function summaryDocuments(summary) {
+    return JSON.parse(summary.documentIds || '[]').map(id => db.findDocumentById(id) || null);
+}
+
+/**
+ * Guarda o texto gerado como revisão 1, antes da primeira edição
+ */
+function ensureGeneratedRevision(summary) {
+    if (summary.currentRevision) return;
+
+    db.createSummaryRevision({
+        id: uuidv4(),
+        summaryId: summary.id,
+        userId: summary.userId,
+        revision: 1,
+        title: summary.title,
+        content: summary.content,
+        citations: summary.citations || [],
+        source: 'generated',
+        restoredFrom: null,
+        humanEdited: false,
+        authorId: null,
+        authorName: null,
+        createdAt: summary.createdAt
+    });
+}
+
+/**
+ * Salva o novo estado do resumo como a próxima revisão e o aplica ao resumo
+ */
+function addRevision(summary, user, fields) {
+    ensureGeneratedRevision(summary);
+
+    const revisions = db.findSummaryRevisions(summary.id);
+    const revision = Math.max(1, ...revisions.map(r => r.revision)) + 1;
+
+    const created = db.createSummaryRevision({
+        id: uuidv4(),
+        summaryId: summary.id,
+        userId: summary.userId,
+        revision,
+        ...fields,
+        authorId: user.id,
+        authorName: user.fullName || user.username
+    });
+
+    return db.updateSummary(summary.id, {
+        title: fields.title,
+        content: fields.content,
+        citations: fields.citations,
+        humanEdited: fields.humanEdited,
+        currentRevision: revision,
+        editedAt: created.createdAt,
+        editedBy: user.id
+    });
+}
+
+/**
+ * Edição manual do título e/ou do conteúdo
+ * Cada edição vira uma revisão com autor e data; as citações de página são
+ * lidas de novo do conteúdo editado.
+ * @param {object} summary - Resumo
+ * @param {object} user - Autor da edição
+ * @param {object} changes - { title, content } (os ausentes ficam como estão)
+ * @returns {object} Resumo atualizado
+ */
+export function editSummary(summary, user, changes) {
+    const title = changes.title ?? summary.title;
+    const content = changes.content ?? summary.content;
+
+    return addRevision(summary, user, {
+        title,
+        content,
+        citations: content === summary.content
+            ? summary.citations || []
+            : parsePageCitations(content, summaryDocuments(summary)),
+        source: 'edit',
+        restoredFrom: null,
+        humanEdited: true
+    });
+}
+
+/**
+ * Restaura o título e o conteúdo de uma revisão anterior (como uma revisão nova)
+ * Restaurar a revisão 1 volta ao texto gerado e tira a marca de edição manual.
+ * @returns {object|null} Resumo atualizado, ou null se a revisão não existe
+ */
+export function restoreSummaryRevision(summary, user, revisionNumber) {
+    const target = db.findSummaryRevision(summary.id, revisionNumber);
+    if (!target) return null;
+
+    return addRevision(summary, user, {
+        title: target.title,
+        content: target.content,
+        citations: target.citations || [],
+        source: 'restore',
+        restoredFrom: target.revision,
+        humanEdited: !!target.humanEdited
+    });
+}
+
+export default { summarizeDocuments, saveSummary, editSummary, restoreSummaryRevision };
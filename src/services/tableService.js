@@ -0,0 +1,207 @@
+import { pageLines } from './pdfStructureService.js';
+
+/**
+ * Tabelas dos PDFs
+ * Na extração, cada linha da página é dividida em células pelos espaços
+ * horizontais entre os itens de texto; linhas seguidas com duas ou mais
+ * células viram uma tabela, com as colunas pelas posições das células
+ * (coleção `documentTables`). Para resumir, as linhas da tabela no texto da
+ * página são trocadas por uma tabela Markdown.
+ */
+
+// Espaço entre itens maior que isso (× tamanho da fonte) separa células
+const CELL_GAP_RATIO = 1;
+
+// Espaço menor que isso (× tamanho da fonte) junta itens sem espaço (mesma palavra)
+const WORD_GAP_RATIO = 0.15;
+
+// Distância vertical máxima entre linhas da mesma tabela (× tamanho da fonte)
+const ROW_GAP_RATIO = 2.5;
+
+const MIN_ROWS = 3;
+const MIN_COLUMNS = 2;
+const MAX_COLUMNS = 20;
+
+// Células longas indicam texto corrido em colunas, não tabela
+const MAX_AVERAGE_CELL_LENGTH = 40;
+
+const squeeze = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Células de uma linha, da esquerda para a direita, com a posição horizontal
+ */
+function splitCells(line) {
+    const items = line.items
+        .filter(item => item.str.trim())
+        .sort((a, b) => a.x - b.x);
+
+    const cells = [];
+    let current = null;
+
+    for (const item of items) {
+        const size = item.size || line.size;
+        const gap = current ? item.x - current.end : Infinity;
+
+        if (gap > size * CELL_GAP_RATIO) {
+            current = { start: item.x, end: item.x + item.width, text: item.str };
+            cells.push(current);
+            continue;
+        }
+
+        const joined = gap < size * WORD_GAP_RATIO || /\s$/.test(current.text) || /^\s/.test(item.str);
+        current.text += joined ? item.str : ` ${item.str}`;
+        current.end = Math.max(current.end, item.x + item.width);
+    }
+
+    return cells.map(cell => ({ ...cell, text: squeeze(cell.text) }));
+}
+
+/**
+ * Colunas da tabela: intervalos horizontais ocupados pelas células, unidos
+ * quando se sobrepõem (números alinhados à direita caem na mesma coluna)
+ */
+function buildColumns(rows) {
+    const spans = rows.flat()
+        .map(cell => [cell.start, cell.end])
+        .sort((a, b) => a[0] - b[0]);
+
+    const columns = [];
+    for (const [start, end] of spans) {
+        const last = columns[columns.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            columns.push([start, end]);
+        }
+    }
+    return columns;
+}
+
+/**
+ * Monta a tabela de uma sequência de linhas, ou null se não parecer tabela
+ */
+function buildTable(region) {
+    const columns = buildColumns(region.map(row => row.cells));
+    if (columns.length < MIN_COLUMNS || columns.length > MAX_COLUMNS) return null;
+
+    const cells = region.flatMap(row => row.cells);
+    const averageLength = cells.reduce((sum, cell) => sum + cell.text.length, 0) / cells.length;
+    if (averageLength > MAX_AVERAGE_CELL_LENGTH) return null;
+
+    const rows = region.map(({ cells }) => {
+        const values = new Array(columns.length).fill('');
+        for (const cell of cells) {
+            const column = columns.findIndex(([start, end]) => cell.start >= start && cell.start <= end);
+            values[column] = values[column] ? `${values[column]} ${cell.text}` : cell.text;
+        }
+        return values;
+    });
+
+    return {
+        rows,
+        lines: region.map(row => row.text),
+        rowCount: rows.length,
+        columnCount: columns.length
+    };
+}
+
+/**
+ * Detecta as tabelas de cada página pelas posições dos itens de texto
+ * @param {Array} pageItems - Itens de texto de cada página (readPageItems)
+ * @returns {Array<{ page: number, rows: string[][], lines: string[], rowCount: number, columnCount: number }>}
+ */
+export function detectTables(pageItems) {
+    const tables = [];
+
+    pageItems.forEach((items, index) => {
+        const rows = pageLines(items).map(line => ({ ...line, cells: splitCells(line) }));
+
+        let region = [];
+        const flush = () => {
+            const table = region.length >= MIN_ROWS ? buildTable(region) : null;
+            if (table) tables.push({ page: index + 1, ...table });
+            region = [];
+        };
+
+        for (const row of rows) {
+            const previous = region[region.length - 1];
+            const close = previous && Math.abs(previous.y - row.y) <= Math.max(previous.size, row.size) * ROW_GAP_RATIO;
+
+            if (row.cells.length < 2) {
+                flush();
+                continue;
+            }
+
+            if (previous && !close) flush();
+            region.push(row);
+        }
+        flush();
+    });
+
+    return tables;
+}
+
+function markdownCell(value) {
+    return (value || '').replace(/\|/g, '\\|');
+}
+
+/**
+ * Tabela em Markdown (a primeira linha vira o cabeçalho)
+ */
+export function tableToMarkdown(rows) {
+    const width = Math.max(...rows.map(row => row.length));
+    const line = (row) => `| ${Array.from({ length: width }, (_, i) => markdownCell(row[i])).join(' | ')} |`;
+
+    return [
+        line(rows[0]),
+        `| ${new Array(width).fill('---').join(' | ')} |`,
+        ...rows.slice(1).map(line)
+    ].join('\n');
+}
+
+function csvCell(value) {
+    const text = value ?? '';
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Tabela em CSV (RFC 4180)
+ */
+export function tableToCsv(rows) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+/**
+ * Troca as linhas das tabelas no texto da página por tabelas Markdown
+ * Tabelas cujas linhas não são encontradas no texto vão no fim da página.
+ * @param {string} text - Texto da página
+ * @param {Array} tables - Tabelas da página ({ rows, lines })
+ */
+export function withMarkdownTables(text, tables) {
+    if (!tables?.length) return text;
+
+    const lines = text.split('\n');
+    const normalized = lines.map(squeeze);
+    const missing = [];
+
+    for (const table of tables) {
+        const start = normalized.findIndex((_, index) =>
+            table.lines.every((line, offset) => normalized[index + offset] === squeeze(line))
+        );
+
+        if (start === -1) {
+            missing.push(table);
+            continue;
+        }
+
+        lines.splice(start, table.lines.length, `\n${tableToMarkdown(table.rows)}\n`);
+        normalized.splice(start, table.lines.length, null);
+    }
+
+    return [lines.join('\n'), ...missing.map(table => tableToMarkdown(table.rows))]
+        .join('\n\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+export default { detectTables, tableToMarkdown, tableToCsv, withMarkdownTables };
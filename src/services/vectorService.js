@@ -0,0 +1,153 @@
+import { v4 as uuidv4 } from 'uuid';
+import { Document } from '@langchain/core/documents';
+import db from '../config/database.js';
+import { createEmbeddings, DEFAULT_EMBEDDING_MODEL } from '../config/embeddings.js';
+import { splitDocuments } from './pdfService.js';
+import { getDocumentPages } from './pageService.js';
+
+/**
+ * Índice vetorial local dos documentos
+ * Na extração, o texto de cada página é dividido em trechos e cada trecho
+ * recebe um embedding, salvo no banco (coleção `documentChunks`).
+ * Na consulta, os vetores do usuário ficam em memória e a busca é por
+ * similaridade de cosseno. Só os vetores dos usuários que consultaram por
+ * último ficam em memória; o menos recente é descartado e recarregado do banco.
+ *
+ * Variáveis de ambiente:
+ * - EMBEDDING_MODEL: modelo de embeddings (ver config/embeddings.js)
+ * - VECTOR_CACHE_MAX_USERS: usuários com vetores mantidos em memória (padrão 20)
+ */
+
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 150;
+const EMBEDDING_BATCH_SIZE = 64;
+
+const envLimit = (value, fallback) => {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+};
+
+export const MAX_CACHED_USERS = envLimit(process.env.VECTOR_CACHE_MAX_USERS, 20);
+
+// userId -> trechos com vetores já convertidos (Float32Array)
+// A ordem de inserção do Map é a ordem de uso: o primeiro é o menos recente
+const cache = new Map();
+
+/**
+ * Divide o documento em trechos, gera os embeddings e substitui os trechos salvos
+ * Os trechos não atravessam páginas, então cada um tem uma página de origem.
+ * @returns {Promise<{ chunks: number, embeddingModel: string }>}
+ */
+export async function indexDocument(document, embeddingModel = DEFAULT_EMBEDDING_MODEL) {
+    const embeddings = createEmbeddings(embeddingModel);
+
+    const pages = getDocumentPages(document)
+        .filter(({ text }) => text)
+        .map(({ page, text }) => new Document({ pageContent: text, metadata: { page } }));
+
+    const chunks = await splitDocuments(pages, { chunkSize: CHUNK_SIZE, chunkOverlap: CHUNK_OVERLAP });
+    const pieces = chunks.map(chunk => ({ page: chunk.metadata.page, text: chunk.pageContent }));
+
+    const vectors = [];
+    for (let i = 0; i < pieces.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = pieces.slice(i, i + EMBEDDING_BATCH_SIZE).map(piece => piece.text);
+        vectors.push(...await embeddings.embedDocuments(batch));
+    }
+
+    db.replaceDocumentChunks(document, pieces.map((piece, index) => ({
+        id: uuidv4(),
+        userId: document.userId,
+        documentId: document.id,
+        chunkIndex: index,
+        page: piece.page,
+        text: piece.text,
+        embedding: vectors[index],
+        embeddingModel
+    })));
+
+    console.log(`[Vector] Indexed ${pieces.length} chunks of document ${document.id} with ${embeddingModel}`);
+
+    return { chunks: pieces.length, embeddingModel };
+}
+
+function toVector(values) {
+    const vector = Float32Array.from(values);
+    let norm = 0;
+    for (const value of vector) norm += value * value;
+    return { vector, norm: Math.sqrt(norm) };
+}
+
+/**
+ * Trechos do usuário com vetores prontos para comparação
+ */
+function getUserChunks(userId, embeddingModel) {
+    const cached = cache.get(userId);
+    if (cached && cached.embeddingModel === embeddingModel) {
+        // Move para o fim (mais recente)
+        cache.delete(userId);
+        cache.set(userId, cached);
+        return cached.chunks;
+    }
+
+    const chunks = db.findDocumentChunksByUserId(userId, embeddingModel).map(chunk => ({
+        id: chunk.id,
+        documentId: chunk.documentId,
+        chunkIndex: chunk.chunkIndex,
+        page: chunk.page,
+        text: chunk.text,
+        ...toVector(chunk.embedding)
+    }));
+
+    cache.delete(userId);
+    cache.set(userId, { embeddingModel, chunks });
+    for (const oldest of cache.keys()) {
+        if (cache.size <= MAX_CACHED_USERS) break;
+        cache.delete(oldest);
+    }
+    return chunks;
+}
+
+/**
+ * Trechos mais parecidos com a pergunta
+ * @param {string} userId - Dono dos documentos
+ * @param {string} query - Pergunta em linguagem natural
+ * @param {object} [options] - { k, documentIds, embeddingModel }
+ * @returns {Promise<Array<{ documentId, chunkIndex, page, text, score }>>}
+ */
+export async function searchSimilar(userId, query, options = {}) {
+    const { k = 5, documentIds, embeddingModel = DEFAULT_EMBEDDING_MODEL } = options;
+
+    let chunks = getUserChunks(userId, embeddingModel);
+    if (documentIds?.length) {
+        const allowed = new Set(documentIds);
+        chunks = chunks.filter(chunk => allowed.has(chunk.documentId));
+    }
+    if (chunks.length === 0) return [];
+
+    const embeddings = createEmbeddings(embeddingModel);
+    const { vector: queryVector, norm: queryNorm } = toVector(await embeddings.embedQuery(query));
+
+    return chunks
+        .map(chunk => {
+            let dot = 0;
+            for (let i = 0; i < queryVector.length; i++) dot += queryVector[i] * chunk.vector[i];
+            const score = chunk.norm && queryNorm ? dot / (chunk.norm * queryNorm) : 0;
+            return { chunk, score };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k)
+        .map(({ chunk, score }) => ({
+            documentId: chunk.documentId,
+            chunkIndex: chunk.chunkIndex,
+            page: chunk.page,
+            text: chunk.text,
+            score: Math.round(score * 1000) / 1000
+        }));
+}
+
+// Trechos alterados ou removidos -> descarta o cache do usuário
+const invalidate = ({ userId }) => cache.delete(userId);
+db.events.on('document:chunks', invalidate);
+db.events.on('document:deleted', invalidate);
+
+export default { MAX_CACHED_USERS, indexDocument, searchSimilar };
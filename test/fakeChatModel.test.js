@@ -0,0 +1,86 @@
+import './helpers/env.js';
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { HumanMessage } from '@langchain/core/messages';
+import { FakeChatModel, fakeResponse } from '../src/config/fakeChatModel.js';
+import { generateSingleSummary } from '../src/services/langchainService.js';
+
+const ENV = { ...process.env };
+
+afterEach(() => {
+    process.env.FAKE_LLM_LATENCY_MS = ENV.FAKE_LLM_LATENCY_MS;
+    process.env.FAKE_LLM_ERROR_RATE = ENV.FAKE_LLM_ERROR_RATE;
+});
+
+describe('fakeResponse', () => {
+    test('is deterministic and quotes the input after the last label', () => {
+        const prompt = 'Por favor, resuma o seguinte documento:\n\nO contrato vence em março.\n\nRESUMO:';
+
+        assert.equal(fakeResponse(prompt), fakeResponse(prompt));
+        assert.match(fakeResponse(prompt), /^\[fake [0-9a-f]{8}\] Resumo simulado de 5 palavras: O contrato vence em março\.$/);
+        assert.notEqual(fakeResponse(prompt), fakeResponse(prompt.replace('março', 'abril')));
+    });
+});
+
+describe('simulated latency', () => {
+    test('waits FAKE_LLM_LATENCY_MS before answering', async () => {
+        process.env.FAKE_LLM_LATENCY_MS = '150';
+        const model = new FakeChatModel();
+
+        const start = Date.now();
+        await model.invoke([new HumanMessage('Texto:\n\nalgo\n\nRESUMO:')]);
+
+        assert.equal(model.latencyMs, 150);
+        assert.ok(Date.now() - start >= 140, 'response came back before the configured latency');
+    });
+
+    test('accepts 0 and falls back to 50 for invalid values', () => {
+        process.env.FAKE_LLM_LATENCY_MS = '0';
+        assert.equal(new FakeChatModel().latencyMs, 0);
+
+        process.env.FAKE_LLM_LATENCY_MS = 'abc';
+        assert.equal(new FakeChatModel().latencyMs, 50);
+    });
+});
+
+describe('simulated errors', () => {
+    test('a prompt containing FAKE_LLM_ERROR always fails', async () => {
+        const model = new FakeChatModel({ latencyMs: 0 });
+
+        await assert.rejects(
+            model.invoke([new HumanMessage('Texto:\n\nFAKE_LLM_ERROR\n\nRESUMO:')]),
+            /Fake LLM simulated API error/
+        );
+    });
+
+    test('FAKE_LLM_ERROR_RATE=1 fails every call', async () => {
+        process.env.FAKE_LLM_ERROR_RATE = '1';
+        const model = new FakeChatModel({ latencyMs: 0 });
+
+        await assert.rejects(model.invoke([new HumanMessage('Texto:\n\nalgo\n\nRESUMO:')]), /simulated API error/);
+    });
+
+    test('errors surface from the summary chain', async () => {
+        await assert.rejects(
+            generateSingleSummary('Um texto com FAKE_LLM_ERROR no meio.', { model: 'fake' }),
+            /Failed to generate summary: Fake LLM simulated API error/
+        );
+    });
+});
+
+describe('streaming', () => {
+    test('emits the same text word by word, with usage at the end', async () => {
+        const prompt = [new HumanMessage('Texto:\n\num dois três\n\nRESUMO:')];
+        const expected = (await new FakeChatModel({ latencyMs: 0 }).invoke(prompt)).content;
+
+        let text = '';
+        let usage;
+        for await (const chunk of await new FakeChatModel({ latencyMs: 0, streaming: true }).stream(prompt)) {
+            text += chunk.content;
+            usage = chunk.usage_metadata || usage;
+        }
+
+        assert.equal(text, expected);
+        assert.ok(usage.input_tokens > 0 && usage.output_tokens > 0);
+    });
+});
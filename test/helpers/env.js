@@ -0,0 +1,37 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Test environment
+ * Import first in every test file: the app reads these variables when its
+ * modules load. Summaries use the offline fake provider and each test file
+ * (its own process under node --test) gets a throwaway SQLite database.
+ */
+
+export const TEST_DATABASE = path.join(os.tmpdir(), `document-summary-test-${process.pid}.sqlite`);
+
+process.env.NODE_ENV = 'test';
+process.env.DEFAULT_MODEL = 'fake';
+process.env.FAKE_LLM_LATENCY_MS = '0';
+process.env.FAKE_LLM_ERROR_RATE = '0';
+process.env.DB_DRIVER = 'sqlite';
+process.env.DB_STORAGE = TEST_DATABASE;
+delete process.env.OPENAI_API_KEY;
+delete process.env.LOCAL_LLM_BASE_URL;
+
+/**
+ * Remove the test database files (call from an after() hook)
+ */
+export function removeTestDatabase() {
+    for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(`${TEST_DATABASE}${suffix}`, { force: true });
+    }
+}
+
+/**
+ * Text with the given number of distinct words
+ */
+export function words(count, prefix = 'palavra') {
+    return Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+}
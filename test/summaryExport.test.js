@@ -0,0 +1,53 @@
+import './helpers/env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPORT_FORMATS, buildSummaryExport } from '../src/services/summaryExportService.js';
+
+const summary = (content) => ({
+    title: 'Contrato <2026>',
+    content,
+    type: 'single',
+    model: 'fake',
+    language: 'pt',
+    createdAt: '2026-01-15T12:00:00.000Z'
+});
+
+const renderHtml = (content) => EXPORT_FORMATS.html.render(buildSummaryExport(summary(content), [{ originalName: 'a.pdf' }]));
+
+describe('HTML export', () => {
+    test('keeps http, https and mailto links', () => {
+        const html = renderHtml('[site](https://example.com) [email](mailto:a@example.com) www.example.org');
+
+        assert.match(html, /<a href="https:\/\/example\.com">site<\/a>/);
+        assert.match(html, /<a href="mailto:a@example\.com">email<\/a>/);
+        assert.match(html, /<a href="http:\/\/www\.example\.org">/);
+    });
+
+    test('drops the href of other protocols and relative links', () => {
+        const html = renderHtml('[x](javascript:alert(1)) [y](data:text/html,oi) [**z**](/admin)');
+
+        assert.doesNotMatch(html, /javascript:|data:text|href="\/admin"/);
+        assert.match(html, /<p>x y <strong>z<\/strong><\/p>/);
+    });
+
+    test('replaces images with their alt text and escapes raw HTML', () => {
+        const html = renderHtml('![gráfico <b>](http://tracker.example/pixel.png) <script>alert(1)</script>');
+
+        assert.doesNotMatch(html, /<img|tracker\.example|<script>/);
+        assert.match(html, /gráfico &lt;b&gt;/);
+        assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+        assert.match(html, /<title>Contrato &lt;2026&gt;<\/title>/);
+    });
+});
+
+describe('PDF and DOCX export', () => {
+    test('render binary documents with the summary', async () => {
+        const data = buildSummaryExport(summary('## Título\n\n- item **um**\n\n| a | b |\n|---|---|\n| 1 | 2 |'), []);
+
+        const pdf = await EXPORT_FORMATS.pdf.render(data);
+        const docx = await EXPORT_FORMATS.docx.render(data);
+
+        assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+        assert.equal(docx.subarray(0, 2).toString(), 'PK');
+    });
+});
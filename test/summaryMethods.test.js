@@ -0,0 +1,119 @@
+import { removeTestDatabase, words } from './helpers/env.js';
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSingleSummary, generateMultipleSummary } from '../src/services/langchainService.js';
+import { summarizeDocuments } from '../src/services/summaryService.js';
+import { getUsage } from '../src/services/quotaService.js';
+
+// Above the 12000-token limit of a single call (stuff)
+const LONG_WORDS = 9000;
+
+after(removeTestDatabase);
+
+function assertUsage(result) {
+    assert.ok(result.promptTokens > 0, 'prompt tokens');
+    assert.ok(result.completionTokens > 0, 'completion tokens');
+    assert.equal(result.tokensUsed, result.promptTokens + result.completionTokens);
+    assert.equal(result.usageSource, 'provider');
+}
+
+describe('single document', () => {
+    test('stuff: short text in one call', async () => {
+        const progress = [];
+        const result = await generateSingleSummary('O contrato vence em março e pode ser renovado por mais um ano.', {
+            model: 'fake',
+            onProgress: (p) => progress.push(p.phase)
+        });
+
+        assert.equal(result.method, 'stuff');
+        assert.match(result.summary, /^\[fake [0-9a-f]{8}\] Resumo simulado/);
+        assert.match(result.summary, /O contrato vence em março/);
+        assert.equal(result.model, 'fake');
+        assert.deepEqual(progress, ['summarizing']);
+        assertUsage(result);
+    });
+
+    test('stuff: streams the summary tokens', async () => {
+        let streamed = '';
+        const result = await generateSingleSummary('Texto curto para resumir.', {
+            model: 'fake',
+            onToken: (token) => { streamed += token; }
+        });
+
+        assert.equal(streamed.trim(), result.summary);
+    });
+
+    test('map_reduce: long text is split into chunks and combined', async () => {
+        const phases = new Set();
+        const result = await generateSingleSummary(words(LONG_WORDS), {
+            model: 'fake',
+            onProgress: (p) => phases.add(p.phase)
+        });
+
+        assert.equal(result.method, 'map_reduce');
+        assert.ok(result.chunks > 1, 'more than one chunk');
+        assert.match(result.summary, /^\[fake /);
+        assert.ok(phases.has('map') && phases.has('combine'));
+        assertUsage(result);
+    });
+});
+
+describe('multiple documents', () => {
+    test('stuff: small documents in one call', async () => {
+        const result = await generateMultipleSummary([
+            { name: 'a.pdf', text: 'Primeiro documento sobre prazos.' },
+            { name: 'b.pdf', text: 'Segundo documento sobre custos.' }
+        ], { model: 'fake' });
+
+        assert.equal(result.method, 'stuff');
+        assert.equal(result.documentsCount, 2);
+        assert.match(result.summary, /Primeiro documento/);
+        assertUsage(result);
+    });
+
+    test('hierarchical: large documents are summarized one by one, then combined', async () => {
+        const phases = new Set();
+        const result = await generateMultipleSummary([
+            { name: 'a.pdf', text: words(LONG_WORDS / 2, 'alfa') },
+            { name: 'b.pdf', text: words(LONG_WORDS / 2, 'beta') }
+        ], { model: 'fake', onProgress: (p) => phases.add(p.phase) });
+
+        assert.equal(result.method, 'hierarchical');
+        assert.equal(result.documentsCount, 2);
+        assert.ok(phases.has('documents') && phases.has('combine'));
+        // The combine step only sees the two individual fake summaries
+        assert.match(result.summary, /Resumo do Documento 1: a\.pdf/);
+        assertUsage(result);
+    });
+});
+
+describe('summarizeDocuments', () => {
+    const documents = [{ id: 'doc-1', originalName: 'contrato.pdf', extractedText: 'O contrato vence em março.' }];
+
+    test('records usage for the user and serves repeats from the cache', async () => {
+        const first = await summarizeDocuments('user-1', 'single', documents, { model: 'fake' });
+        const repeat = await summarizeDocuments('user-1', 'single', documents, { model: 'fake' });
+
+        assert.equal(first.fromCache, false);
+        assert.equal(repeat.fromCache, true);
+        assert.equal(repeat.summary, first.summary);
+        assert.equal(repeat.tokensUsed, 0);
+
+        const usage = getUsage('user-1');
+        assert.equal(usage.summariesToday, 2);
+        assert.equal(usage.tokensThisMonth, first.tokensUsed);
+    });
+
+    test('failed generations still count their tokens', async () => {
+        const failing = [
+            { id: 'doc-2', originalName: 'a.pdf', extractedText: words(LONG_WORDS / 2, 'alfa') },
+            { id: 'doc-3', originalName: 'b.pdf', extractedText: `${words(LONG_WORDS / 2, 'beta')} FAKE_LLM_ERROR` }
+        ];
+
+        await assert.rejects(summarizeDocuments('user-2', 'multiple', failing, { model: 'fake' }), /simulated API error/);
+
+        const usage = getUsage('user-2');
+        assert.equal(usage.summariesToday, 0);
+        assert.ok(usage.tokensThisMonth > 0, 'tokens of the first document were recorded');
+    });
+});